@@ -22,19 +22,86 @@ function formatFileSize(bytes) {
 }
 
 /**
- * Read file as ArrayBuffer
- * @param {File} file - The file to read
- * @returns {Promise<ArrayBuffer>} The file contents as ArrayBuffer
+ * Make a string safe to use as a file name
+ * @param {string} name - The desired name
+ * @param {string} fallback - Used when nothing usable is left
+ * @returns {string} Sanitized file name (without extension)
  */
-function readFileAsArrayBuffer(file) {
-    return new Promise((resolve, reject) => {
-        const reader = new FileReader();
-        reader.onload = () => resolve(reader.result);
-        reader.onerror = () => reject(new Error(`Failed to read file: ${file.name}`));
-        reader.readAsArrayBuffer(file);
+function sanitizeFileName(name, fallback = 'document') {
+    const cleaned = name
+        .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '_')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .replace(/^\.+|\.+$/g, '')
+        .slice(0, 120);
+    return cleaned || fallback;
+}
+
+// Placeholders a file name template can use, e.g. "{name}_pages_{pages}"
+const FILE_NAME_TOKENS = ['name', 'pages', 'pagecount', 'index', 'date', 'bookmark', 'count'];
+
+/**
+ * Fill in a file name template
+ * @param {string} template - Text with {token} placeholders from FILE_NAME_TOKENS
+ * @param {Object} values - Token values; {date} defaults to today, tokens without a value are left out
+ * @param {string} extension - Extension of the file, e.g. 'pdf'
+ * @returns {string} Sanitized file name with the extension
+ */
+function formatFileName(template, values, extension) {
+    const today = new Date();
+    const date = [today.getFullYear(), today.getMonth() + 1, today.getDate()]
+        .map(part => String(part).padStart(2, '0'))
+        .join('-');
+    const tokens = { date, ...values };
+
+    const name = template
+        .replace(/\{(\w+)\}/g, (match, token) => FILE_NAME_TOKENS.includes(token) ? String(tokens[token] ?? '') : match)
+        // The extension is added below, so one typed into the template would appear twice
+        .replace(new RegExp(`\\.${extension}$`, 'i'), '');
+    return `${sanitizeFileName(name)}.${extension}`;
+}
+
+/**
+ * Tell apart files that would get the same name in one ZIP, e.g. "page.pdf" and "page (2).pdf"
+ * @param {string[]} fileNames - Names with extensions
+ * @returns {string[]} Names in the same order, each used once
+ */
+function makeFileNamesUnique(fileNames) {
+    const used = new Set();
+    return fileNames.map(fileName => {
+        const base = getBaseName(fileName);
+        const extension = fileName.slice(base.length);
+        let unique = fileName;
+        for (let n = 2; used.has(unique.toLowerCase()); n++) {
+            unique = `${base} (${n})${extension}`;
+        }
+        used.add(unique.toLowerCase());
+        return unique;
     });
 }
 
+/**
+ * Check whether a file is a PDF
+ * @param {File} file - The file to check
+ * @returns {boolean}
+ */
+function isPdfFile(file) {
+    return file.type === 'application/pdf' || file.name.toLowerCase().endsWith('.pdf');
+}
+
+/**
+ * Kind of image a file holds, for the image types that can be turned into PDF pages
+ * @param {File} file - The file to check
+ * @returns {?string} 'jpg', 'png', 'webp' or null
+ */
+function getImageType(file) {
+    const name = file.name.toLowerCase();
+    if (file.type === 'image/jpeg' || /\.jpe?g$/.test(name)) return 'jpg';
+    if (file.type === 'image/png' || name.endsWith('.png')) return 'png';
+    if (file.type === 'image/webp' || name.endsWith('.webp')) return 'webp';
+    return null;
+}
+
 /**
  * Show error message with auto-dismiss
  * @param {HTMLElement} element - The error message element
@@ -100,26 +167,53 @@ const LoadingOverlay = {
     progressBar: null,
     progressText: null,
     loadingText: null,
+    cancelBtn: null,
+    controller: null,
 
     init() {
         this.overlay = document.getElementById('loadingOverlay');
         this.progressBar = document.getElementById('progressBar');
         this.progressText = document.getElementById('progressText');
         this.loadingText = document.getElementById('loadingText');
+        this.cancelBtn = document.getElementById('loadingCancelBtn');
+        this.cancelBtn?.addEventListener('click', () => this.cancel());
     },
 
-    show(message = 'Processing your files...') {
+    /**
+     * Show the overlay for a new job
+     * @param {string} message - What is being done
+     * @param {Object} options - Overlay options
+     * @param {boolean} options.cancellable - Offer a Cancel button
+     * @returns {AbortSignal} Aborted when the job is cancelled
+     */
+    show(message = 'Processing your files...', { cancellable = false } = {}) {
+        this.controller = new AbortController();
         if (this.loadingText) this.loadingText.textContent = message;
         if (this.progressBar) this.progressBar.style.width = '0%';
         if (this.progressText) this.progressText.textContent = '';
+        if (this.cancelBtn) {
+            this.cancelBtn.disabled = false;
+            this.cancelBtn.classList.toggle('hidden', !cancellable);
+        }
         this.overlay?.classList.remove('hidden');
+        return this.controller.signal;
     },
 
     hide() {
         this.overlay?.classList.add('hidden');
+        this.controller = null;
+    },
+
+    cancel() {
+        if (!this.controller || this.controller.signal.aborted) return;
+        if (this.cancelBtn) this.cancelBtn.disabled = true;
+        if (this.loadingText) this.loadingText.textContent = 'Cancelling...';
+        this.controller.abort();
     },
 
     updateProgress(percent, text = '') {
+        // Steps that run on the page stop at their next progress report once cancelled
+        this.controller?.signal.throwIfAborted();
         if (this.progressBar) {
             this.progressBar.style.width = `${Math.min(100, Math.max(0, percent))}%`;
         }
@@ -129,6 +223,226 @@ const LoadingOverlay = {
     }
 };
 
+// =========================================
+// Processing Worker
+// =========================================
+
+/**
+ * Runs the operations in PDF_OPERATIONS in a worker (js/pdf-worker.js), so the page keeps
+ * responding and the progress bar keeps moving during large jobs
+ * Cancelling a job terminates the worker, which frees its memory at once; the next job starts
+ * a fresh one. Where workers cannot run, e.g. when the page is opened from file://, jobs run
+ * on the page instead.
+ */
+const PdfWorker = {
+    worker: null,
+    ready: null,
+    available: typeof Worker !== 'undefined',
+    nextJobId: 1,
+
+    /**
+     * Run an operation from PDF_OPERATIONS
+     * @param {string} operation - Operation name, e.g. 'mergePDFs'
+     * @param {Array} args - Its arguments; a function among them is its progress callback
+     * @param {Object} options - Run options
+     * @param {AbortSignal} options.signal - Cancels the job
+     * @param {boolean} options.mainThread - Run on the page, for jobs that need pdf.js (redaction)
+     * @returns {Promise<*>} What the operation returns
+     */
+    async run(operation, args, { signal = null, mainThread = false } = {}) {
+        signal?.throwIfAborted();
+        if (mainThread || !this.available) {
+            return this.runHere(operation, args, signal);
+        }
+
+        if (!this.worker) {
+            try {
+                this.start();
+            } catch (error) {
+                console.warn('PDF worker unavailable, processing on the page:', error);
+                this.available = false;
+                return this.runHere(operation, args, signal);
+            }
+        }
+
+        if (!(await this.ready)) {
+            console.warn('PDF worker failed to start, processing on the page');
+            this.available = false;
+            this.terminate();
+            return this.runHere(operation, args, signal);
+        }
+        signal?.throwIfAborted();
+
+        return this.post(operation, args, signal);
+    },
+
+    start() {
+        const worker = new Worker('js/pdf-worker.js');
+        this.worker = worker;
+        this.ready = new Promise(resolve => {
+            const onMessage = ({ data }) => {
+                if (data.type !== 'ready') return;
+                worker.removeEventListener('error', onError);
+                worker.removeEventListener('message', onMessage);
+                resolve(true);
+            };
+            const onError = (event) => {
+                event.preventDefault();
+                worker.removeEventListener('error', onError);
+                worker.removeEventListener('message', onMessage);
+                resolve(false);
+            };
+            worker.addEventListener('message', onMessage);
+            worker.addEventListener('error', onError);
+        });
+    },
+
+    post(operation, args, signal) {
+        const worker = this.worker;
+        const id = this.nextJobId++;
+        const progressIndex = args.findIndex(arg => typeof arg === 'function');
+        const onProgress = args[progressIndex];
+
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                worker.removeEventListener('message', onMessage);
+                worker.removeEventListener('error', onError);
+                signal?.removeEventListener('abort', onAbort);
+            };
+            const onMessage = ({ data }) => {
+                if (data.id !== id) return;
+                if (data.type === 'progress') {
+                    onProgress(data.percent, data.text);
+                    return;
+                }
+                cleanup();
+                if (data.type === 'result') {
+                    resolve(data.result);
+                } else {
+                    reject(new Error(data.message));
+                }
+            };
+            const onError = (event) => {
+                event.preventDefault();
+                cleanup();
+                this.terminate();
+                reject(new Error('The PDF worker stopped unexpectedly.'));
+            };
+            const onAbort = () => {
+                cleanup();
+                this.terminate();
+                reject(signal.reason);
+            };
+
+            worker.addEventListener('message', onMessage);
+            worker.addEventListener('error', onError);
+            signal?.addEventListener('abort', onAbort);
+
+            try {
+                worker.postMessage({
+                    id,
+                    operation,
+                    args: args.map(arg => typeof arg === 'function' ? null : arg),
+                    progressIndex: progressIndex >= 0 ? progressIndex : undefined
+                });
+            } catch (error) {
+                cleanup();
+                reject(error);
+            }
+        });
+    },
+
+    async runHere(operation, args, signal) {
+        // Work on the page can only stop between steps, at its progress reports
+        const guardedArgs = args.map(arg => typeof arg !== 'function' ? arg : (...progress) => {
+            signal?.throwIfAborted();
+            arg(...progress);
+        });
+        return PDF_OPERATIONS[operation](...guardedArgs);
+    },
+
+    terminate() {
+        this.worker?.terminate();
+        this.worker = null;
+        this.ready = null;
+    }
+};
+
+// =========================================
+// Password Prompt Controller
+// =========================================
+
+const PasswordPrompt = {
+    queue: Promise.resolve(),
+
+    // DOM elements
+    elements: {
+        modal: null,
+        form: null,
+        fileName: null,
+        input: null,
+        error: null,
+        cancelBtn: null
+    },
+
+    init() {
+        this.elements = {
+            modal: document.getElementById('passwordModal'),
+            form: document.getElementById('passwordForm'),
+            fileName: document.getElementById('passwordFileName'),
+            input: document.getElementById('passwordInput'),
+            error: document.getElementById('passwordError'),
+            cancelBtn: document.getElementById('passwordCancelBtn')
+        };
+    },
+
+    /**
+     * Ask for the password of an encrypted file. Several files can be added at once, so requests
+     * wait for each other and only one prompt shows at a time.
+     * @param {string} fileName - Name of the file shown in the prompt
+     * @param {boolean} retry - Whether the previous password was wrong
+     * @returns {Promise<?string>} The password, or null when the prompt was cancelled
+     */
+    ask(fileName, retry = false) {
+        const answer = this.queue.then(() => this.show(fileName, retry));
+        this.queue = answer;
+        return answer;
+    },
+
+    show(fileName, retry) {
+        const { modal, form, fileName: fileNameLabel, input, error, cancelBtn } = this.elements;
+        if (!modal) return Promise.resolve(null);
+
+        return new Promise(resolve => {
+            const finish = (password) => {
+                form.removeEventListener('submit', onSubmit);
+                cancelBtn.removeEventListener('click', onCancel);
+                modal.removeEventListener('keydown', onKeydown);
+                modal.classList.add('hidden');
+                resolve(password);
+            };
+            const onSubmit = (e) => {
+                e.preventDefault();
+                finish(input.value);
+            };
+            const onCancel = () => finish(null);
+            const onKeydown = (e) => {
+                if (e.key === 'Escape') finish(null);
+            };
+
+            form.addEventListener('submit', onSubmit);
+            cancelBtn.addEventListener('click', onCancel);
+            modal.addEventListener('keydown', onKeydown);
+
+            fileNameLabel.textContent = fileName;
+            error.textContent = retry ? 'Incorrect password, please try again.' : '';
+            input.value = '';
+            modal.classList.remove('hidden');
+            input.focus();
+        });
+    }
+};
+
 // =========================================
 // Drag & Drop Handler Factory
 // =========================================
@@ -138,8 +452,13 @@ const LoadingOverlay = {
  * @param {HTMLElement} container - The upload container
  * @param {Function} onDrop - Callback when files are dropped
  * @param {Function} onError - Callback for errors
+ * @param {Object} options - Which files are accepted
+ * @param {Function} options.accept - Returns true for files to keep (PDFs by default)
+ * @param {string} options.description - Accepted files, as used in error messages
  */
-function setupDragAndDrop(container, onDrop, onError) {
+function setupDragAndDrop(container, onDrop, onError, options = {}) {
+    const { accept = isPdfFile, description = 'PDF files' } = options;
+
     container.addEventListener('dragover', (e) => {
         e.preventDefault();
         container.classList.add('drag-over');
@@ -155,625 +474,4255 @@ function setupDragAndDrop(container, onDrop, onError) {
         container.classList.remove('drag-over');
 
         const files = Array.from(e.dataTransfer.files);
-        const pdfFiles = files.filter(file => file.type === 'application/pdf' || file.name.toLowerCase().endsWith('.pdf'));
+        const acceptedFiles = files.filter(accept);
 
-        if (pdfFiles.length === 0) {
-            onError('Only PDF files are allowed.');
+        if (acceptedFiles.length === 0) {
+            onError(`Only ${description} are allowed.`);
             return;
         }
 
-        if (pdfFiles.length !== files.length) {
-            onError('Some non-PDF files were ignored.');
+        if (acceptedFiles.length !== files.length) {
+            onError(`Some files were ignored; only ${description} are allowed.`);
+        }
+
+        onDrop(acceptedFiles);
+    });
+}
+
+/**
+ * Make a thumbnail draggable so it can be dropped before or after its siblings
+ * Thumbnails are matched by their data-thumb-id attribute.
+ * @param {HTMLElement} element - The thumbnail element
+ * @param {HTMLElement} container - The container holding all reorderable thumbnails
+ * @param {Function} onReorder - Callback after a drag ends or an element is moved
+ */
+function setupThumbnailReordering(element, container, onReorder) {
+    const clearIndicators = (except = null) => {
+        container.querySelectorAll('.page-thumbnail').forEach(el => {
+            if (el !== except) {
+                el.classList.remove('drag-over-left');
+                el.classList.remove('drag-over-right');
+            }
+        });
+    };
+
+    element.addEventListener('dragstart', (e) => {
+        element.classList.add('dragging');
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', element.getAttribute('data-thumb-id'));
+    });
+
+    element.addEventListener('dragend', () => {
+        element.classList.remove('dragging');
+        clearIndicators();
+        onReorder();
+    });
+
+    element.addEventListener('dragover', (e) => {
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+
+        const rect = element.getBoundingClientRect();
+        const midX = rect.left + rect.width / 2;
+
+        clearIndicators(element);
+
+        if (e.clientX < midX) {
+            element.classList.add('drag-over-left');
+            element.classList.remove('drag-over-right');
+        } else {
+            element.classList.remove('drag-over-left');
+            element.classList.add('drag-over-right');
+        }
+    });
+
+    element.addEventListener('dragleave', () => {
+        element.classList.remove('drag-over-left');
+        element.classList.remove('drag-over-right');
+    });
+
+    element.addEventListener('drop', (e) => {
+        e.preventDefault();
+        const draggingThumbId = e.dataTransfer.getData('text/plain');
+        const draggingElement = container.querySelector(`.page-thumbnail[data-thumb-id="${draggingThumbId}"]`);
+
+        if (draggingElement && draggingElement !== element) {
+            const rect = element.getBoundingClientRect();
+            const midX = rect.left + rect.width / 2;
+
+            if (e.clientX < midX) {
+                container.insertBefore(draggingElement, element);
+            } else {
+                container.insertBefore(draggingElement, element.nextSibling);
+            }
+            onReorder();
         }
 
-        onDrop(pdfFiles);
+        element.classList.remove('drag-over-left');
+        element.classList.remove('drag-over-right');
     });
 }
 
 // =========================================
-// PDF Operations
+// Edit History
 // =========================================
 
+// Undo steps kept per tab; older ones are dropped
+const HISTORY_LIMIT = 100;
+
 /**
- * Get the number of pages in a PDF document
- * @param {File} file - The PDF file
- * @returns {Promise<number>} Page count
+ * Compare two history snapshots: arrays and plain objects by content, anything else by identity
+ * @param {*} a - First snapshot
+ * @param {*} b - Second snapshot
+ * @returns {boolean}
  */
-async function getPdfPageCount(file) {
-    const arrayBuffer = await readFileAsArrayBuffer(file);
-    const pdf = await PDFLib.PDFDocument.load(arrayBuffer);
-    return pdf.getPageCount();
+function snapshotsEqual(a, b) {
+    if (a === b) return true;
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((value, i) => snapshotsEqual(value, b[i]));
+    }
+    if (a?.constructor === Object && b?.constructor === Object) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every(key => snapshotsEqual(a[key], b[key]));
+    }
+    return false;
+}
+
+/**
+ * Create the undo/redo history of a tab
+ * Edits are kept as snapshots of the tab's arrangement: after changing something, the owner
+ * calls commit() with a label, and undo/redo hand the snapshot from before or after that step
+ * to restore(). New page or file operations plug in by calling commit() when they are done.
+ * Ctrl+Z undoes and Ctrl+Shift+Z (or Ctrl+Y) redoes while the tab is shown, except in text
+ * fields, which have their own undo, and while a dialog is open.
+ * @param {Object} options - History options
+ * @param {Function} options.capture - Returns a snapshot of the current arrangement
+ * @param {Function} options.restore - Puts a snapshot back in place; must not call commit()
+ * @param {HTMLElement} options.tab - Tab content the shortcuts belong to
+ * @param {HTMLButtonElement} options.undoBtn - Undo button
+ * @param {HTMLButtonElement} options.redoBtn - Redo button
+ * @param {Function} options.onChange - Called whenever steps are added, undone or cleared
+ * @returns {{commit: function(string): void, undo: function(): void, redo: function(): void, reset: function(): void, canUndo: function(): boolean, canRedo: function(): boolean}}
+ */
+function createEditHistory({ capture, restore, tab, undoBtn, redoBtn, onChange = () => { } }) {
+    const undoStack = [];
+    const redoStack = [];
+    let current = capture();
+
+    const updateButtons = () => {
+        const undoStep = undoStack[undoStack.length - 1];
+        const redoStep = redoStack[redoStack.length - 1];
+        if (undoBtn) {
+            undoBtn.disabled = !undoStep;
+            undoBtn.title = undoStep ? `Undo ${undoStep.label} (Ctrl+Z)` : 'Nothing to undo';
+        }
+        if (redoBtn) {
+            redoBtn.disabled = !redoStep;
+            redoBtn.title = redoStep ? `Redo ${redoStep.label} (Ctrl+Shift+Z)` : 'Nothing to redo';
+        }
+    };
+
+    const changed = () => {
+        updateButtons();
+        onChange();
+    };
+
+    const goTo = (snapshot) => {
+        current = snapshot;
+        restore(snapshot);
+        changed();
+    };
+
+    const history = {
+        commit(label) {
+            const next = capture();
+            if (snapshotsEqual(current, next)) return;
+
+            undoStack.push({ label, before: current, after: next });
+            if (undoStack.length > HISTORY_LIMIT) undoStack.shift();
+            redoStack.length = 0;
+            current = next;
+            changed();
+        },
+
+        undo() {
+            const step = undoStack.pop();
+            if (!step) return;
+            redoStack.push(step);
+            goTo(step.before);
+        },
+
+        redo() {
+            const step = redoStack.pop();
+            if (!step) return;
+            undoStack.push(step);
+            goTo(step.after);
+        },
+
+        /**
+         * Forget every step and start over from the current arrangement, e.g. for a new file
+         */
+        reset() {
+            undoStack.length = 0;
+            redoStack.length = 0;
+            current = capture();
+            changed();
+        },
+
+        canUndo() {
+            return undoStack.length > 0;
+        },
+
+        canRedo() {
+            return redoStack.length > 0;
+        }
+    };
+
+    undoBtn?.addEventListener('click', () => history.undo());
+    redoBtn?.addEventListener('click', () => history.redo());
+
+    document.addEventListener('keydown', (e) => {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+        const key = e.key.toLowerCase();
+        if (key !== 'z' && key !== 'y') return;
+        if (!tab?.classList.contains('active')) return;
+        if (e.target.matches?.('input, textarea, select, [contenteditable="true"]')) return;
+        if (document.querySelector('.preview-modal:not(.hidden), .loading-overlay:not(.hidden)')) return;
+
+        e.preventDefault();
+        if (key === 'y' || e.shiftKey) {
+            history.redo();
+        } else {
+            history.undo();
+        }
+    });
+
+    updateButtons();
+    return history;
 }
 
 // =========================================
-// Page Preview Controller
+// Session Storage
 // =========================================
 
-const PagePreview = {
-    pdfDoc: null,
-    currentPage: 1,
-    totalPages: 0,
-    zoomLevel: 1,
-    file: null,
-    selectedPages: new Set(),
-    onSelectionChange: null,
+const SESSION_DB_NAME = 'pdfEditor.session';
+// Edits settle for this long (ms) before the session is written
+const SESSION_SAVE_DELAY = 500;
+
+/**
+ * Key a file is stored under in the session database
+ * @param {string} tab - Tab the file belongs to, e.g. 'merge'
+ * @returns {string} e.g. "merge:lq2x7c-4f9k2a"
+ */
+function createSessionKey(tab) {
+    return `${tab}:${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Keeps each tab's working session in IndexedDB, so a reload or a crash does not lose it
+ * The 'state' store holds one record per tab ('merge', 'split') and the 'files' store the
+ * files those records name, under keys from createSessionKey. A file is written once, when a
+ * record first names it, and deleted once its tab's record no longer does. Like everything
+ * else here, the files never leave the browser.
+ */
+const SessionStore = {
+    dbPromise: null,
+    enabled: typeof indexedDB !== 'undefined',
+    timers: new Map(), // tab -> pending save
+    writes: new Set(), // saves already under way
+    saveFailed: false,
+    savedStatus: '',
 
     // DOM elements
     elements: {
-        previewSection: null,
-        thumbnailsContainer: null,
-        modal: null,
-        previewCanvas: null,
-        pageInfo: null,
-        prevBtn: null,
-        nextBtn: null,
-        closeBtn: null,
-        zoomInBtn: null,
-        zoomOutBtn: null,
-        zoomLevel: null
+        bar: null,
+        status: null,
+        clearBtn: null
     },
 
     init() {
         this.elements = {
-            previewSection: document.getElementById('pagePreviewSection'),
-            thumbnailsContainer: document.getElementById('pageThumbnails'),
-            modal: document.getElementById('previewModal'),
-            previewCanvas: document.getElementById('previewCanvas'),
-            pageInfo: document.getElementById('previewPageInfo'),
-            prevBtn: document.getElementById('previewPrevBtn'),
-            nextBtn: document.getElementById('previewNextBtn'),
-            closeBtn: document.getElementById('previewCloseBtn'),
-            zoomInBtn: document.getElementById('zoomInBtn'),
-            zoomOutBtn: document.getElementById('zoomOutBtn'),
-            zoomLevel: document.getElementById('zoomLevel')
+            bar: document.getElementById('sessionBar'),
+            status: document.getElementById('sessionStatus'),
+            clearBtn: document.getElementById('clearSessionBtn')
         };
 
-        this.setupEventListeners();
+        this.savedStatus = this.elements.status?.textContent || '';
+
+        this.elements.bar?.classList.toggle('hidden', !this.enabled);
+        this.elements.clearBtn?.addEventListener('click', async () => {
+            if (!confirm('Remove the saved files and page arrangements from this browser and start over?')) return;
+            try {
+                await this.clear();
+            } catch (error) {
+                console.error('Error clearing session:', error);
+                this.setStatus(`The session could not be cleared: ${error.message}`);
+                return;
+            }
+            location.reload();
+        });
     },
 
-    setupEventListeners() {
-        // Modal controls
-        this.elements.closeBtn?.addEventListener('click', () => this.closeModal());
-        this.elements.prevBtn?.addEventListener('click', () => this.navigatePage(-1));
-        this.elements.nextBtn?.addEventListener('click', () => this.navigatePage(1));
-        this.elements.zoomInBtn?.addEventListener('click', () => this.adjustZoom(0.25));
-        this.elements.zoomOutBtn?.addEventListener('click', () => this.adjustZoom(-0.25));
+    setStatus(text) {
+        if (this.elements.status) this.elements.status.textContent = text;
+    },
 
-        // Select/Deselect all buttons
-        document.getElementById('selectAllPagesBtn')?.addEventListener('click', () => this.selectAll());
-        document.getElementById('deselectAllPagesBtn')?.addEventListener('click', () => this.deselectAll());
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(SESSION_DB_NAME, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore('state');
+                    request.result.createObjectStore('files');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    },
 
-        // Close modal on background click
-        this.elements.modal?.addEventListener('click', (e) => {
-            if (e.target === this.elements.modal) {
-                this.closeModal();
-            }
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
         });
+    },
 
-        // Keyboard navigation
-        document.addEventListener('keydown', (e) => {
-            if (this.elements.modal?.classList.contains('hidden')) return;
-
-            switch (e.key) {
-                case 'Escape':
-                    this.closeModal();
-                    break;
-                case 'ArrowLeft':
-                    this.navigatePage(-1);
-                    break;
-                case 'ArrowRight':
-                    this.navigatePage(1);
-                    break;
-                case '+':
-                case '=':
-                    this.adjustZoom(0.25);
-                    break;
-                case '-':
-                    this.adjustZoom(-0.25);
-                    break;
-            }
-        });
+    getFileRange(tab) {
+        return IDBKeyRange.bound(`${tab}:`, `${tab}:\uffff`);
     },
 
-    async loadPdf(file) {
-        this.file = file;
-        this.elements.previewSection?.classList.remove('hidden');
-        this.elements.thumbnailsContainer.innerHTML = '';
+    /**
+     * Read a tab's saved session
+     * @param {string} tab - 'merge' or 'split'
+     * @returns {Promise<?{state: Object, files: Map<string, File>}>} Null when there is none
+     */
+    async load(tab) {
+        if (!this.enabled) return null;
 
         try {
-            const arrayBuffer = await readFileAsArrayBuffer(file);
-            this.pdfDoc = await pdfjsLib.getDocument({ data: arrayBuffer }).promise;
-            this.totalPages = this.pdfDoc.numPages;
-
-            await this.generateThumbnails();
+            const db = await this.open();
+            const transaction = db.transaction(['state', 'files'], 'readonly');
+            const fileStore = transaction.objectStore('files');
+            const [state, keys, files] = await Promise.all([
+                this.request(transaction.objectStore('state').get(tab)),
+                this.request(fileStore.getAllKeys(this.getFileRange(tab))),
+                this.request(fileStore.getAll(this.getFileRange(tab)))
+            ]);
+            if (!state) return null;
+            return { state, files: new Map(keys.map((key, i) => [key, files[i]])) };
         } catch (error) {
-            console.error('Error loading PDF for preview:', error);
-            this.elements.previewSection?.classList.add('hidden');
+            // Private windows and locked-down browsers may refuse storage; the app works without it
+            console.warn('Session storage unavailable:', error);
+            this.enabled = false;
+            this.elements.bar?.classList.add('hidden');
+            return null;
         }
     },
 
-    async generateThumbnails() {
-        const batchSize = 5;
+    /**
+     * Save a tab's session once edits have settled
+     * @param {string} tab - 'merge' or 'split'
+     * @param {Function} capture - Returns (or resolves to) { state, files } at save time, where
+     *   files maps the keys the state names to their File; null drops the tab's session
+     */
+    save(tab, capture) {
+        if (!this.enabled) return;
+
+        clearTimeout(this.timers.get(tab));
+        this.timers.set(tab, setTimeout(() => {
+            this.timers.delete(tab);
+            const saving = this.saveNow(tab, capture);
+            this.writes.add(saving);
+            saving.finally(() => this.writes.delete(saving));
+        }, SESSION_SAVE_DELAY));
+    },
 
-        for (let i = 1; i <= this.totalPages; i += batchSize) {
-            const promises = [];
-            for (let j = i; j < i + batchSize && j <= this.totalPages; j++) {
-                promises.push(this.createThumbnail(j));
+    async saveNow(tab, capture) {
+        try {
+            const session = await capture();
+            // The session may have been cleared while the capture waited
+            if (!this.enabled) return;
+            await this.write(tab, session?.state ?? null, session?.files ?? new Map());
+            if (this.saveFailed) {
+                this.saveFailed = false;
+                this.setStatus(this.savedStatus);
             }
-            await Promise.all(promises);
+        } catch (error) {
+            console.error('Error saving session:', error);
+            this.saveFailed = true;
+            this.setStatus(`This session could not be saved: ${error.message}`);
         }
     },
 
-    async createThumbnail(pageNum) {
-        const thumbnailDiv = document.createElement('div');
-        thumbnailDiv.className = 'page-thumbnail';
-        thumbnailDiv.setAttribute('data-page', pageNum);
-        thumbnailDiv.draggable = true; // Enable dragging
+    async write(tab, state, files) {
+        const db = await this.open();
+        const transaction = db.transaction(['state', 'files'], 'readwrite');
+        const done = new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Saving was cancelled'));
+        });
 
-        // Add loading indicator
-        const loading = document.createElement('div');
-        loading.className = 'page-thumbnail-loading';
-        thumbnailDiv.appendChild(loading);
+        const stateStore = transaction.objectStore('state');
+        if (state) {
+            stateStore.put(state, tab);
+        } else {
+            stateStore.delete(tab);
+        }
 
-        // Add page number
-        const pageLabel = document.createElement('div');
-        pageLabel.className = 'page-thumbnail-number';
+        const fileStore = transaction.objectStore('files');
+        const stored = new Set(await this.request(fileStore.getAllKeys(this.getFileRange(tab))));
+        files.forEach((file, key) => {
+            if (!stored.has(key)) fileStore.put(file, key);
+        });
+        stored.forEach(key => {
+            if (!files.has(key)) fileStore.delete(key);
+        });
+
+        await done;
+    },
+
+    async clear() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        // Nothing may be written again before the page reloads, and saves under way finish first
+        this.enabled = false;
+
+        try {
+            await Promise.all(this.writes);
+            const db = await this.open();
+            const transaction = db.transaction(['state', 'files'], 'readwrite');
+            transaction.objectStore('state').clear();
+            transaction.objectStore('files').clear();
+            await new Promise((resolve, reject) => {
+                transaction.oncomplete = resolve;
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error || new Error('Clearing was cancelled'));
+            });
+        } catch (error) {
+            // The session is still there, so keep saving it
+            this.enabled = true;
+            throw error;
+        }
+    }
+};
+
+// =========================================
+// Offline Support
+// =========================================
+
+/**
+ * Registers the service worker (sw.js) that keeps a copy of the app for offline use, and
+ * shows the app version and whether that copy is ready
+ * A new version waits until "Update now" is pressed, so an open tab keeps running the files
+ * it was loaded with.
+ */
+const OfflineStatus = {
+    registration: null,
+    updating: false, // "Update now" was pressed
+
+    // DOM elements
+    elements: {
+        status: null,
+        updateBtn: null
+    },
+
+    init() {
+        this.elements = {
+            status: document.getElementById('offlineStatus'),
+            updateBtn: document.getElementById('appUpdateBtn')
+        };
+
+        document.querySelectorAll('[data-app-version]').forEach(element => {
+            element.textContent = typeof APP_VERSION !== 'undefined' ? APP_VERSION : 'unknown';
+        });
+        document.querySelectorAll('[data-app-release-date]').forEach(element => {
+            element.textContent = typeof APP_RELEASE_DATE !== 'undefined'
+                ? new Date(`${APP_RELEASE_DATE}T00:00:00`).toLocaleDateString(undefined, { year: 'numeric', month: 'long', day: 'numeric' })
+                : 'unknown';
+        });
+
+        this.elements.updateBtn?.addEventListener('click', () => {
+            this.updating = true;
+            this.elements.updateBtn.disabled = true;
+            this.registration?.waiting?.postMessage({ type: 'skipWaiting' });
+        });
+
+        if (!('serviceWorker' in navigator) || !window.isSecureContext) {
+            this.setStatus('Offline use needs the app to be served over HTTPS');
+            return;
+        }
+
+        window.addEventListener('online', () => this.update());
+        window.addEventListener('offline', () => this.update());
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            // The new version took over after "Update now"; load its files. The first install
+            // also takes control of the page, which needs no reload.
+            if (this.updating) location.reload();
+        });
+
+        this.register();
+    },
+
+    async register() {
+        try {
+            this.registration = await navigator.serviceWorker.register('sw.js');
+        } catch (error) {
+            console.warn('Service worker registration failed:', error);
+            this.setStatus('Offline use is not available: the app could not be saved in this browser');
+            return;
+        }
+
+        this.registration.addEventListener('updatefound', () => this.watch(this.registration.installing));
+        this.watch(this.registration.installing || this.registration.waiting);
+        this.update();
+    },
+
+    /**
+     * Follow a service worker through installing, so the status changes when it is done
+     * @param {?ServiceWorker} worker
+     */
+    watch(worker) {
+        worker?.addEventListener('statechange', () => this.update());
+        this.update();
+    },
+
+    update() {
+        const registration = this.registration;
+        if (!registration) return;
+
+        const offline = navigator.onLine === false;
+        const installed = Boolean(registration.active);
+        this.elements.updateBtn?.classList.toggle('hidden', !(installed && registration.waiting));
+
+        if (registration.waiting && installed) {
+            this.setStatus('A new version is ready');
+        } else if (registration.installing) {
+            this.setStatus(installed ? 'Downloading an update...' : 'Saving the app for offline use...');
+        } else if (installed) {
+            this.setStatus(offline ? 'Working offline' : 'Ready to work offline');
+        } else {
+            this.setStatus('Offline use is not available: the app could not be saved in this browser');
+        }
+    },
+
+    setStatus(text) {
+        if (this.elements.status) this.elements.status.textContent = text;
+    }
+};
+
+// =========================================
+// PDF Operations
+// =========================================
+
+/**
+ * Get the number of pages in a PDF document
+ * @param {File} file - The PDF file
+ * @returns {Promise<number>} Page count
+ */
+async function getPdfPageCount(file) {
+    const arrayBuffer = await readFileAsArrayBuffer(file);
+    const pdf = await PDFLib.PDFDocument.load(arrayBuffer);
+    return pdf.getPageCount();
+}
+
+/**
+ * Open a document with pdf.js, asking for the password when pdf.js needs one
+ * @param {ArrayBuffer} data - The PDF
+ * @param {string} fileName - Name shown in the password prompt
+ * @returns {Promise<Object>} pdf.js document proxy
+ */
+function loadPdfJsDocument(data, fileName) {
+    const loadingTask = pdfjsLib.getDocument({ data });
+    loadingTask.onPassword = (updatePassword, reason) => {
+        const retry = reason === pdfjsLib.PasswordResponses.INCORRECT_PASSWORD;
+        PasswordPrompt.ask(fileName, retry).then(password => {
+            if (password === null) {
+                loadingTask.destroy();
+            } else {
+                updatePassword(password);
+            }
+        });
+    };
+    return loadingTask.promise;
+}
+
+/**
+ * Render a pdf.js page into a canvas
+ * @param {Object} page - pdf.js page proxy
+ * @param {Object} viewport - pdf.js viewport to render with
+ * @param {HTMLCanvasElement} canvas - Target canvas, a new one is created when omitted
+ * @returns {Promise<HTMLCanvasElement>} The rendered canvas
+ */
+async function renderPageToCanvas(page, viewport, canvas = document.createElement('canvas')) {
+    const context = canvas.getContext('2d');
+    canvas.width = viewport.width;
+    canvas.height = viewport.height;
+
+    await page.render({
+        canvasContext: context,
+        viewport: viewport
+    }).promise;
+
+    return canvas;
+}
+
+/**
+ * Read the EXIF orientation of a JPEG
+ * @param {ArrayBuffer} buffer - JPEG file contents
+ * @returns {number} EXIF orientation 1-8 (1 = upright, also returned when there is none)
+ */
+function getJpegOrientation(buffer) {
+    const view = new DataView(buffer);
+    try {
+        if (view.getUint16(0) !== 0xFFD8) return 1;
+
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            // APP1 segment starting with "Exif\0\0", followed by a TIFF header
+            if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) {
+                const tiff = offset + 10;
+                const littleEndian = view.getUint16(tiff) === 0x4949;
+                const ifd = tiff + view.getUint32(tiff + 4, littleEndian);
+                const entries = view.getUint16(ifd, littleEndian);
+                for (let i = 0; i < entries; i++) {
+                    const entry = ifd + 2 + i * 12;
+                    if (view.getUint16(entry, littleEndian) === 0x0112) {
+                        return view.getUint16(entry + 8, littleEndian);
+                    }
+                }
+                return 1;
+            }
+            // Image data starts at SOS; nothing after it is metadata
+            if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break;
+            offset += 2 + view.getUint16(offset + 2);
+        }
+    } catch (error) {
+        // Truncated or malformed segments: treat as upright
+    }
+    return 1;
+}
+
+/**
+ * Read an image file into a form pdf-lib can embed
+ * WebP images and JPEGs with an EXIF rotation (phone photos) are redrawn through a canvas,
+ * so the embedded image is always PNG or JPEG and upright.
+ * @param {File} file - A JPEG, PNG or WebP image
+ * @returns {Promise<{bytes: ArrayBuffer, type: string, width: number, height: number}>}
+ */
+async function readImageFile(file) {
+    const type = getImageType(file);
+    if (!type) throw new Error(`Unsupported image type: ${file.name}`);
+
+    const bytes = await readFileAsArrayBuffer(file);
+    const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+
+    try {
+        const upright = type === 'png' || (type === 'jpg' && getJpegOrientation(bytes) === 1);
+        if (upright) {
+            return { bytes, type, width: bitmap.width, height: bitmap.height };
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        const context = canvas.getContext('2d');
+        // Transparent areas would turn black in a JPEG
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(bitmap, 0, 0);
+
+        const blob = await new Promise((resolve, reject) => {
+            canvas.toBlob(result => result ? resolve(result) : reject(new Error(`Failed to convert image: ${file.name}`)),
+                'image/jpeg', 0.92);
+        });
+        return { bytes: await readFileAsArrayBuffer(blob), type: 'jpg', width: canvas.width, height: canvas.height };
+    } finally {
+        bitmap.close();
+    }
+}
+
+/**
+ * Draw an image read by readImageFile into a thumbnail canvas
+ * @param {Object} image - Image as returned by readImageFile
+ * @param {number} maxSize - Longest side of the thumbnail in pixels
+ * @returns {Promise<HTMLCanvasElement>}
+ */
+async function renderImageToCanvas(image, maxSize) {
+    const mimeType = image.type === 'png' ? 'image/png' : 'image/jpeg';
+    const bitmap = await createImageBitmap(new Blob([image.bytes], { type: mimeType }));
+    const scale = Math.min(1, maxSize / Math.max(bitmap.width, bitmap.height));
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+    canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    return canvas;
+}
+
+/**
+ * Render every page of a PDF to an image file
+ * Uses the same pdf.js render path as the previews, at the requested resolution.
+ * @param {Uint8Array} pdfBytes - The PDF to render
+ * @param {Function} onProgress - Progress callback (0-100)
+ * @param {Object} options - Image options
+ * @param {string} options.format - 'png' or 'jpeg'
+ * @param {number} options.dpi - Resolution in dots per inch
+ * @param {number} options.quality - JPEG quality from 0 to 1
+ * @returns {Promise<Blob[]>} One image per page
+ */
+async function renderPdfToImages(pdfBytes, onProgress = () => { }, options = {}) {
+    const { format = 'png', dpi = 150, quality = 0.92 } = options;
+    const mimeType = format === 'jpeg' ? 'image/jpeg' : 'image/png';
+    const pdfDoc = await pdfjsLib.getDocument({ data: pdfBytes }).promise;
+    const images = [];
+
+    try {
+        for (let pageNum = 1; pageNum <= pdfDoc.numPages; pageNum++) {
+            onProgress(Math.round(((pageNum - 1) / pdfDoc.numPages) * 100), `Rendering page ${pageNum} of ${pdfDoc.numPages}...`);
+
+            const page = await pdfDoc.getPage(pageNum);
+            const canvas = await renderPageToCanvas(page, page.getViewport({ scale: dpi / 72 }));
+            const blob = await new Promise((resolve, reject) => {
+                canvas.toBlob(result => result ? resolve(result) : reject(new Error(`Failed to encode page ${pageNum}`)),
+                    mimeType, quality);
+            });
+            images.push(blob);
+
+            // Large canvases hold a lot of memory; release this one before the next page
+            canvas.width = 0;
+            canvas.height = 0;
+            page.cleanup();
+        }
+    } finally {
+        pdfDoc.destroy();
+    }
+
+    onProgress(100, 'Complete!');
+    return images;
+}
+
+/**
+ * Read the positioned text of one page with pdf.js
+ * Positions are in the page's displayed orientation (its /Rotate applied) at 72 units per inch,
+ * with the origin at the top left and y growing downwards. Whitespace-only items are dropped;
+ * spacing is rebuilt from the gaps between items when lines are put together. Each item also
+ * gets a core box in a frame turned so that the page's main writing direction runs left to
+ * right, which is what reading order is worked out in.
+ * @param {Object} page - pdf.js page proxy
+ * @returns {Promise<{width: number, height: number, items: Array}>} Page size and text items
+ */
+async function readPageTextItems(page) {
+    const viewport = page.getViewport({ scale: 1 });
+    const textContent = await page.getTextContent();
+
+    const runs = textContent.items
+        .filter(item => item.str && item.str.trim())
+        .map(item => ({ item, transform: pdfjsLib.Util.transform(viewport.transform, item.transform) }))
+        .filter(({ transform: [a, b, c, d] }) => Math.hypot(a, b) && Math.hypot(c, d));
+
+    // Quarter turn of the writing direction that carries the most text
+    const weights = [0, 0, 0, 0];
+    runs.forEach(({ item, transform: [a, b] }) => {
+        weights[((Math.round(Math.atan2(b, a) / (Math.PI / 2)) % 4) + 4) % 4] += item.str.length;
+    });
+    const turn = weights.indexOf(Math.max(...weights));
+    const cos = [1, 0, -1, 0][turn];
+    const sin = [0, 1, 0, -1][turn];
+    const straighten = (x, y) => [x * cos + y * sin, y * cos - x * sin];
+
+    const items = runs.map(({ item, transform: [a, b, c, d, e, f] }) => {
+        const fontSize = Math.hypot(c, d);
+        const advance = Math.hypot(a, b);
+
+        // Unit vectors along the baseline and towards the top of the glyphs
+        const along = [a / advance, b / advance];
+        const up = [c / fontSize, d / fontSize];
+        const width = item.width * viewport.scale;
+
+        // Axis-aligned box around the part of the item between the given heights (in ems)
+        const boxAt = (low, high, frame = (x, y) => [x, y]) => {
+            const points = [];
+            [0, width].forEach(s => [low, high].forEach(t => {
+                points.push(frame(
+                    e + along[0] * s + up[0] * t * fontSize,
+                    f + along[1] * s + up[1] * t * fontSize
+                ));
+            }));
+            return {
+                left: Math.min(...points.map(([x]) => x)),
+                right: Math.max(...points.map(([x]) => x)),
+                top: Math.min(...points.map(([, y]) => y)),
+                bottom: Math.max(...points.map(([, y]) => y))
+            };
+        };
+
+        return {
+            text: item.str,
+            fontSize,
+            baseline: straighten(e, f)[1],
+            box: boxAt(-0.2, 0.8),
+            // Lines are told apart by the band between baseline and x-height, which tightly
+            // leaded text keeps clear of the line above
+            core: boxAt(0, 0.6, straighten)
+        };
+    });
+
+    return { width: viewport.width, height: viewport.height, items };
+}
+
+/**
+ * Put a page's text items together into lines, in reading order
+ * The page is cut recursively at whitespace (an XY cut): a vertical gutter at least 1.5 ems
+ * wide with a text column of 10 ems or more on both sides splits columns, otherwise the widest
+ * horizontal gap splits blocks. What is left once nothing more can be cut is one or more lines
+ * sharing a band, grouped by baseline and read left to right.
+ * @param {Array} items - Items from readPageTextItems
+ * @returns {Array<{text: string, items: Array, fontSize: number, box: Object, paragraph: boolean}>}
+ *   Lines; paragraph is true for a line that starts a new paragraph
+ */
+function buildTextLines(items) {
+    if (items.length === 0) return [];
+
+    const sizes = items.map(item => item.fontSize).sort((a, b) => a - b);
+    const em = sizes[Math.floor(sizes.length / 2)];
+    const lines = [];
+
+    const findGap = (group, start, end) => {
+        const sorted = group.slice().sort((a, b) => a.core[start] - b.core[start]);
+        let reach = sorted[0].core[end];
+        let best = null;
+        for (let i = 1; i < sorted.length; i++) {
+            const gap = sorted[i].core[start] - reach;
+            if (gap > 0 && (!best || gap > best.gap)) best = { gap, before: sorted.slice(0, i), after: sorted.slice(i) };
+            reach = Math.max(reach, sorted[i].core[end]);
+        }
+        return best;
+    };
+
+    const extent = (group) => Math.max(...group.map(item => item.core.right)) - Math.min(...group.map(item => item.core.left));
+
+    const cut = (group) => {
+        const column = findGap(group, 'left', 'right');
+        if (column && column.gap >= em * 1.5 && extent(column.before) >= em * 10 && extent(column.after) >= em * 10) {
+            cut(column.before);
+            cut(column.after);
+            return;
+        }
+
+        const block = findGap(group, 'top', 'bottom');
+        if (block) {
+            cut(block.before);
+            cut(block.after);
+            return;
+        }
+
+        // One band: split it into lines by baseline, which only matters when lines overlap
+        const band = [];
+        group.slice().sort((a, b) => a.baseline - b.baseline).forEach(item => {
+            const line = band[band.length - 1];
+            if (line && item.baseline - line.baseline < Math.min(item.fontSize, line.fontSize) * 0.5) {
+                line.items.push(item);
+            } else {
+                band.push({ baseline: item.baseline, fontSize: item.fontSize, items: [item] });
+            }
+        });
+        band.forEach(line => lines.push(line.items.sort((a, b) => a.core.left - b.core.left)));
+    };
+
+    cut(items);
+
+    let previous = null;
+    return lines.map(lineItems => {
+        let text = '';
+        lineItems.forEach((item, i) => {
+            const before = lineItems[i - 1];
+            if (before && item.core.left - before.core.right > Math.min(item.fontSize, before.fontSize) * 0.1 &&
+                !/\s$/.test(text) && !/^\s/.test(item.text)) {
+                text += ' ';
+            }
+            text += item.text;
+        });
+
+        const box = {
+            left: Math.min(...lineItems.map(item => item.box.left)),
+            right: Math.max(...lineItems.map(item => item.box.right)),
+            top: Math.min(...lineItems.map(item => item.box.top)),
+            bottom: Math.max(...lineItems.map(item => item.box.bottom))
+        };
+        const fontSize = Math.max(...lineItems.map(item => item.fontSize));
+
+        // A wide gap above, a jump back up (the next column) or a change of size starts a paragraph
+        const paragraph = !previous ||
+            box.top - previous.box.bottom > previous.fontSize * 0.6 ||
+            box.bottom < previous.box.top ||
+            Math.abs(fontSize - previous.fontSize) > Math.min(fontSize, previous.fontSize) * 0.2;
+
+        previous = { text: text.trim(), items: lineItems, fontSize, box, paragraph };
+        return previous;
+    });
+}
+
+/**
+ * Read the text of every page of a PDF, reconstructed into lines in reading order
+ * @param {Uint8Array} pdfBytes - The PDF to read
+ * @param {Function} onProgress - Progress callback (0-100)
+ * @returns {Promise<Array<{width: number, height: number, items: Array, lines: Array}>>}
+ *   One entry per page (see readPageTextItems and buildTextLines)
+ */
+async function extractPdfText(pdfBytes, onProgress = () => { }) {
+    const pdfDoc = await pdfjsLib.getDocument({ data: pdfBytes }).promise;
+    const pages = [];
+
+    try {
+        for (let pageNum = 1; pageNum <= pdfDoc.numPages; pageNum++) {
+            onProgress(Math.round(((pageNum - 1) / pdfDoc.numPages) * 100), `Reading text on page ${pageNum} of ${pdfDoc.numPages}...`);
+
+            const page = await pdfDoc.getPage(pageNum);
+            const { width, height, items } = await readPageTextItems(page);
+            pages.push({ width, height, items, lines: buildTextLines(items) });
+            page.cleanup();
+        }
+    } finally {
+        pdfDoc.destroy();
+    }
+
+    onProgress(100, 'Complete!');
+    return pages;
+}
+
+/**
+ * Escape the characters Markdown would read as formatting
+ * @param {string} text - One line of plain text
+ * @returns {string} Text that renders as itself
+ */
+function escapeMarkdown(text) {
+    return text
+        .replace(/[\\`*_[\]<>|~]/g, '\\$&')
+        .replace(/^(#{1,6}|[-+])(?=\s|$)/, '\\$1')
+        .replace(/^([-=])(?=\1*\s*$)/, '\\$1')
+        .replace(/^(\d+)([.)])(?=\s|$)/, '$1\\$2');
+}
+
+/**
+ * Format text read by extractPdfText for download
+ * Plain text puts each paragraph's lines together with blank lines between paragraphs and a
+ * form feed between pages. Markdown adds a heading per page, a rule between pages and turns
+ * lines set noticeably larger than the page's body text into headings. JSON keeps every
+ * item's position for indexing.
+ * @param {Array} pages - Pages from extractPdfText
+ * @param {string} format - 'txt', 'md' or 'json'
+ * @param {Object} source - Where the text came from
+ * @param {string} source.fileName - Name of the source document
+ * @param {number[]} source.pageNumbers - Source page number of each entry in pages
+ * @returns {string} The file contents
+ */
+function formatExtractedText(pages, format, source) {
+    const round = (value) => Math.round(value * 100) / 100;
+    const toRect = (box) => ({
+        x: round(box.left),
+        y: round(box.top),
+        width: round(box.right - box.left),
+        height: round(box.bottom - box.top)
+    });
+
+    const toParagraphs = (lines) => lines.reduce((paragraphs, line) => {
+        if (line.paragraph || paragraphs.length === 0) paragraphs.push([]);
+        paragraphs[paragraphs.length - 1].push(line);
+        return paragraphs;
+    }, []);
+
+    const pageText = (page) => toParagraphs(page.lines)
+        .map(paragraph => paragraph.map(line => line.text).join('\n'))
+        .join('\n\n');
+
+    if (format === 'json') {
+        return JSON.stringify({
+            source: source.fileName,
+            units: 'PDF points (1/72 inch) from the top left of the page as displayed',
+            pages: pages.map((page, i) => {
+                const lineIndex = new Map();
+                page.lines.forEach((line, index) => line.items.forEach(item => lineIndex.set(item, index)));
+
+                return {
+                    page: source.pageNumbers[i],
+                    width: round(page.width),
+                    height: round(page.height),
+                    text: pageText(page),
+                    lines: page.lines.map(line => ({ text: line.text, ...toRect(line.box), fontSize: round(line.fontSize) })),
+                    items: page.items.map(item => ({
+                        text: item.text,
+                        ...toRect(item.box),
+                        fontSize: round(item.fontSize),
+                        line: lineIndex.get(item)
+                    }))
+                };
+            })
+        }, null, 2);
+    }
+
+    if (format === 'md') {
+        const sections = pages.map((page, i) => {
+            const sizes = page.items.map(item => item.fontSize).sort((a, b) => a - b);
+            const bodySize = sizes[Math.floor(sizes.length / 2)];
+
+            const blocks = toParagraphs(page.lines).map(paragraph => {
+                const text = paragraph.map(line => escapeMarkdown(line.text)).join('\n');
+                const isHeading = paragraph.length <= 2 && paragraph[0].fontSize >= bodySize * 1.3 && text.length <= 120;
+                return isHeading ? `### ${text.replace(/\n/g, ' ')}` : text;
+            });
+
+            const body = blocks.length > 0 ? blocks.join('\n\n') : '_No text on this page._';
+            return `## Page ${source.pageNumbers[i]}\n\n${body}`;
+        });
+
+        return `# ${escapeMarkdown(source.fileName)}\n\n${sections.join('\n\n---\n\n')}\n`;
+    }
+
+    return `${pages.map(pageText).join('\n\f')}\n`;
+}
+
+/**
+ * Read a document's outline (bookmarks) with pdf.js, resolving each entry to a page number
+ * @param {Object} pdfDoc - pdf.js document proxy
+ * @returns {Promise<Array<{title: string, pageNum: ?number, depth: number, children: Array}>>}
+ *   Outline tree; pageNum is null for entries that do not point at a page
+ */
+async function getOutlineTree(pdfDoc) {
+    const outline = await pdfDoc.getOutline();
+    if (!outline) return [];
+
+    const resolvePage = async (dest) => {
+        try {
+            const explicitDest = typeof dest === 'string' ? await pdfDoc.getDestination(dest) : dest;
+            if (!Array.isArray(explicitDest)) return null;
+
+            const [target] = explicitDest;
+            const pageIndex = Number.isInteger(target) ? target : await pdfDoc.getPageIndex(target);
+            return pageIndex + 1;
+        } catch (error) {
+            return null;
+        }
+    };
+
+    const walk = (items, depth) => Promise.all(items.map(async (item) => ({
+        title: (item.title || '').trim() || 'Untitled',
+        pageNum: item.dest ? await resolvePage(item.dest) : null,
+        depth,
+        children: await walk(item.items || [], depth + 1)
+    })));
+
+    return walk(outline, 1);
+}
+
+/**
+ * Deepest level of an outline tree
+ * @param {Array} outline - Tree from getOutlineTree
+ * @returns {number} 0 for an empty outline
+ */
+function getOutlineDepth(outline) {
+    return outline.reduce((max, item) => Math.max(max, item.depth, getOutlineDepth(item.children)), 0);
+}
+
+/**
+ * Cut a document into sections at its bookmarks
+ * Pages before the first bookmark become a "Front matter" section. When several bookmarks
+ * point at the same page, the first one in outline order names the section.
+ * @param {Array} outline - Tree from getOutlineTree
+ * @param {number} totalPages - Total pages in the document
+ * @param {number} maxDepth - Deepest bookmark level that starts a section (1 = top level)
+ * @returns {Array<{title: string, pages: number[]}>} Sections in page order
+ */
+function getBookmarkSections(outline, totalPages, maxDepth) {
+    const marks = [];
+    const collect = (items) => items.forEach(item => {
+        if (item.depth > maxDepth) return;
+        if (item.pageNum && item.pageNum <= totalPages) marks.push(item);
+        collect(item.children);
+    });
+    collect(outline);
+
+    // Array.prototype.sort is stable, so ties keep their outline order
+    marks.sort((a, b) => a.pageNum - b.pageNum);
+    const starts = marks.filter((mark, i) => i === 0 || mark.pageNum !== marks[i - 1].pageNum);
+
+    const pageSpan = (start, end) => Array.from({ length: end - start + 1 }, (_, i) => start + i);
+    const sections = [];
+
+    if (starts.length > 0 && starts[0].pageNum > 1) {
+        sections.push({ title: 'Front matter', pages: pageSpan(1, starts[0].pageNum - 1) });
+    }
+
+    starts.forEach((mark, i) => {
+        const end = i + 1 < starts.length ? starts[i + 1].pageNum - 1 : totalPages;
+        sections.push({ title: mark.title, pages: pageSpan(mark.pageNum, end) });
+    });
+
+    return sections;
+}
+
+// =========================================
+// Page Preview Controller
+// =========================================
+
+const PagePreview = {
+    pdfDoc: null,
+    currentPage: 1,
+    totalPages: 0,
+    zoomLevel: 1,
+    file: null,
+    selectedPages: new Set(),
+    rotations: new Map(), // pageNum -> extra clockwise rotation in degrees
+    annotations: new Map(), // pageNum -> markup drawn in the modal (see AnnotationLayer)
+    organizeMode: false,
+    nextThumbId: 1,
+    onSelectionChange: null,
+    onDocumentLoad: null,
+    previewOverlays: [], // (context, pageNum, viewport, totalPages) => void, drawn over the modal page
+    thumbnailOverlays: [], // (context, pageNum, viewport, thumbnailDiv) => void, drawn over each thumbnail
+    previewViewport: null, // pdf.js viewport of the page shown in the modal
+    pageImage: null, // Copy of the modal page without overlays, for redrawing them cheaply
+    history: null, // Undo/redo of selection, order, rotation and organize edits (see createEditHistory)
+    onEdit: null, // () => void, after an edit is recorded, undone or redone
+
+    // DOM elements
+    elements: {
+        previewSection: null,
+        thumbnailsContainer: null,
+        modal: null,
+        previewCanvas: null,
+        pageInfo: null,
+        prevBtn: null,
+        nextBtn: null,
+        closeBtn: null,
+        zoomInBtn: null,
+        zoomOutBtn: null,
+        zoomLevel: null,
+        rotateLeftBtn: null,
+        rotateRightBtn: null
+    },
+
+    init() {
+        this.elements = {
+            previewSection: document.getElementById('pagePreviewSection'),
+            thumbnailsContainer: document.getElementById('pageThumbnails'),
+            modal: document.getElementById('previewModal'),
+            previewCanvas: document.getElementById('previewCanvas'),
+            pageInfo: document.getElementById('previewPageInfo'),
+            prevBtn: document.getElementById('previewPrevBtn'),
+            nextBtn: document.getElementById('previewNextBtn'),
+            closeBtn: document.getElementById('previewCloseBtn'),
+            zoomInBtn: document.getElementById('zoomInBtn'),
+            zoomOutBtn: document.getElementById('zoomOutBtn'),
+            zoomLevel: document.getElementById('zoomLevel'),
+            rotateLeftBtn: document.getElementById('previewRotateLeftBtn'),
+            rotateRightBtn: document.getElementById('previewRotateRightBtn')
+        };
+
+        this.history = createEditHistory({
+            capture: () => this.getState(),
+            restore: (state) => this.setState(state),
+            tab: document.getElementById('split-tab'),
+            undoBtn: document.getElementById('pageUndoBtn'),
+            redoBtn: document.getElementById('pageRedoBtn'),
+            onChange: () => this.onEdit?.()
+        });
+
+        this.setupEventListeners();
+    },
+
+    setupEventListeners() {
+        // Modal controls
+        this.elements.closeBtn?.addEventListener('click', () => this.closeModal());
+        this.elements.prevBtn?.addEventListener('click', () => this.navigatePage(-1));
+        this.elements.nextBtn?.addEventListener('click', () => this.navigatePage(1));
+        this.elements.zoomInBtn?.addEventListener('click', () => this.adjustZoom(0.25));
+        this.elements.zoomOutBtn?.addEventListener('click', () => this.adjustZoom(-0.25));
+        this.elements.rotateLeftBtn?.addEventListener('click', () => this.rotatePage(this.currentPage, 270));
+        this.elements.rotateRightBtn?.addEventListener('click', () => this.rotatePage(this.currentPage, 90));
+
+        // Select/Deselect all buttons
+        document.getElementById('selectAllPagesBtn')?.addEventListener('click', () => this.selectAll());
+        document.getElementById('deselectAllPagesBtn')?.addEventListener('click', () => this.deselectAll());
+
+        // Bulk rotation applies to the selection, or to every page when nothing is selected
+        document.querySelectorAll('[data-bulk-rotate]').forEach(btn => {
+            btn.addEventListener('click', () => this.rotatePages(parseInt(btn.dataset.bulkRotate, 10)));
+        });
+
+        // Close modal on background click
+        this.elements.modal?.addEventListener('click', (e) => {
+            if (e.target === this.elements.modal) {
+                this.closeModal();
+            }
+        });
+
+        // Keyboard navigation
+        document.addEventListener('keydown', (e) => {
+            if (this.elements.modal?.classList.contains('hidden')) return;
+            // Leave keys alone while typing into the modal's own fields
+            if (e.target.matches?.('input, textarea, select')) return;
+
+            switch (e.key) {
+                case 'Escape':
+                    this.closeModal();
+                    break;
+                case 'ArrowLeft':
+                    this.navigatePage(-1);
+                    break;
+                case 'ArrowRight':
+                    this.navigatePage(1);
+                    break;
+                case '+':
+                case '=':
+                    this.adjustZoom(0.25);
+                    break;
+                case '-':
+                    this.adjustZoom(-0.25);
+                    break;
+                case 'r':
+                    this.rotatePage(this.currentPage, 90);
+                    break;
+                case 'R':
+                    this.rotatePage(this.currentPage, 270);
+                    break;
+            }
+        });
+    },
+
+    /**
+     * Load a document and show its pages
+     * @param {File} file - The PDF
+     * @param {Object} arrangement - Saved arrangement to lay the pages out in (see applyArrangement)
+     */
+    async loadPdf(file, arrangement = null) {
+        this.file = file;
+        this.elements.previewSection?.classList.remove('hidden');
+        this.elements.thumbnailsContainer.innerHTML = '';
+        this.history.reset();
+
+        try {
+            const arrayBuffer = await readFileAsArrayBuffer(file);
+            this.pdfDoc = await loadPdfJsDocument(arrayBuffer, file.name);
+            this.totalPages = this.pdfDoc.numPages;
+
+            if (this.onDocumentLoad) {
+                this.onDocumentLoad(this.pdfDoc);
+            }
+
+            await this.generateThumbnails(arrangement);
+        } catch (error) {
+            console.error('Error loading PDF for preview:', error);
+            this.elements.previewSection?.classList.add('hidden');
+        }
+    },
+
+    async generateThumbnails(arrangement = null) {
+        // Every thumbnail is placed before any is drawn, so the grid can be arranged (and the
+        // history has the whole document to go back to) while pages are still rendering
+        this.elements.thumbnailsContainer.append(...Array.from({ length: this.totalPages }, (_, i) => this.buildThumbnail(i + 1)));
+        if (arrangement) this.applyArrangement(arrangement);
+        this.history.reset();
+
+        const thumbnails = Array.from(this.elements.thumbnailsContainer.querySelectorAll('.page-thumbnail'));
+        const batchSize = 5;
+        for (let i = 0; i < thumbnails.length; i += batchSize) {
+            await Promise.all(thumbnails.slice(i, i + batchSize).map(thumb => this.drawThumbnail(thumb)));
+        }
+    },
+
+    async drawThumbnail(thumbnailDiv) {
+        await this.renderThumbnail(parseInt(thumbnailDiv.getAttribute('data-page'), 10), thumbnailDiv);
+        thumbnailDiv.querySelector('.page-thumbnail-loading')?.remove();
+    },
+
+    buildThumbnail(pageNum) {
+        const thumbnailDiv = document.createElement('div');
+        thumbnailDiv.className = 'page-thumbnail';
+        thumbnailDiv.setAttribute('data-page', pageNum);
+        // Pages can be duplicated, so each thumbnail gets its own id for drag & drop
+        thumbnailDiv.setAttribute('data-thumb-id', this.nextThumbId++);
+        thumbnailDiv.draggable = true; // Enable dragging
+        if (this.selectedPages.has(pageNum)) {
+            thumbnailDiv.classList.add('selected');
+        }
+
+        // Add loading indicator
+        const loading = document.createElement('div');
+        loading.className = 'page-thumbnail-loading';
+        thumbnailDiv.appendChild(loading);
+
+        // Add page number
+        const pageLabel = document.createElement('div');
+        pageLabel.className = 'page-thumbnail-number';
         pageLabel.textContent = `Page ${pageNum}`;
         thumbnailDiv.appendChild(pageLabel);
 
-        // Add selection checkbox
-        const checkbox = document.createElement('div');
-        checkbox.className = 'page-thumbnail-checkbox';
-        checkbox.innerHTML = '✓';
-        thumbnailDiv.appendChild(checkbox);
+        // Add selection checkbox
+        const checkbox = document.createElement('div');
+        checkbox.className = 'page-thumbnail-checkbox';
+        checkbox.innerHTML = '✓';
+        thumbnailDiv.appendChild(checkbox);
+
+        // Add rotate controls
+        const rotateControls = document.createElement('div');
+        rotateControls.className = 'page-thumbnail-rotate';
+        rotateControls.innerHTML = `
+            <button type="button" data-rotate="270" aria-label="Rotate page ${pageNum} left" title="Rotate left">↺</button>
+            <button type="button" data-rotate="90" aria-label="Rotate page ${pageNum} right" title="Rotate right">↻</button>
+        `;
+        rotateControls.querySelectorAll('button').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.rotatePage(pageNum, parseInt(btn.dataset.rotate, 10));
+            });
+            btn.addEventListener('dblclick', (e) => e.stopPropagation());
+        });
+        thumbnailDiv.appendChild(rotateControls);
+
+        // Add organize controls (only shown in Organize mode)
+        const organizeControls = document.createElement('div');
+        organizeControls.className = 'page-thumbnail-organize';
+        organizeControls.innerHTML = `
+            <button type="button" class="duplicate" aria-label="Duplicate page ${pageNum}" title="Duplicate page">⧉</button>
+            <button type="button" class="delete" aria-label="Delete page ${pageNum}" title="Delete page">✕</button>
+        `;
+        organizeControls.querySelector('.duplicate').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.duplicateThumbnail(thumbnailDiv);
+        });
+        organizeControls.querySelector('.delete').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.deleteThumbnail(thumbnailDiv);
+        });
+        organizeControls.querySelectorAll('button').forEach(btn => {
+            btn.addEventListener('dblclick', (e) => e.stopPropagation());
+        });
+        thumbnailDiv.appendChild(organizeControls);
+
+        // Click to toggle selection, double-click to open preview
+        thumbnailDiv.addEventListener('click', (e) => {
+            // Don't toggle if dragging
+            if (thumbnailDiv.classList.contains('dragging')) return;
+            e.preventDefault();
+            this.togglePageSelection(pageNum);
+        });
+
+        thumbnailDiv.addEventListener('dblclick', (e) => {
+            e.preventDefault();
+            this.openModal(pageNum);
+        });
+
+        // Add drag listeners
+        this.addDragListeners(thumbnailDiv);
+
+        return thumbnailDiv;
+    },
+
+    async renderThumbnail(pageNum, thumbnailDiv) {
+        // Remembered so thumbnails put back by undo know whether they are drawn the right way up
+        thumbnailDiv.dataset.rotation = this.rotations.get(pageNum) || 0;
+        try {
+            const page = await this.pdfDoc.getPage(pageNum);
+            const scale = 0.3;
+            const viewport = page.getViewport({ scale, rotation: this.getViewRotation(page) });
+            const canvas = await renderPageToCanvas(page, viewport);
+
+            const context = canvas.getContext('2d');
+            this.thumbnailOverlays.forEach(draw => draw(context, pageNum, viewport, thumbnailDiv));
+
+            // Replace any previous render
+            thumbnailDiv.querySelector('canvas')?.remove();
+            thumbnailDiv.insertBefore(canvas, thumbnailDiv.querySelector('.page-thumbnail-number'));
+        } catch (error) {
+            console.error(`Error rendering thumbnail for page ${pageNum}:`, error);
+        }
+    },
+
+    /**
+     * Rotation to render a page with: its own /Rotate plus the user's extra rotation
+     * @param {Object} page - pdf.js page proxy
+     * @returns {number} Rotation in degrees
+     */
+    getViewRotation(page) {
+        return (page.rotate + (this.rotations.get(page.pageNumber) || 0)) % 360;
+    },
+
+    async rotatePage(pageNum, degrees) {
+        this.addRotation(pageNum, degrees);
+        this.history.commit(`rotate page ${pageNum}`);
+        await this.redrawPage(pageNum);
+    },
+
+    async rotatePages(degrees) {
+        const pages = this.selectedPages.size > 0
+            ? Array.from(this.selectedPages)
+            : Array.from({ length: this.totalPages }, (_, i) => i + 1);
+
+        pages.forEach(pageNum => this.addRotation(pageNum, degrees));
+        this.history.commit(pages.length === 1 ? `rotate page ${pages[0]}` : `rotate ${pages.length} pages`);
+
+        for (const pageNum of pages) {
+            await this.redrawPage(pageNum);
+        }
+    },
+
+    addRotation(pageNum, degrees) {
+        const rotation = ((this.rotations.get(pageNum) || 0) + degrees) % 360;
+        if (rotation === 0) {
+            this.rotations.delete(pageNum);
+        } else {
+            this.rotations.set(pageNum, rotation);
+        }
+    },
+
+    /**
+     * Render a page again wherever it is shown: its thumbnails, and the modal when it is open on it
+     * @param {number} pageNum - 1-based page number
+     */
+    async redrawPage(pageNum) {
+        const renders = Array.from(this.getThumbnailsForPage(pageNum)).map(thumb => this.renderThumbnail(pageNum, thumb));
+
+        if (!this.elements.modal?.classList.contains('hidden') && this.currentPage === pageNum) {
+            renders.push(this.renderPreview());
+        }
+
+        await Promise.all(renders);
+    },
+
+    addDragListeners(element) {
+        setupThumbnailReordering(element, this.elements.thumbnailsContainer, () => {
+            this.updatePagesInput();
+            // Called on drop and again when the drag ends; the second commit finds nothing new
+            this.history.commit('move page');
+        });
+    },
+
+    togglePageSelection(pageNum) {
+        const selected = !this.selectedPages.has(pageNum);
+        if (selected) {
+            this.selectedPages.add(pageNum);
+        } else {
+            this.selectedPages.delete(pageNum);
+        }
+        // Duplicated pages share their selection state
+        this.getThumbnailsForPage(pageNum).forEach(thumb => thumb.classList.toggle('selected', selected));
+        this.history.commit(`${selected ? 'select' : 'deselect'} page ${pageNum}`);
+
+        this.updatePagesInput();
+        if (this.onSelectionChange) {
+            this.onSelectionChange(this.getSelectedPagesArray());
+        }
+    },
+
+    getThumbnailsForPage(pageNum) {
+        return this.elements.thumbnailsContainer.querySelectorAll(`.page-thumbnail[data-page="${pageNum}"]`);
+    },
+
+    /**
+     * Page numbers of every thumbnail in visual (DOM) order, including duplicates
+     * @returns {number[]}
+     */
+    getPageOrder() {
+        const thumbnails = Array.from(this.elements.thumbnailsContainer.querySelectorAll('.page-thumbnail'));
+        return thumbnails.map(thumb => parseInt(thumb.getAttribute('data-page'), 10));
+    },
+
+    getSelectedPagesArray() {
+        // Get pages in visual order from DOM, first occurrence wins for duplicated pages
+        const selected = this.getPageOrder().filter(pageNum => this.selectedPages.has(pageNum));
+        return [...new Set(selected)];
+    },
+
+    setOrganizeMode(enabled) {
+        this.organizeMode = enabled;
+        this.elements.thumbnailsContainer?.classList.toggle('organize-mode', enabled);
+    },
+
+    async duplicateThumbnail(thumbnailDiv) {
+        const pageNum = parseInt(thumbnailDiv.getAttribute('data-page'), 10);
+        const copy = this.buildThumbnail(pageNum);
+        thumbnailDiv.after(copy);
+        this.history.commit(`duplicate page ${pageNum}`);
+
+        await this.drawThumbnail(copy);
+    },
+
+    deleteThumbnail(thumbnailDiv) {
+        const pageNum = parseInt(thumbnailDiv.getAttribute('data-page'), 10);
+        thumbnailDiv.remove();
+
+        // Once the last copy of a page is gone it can no longer be selected
+        if (this.getThumbnailsForPage(pageNum).length === 0) {
+            this.selectedPages.delete(pageNum);
+        }
+        this.history.commit(`delete page ${pageNum}`);
+        this.updatePagesInput();
+    },
+
+    updatePagesInput() {
+        const pagesInput = document.getElementById('pages');
+        if (pagesInput) {
+            const selectedArray = this.getSelectedPagesArray();
+            pagesInput.value = this.formatPageRanges(selectedArray);
+        }
+    },
+
+    /**
+     * Write page numbers as ranges, e.g. [1, 2, 3, 5] as "1-3,5"
+     * Only ascending runs are joined and the order is kept, so [5, 1, 2, 3] gives "5,1-3".
+     * @param {number[]} pages - Page numbers in the order they should be listed
+     * @returns {string}
+     */
+    formatPageRanges(pages) {
+        if (pages.length === 0) return '';
+        
+        const ranges = [];
+        let start = pages[0];
+        let end = pages[0];
+
+        for (let i = 1; i < pages.length; i++) {
+            if (pages[i] === end + 1) {
+                end = pages[i];
+            } else {
+                ranges.push(start === end ? `${start}` : `${start}-${end}`);
+                start = pages[i];
+                end = pages[i];
+            }
+        }
+        ranges.push(start === end ? `${start}` : `${start}-${end}`);
+        
+        return ranges.join(',');
+    },
+
+    selectAll() {
+        const thumbnails = this.elements.thumbnailsContainer?.querySelectorAll('.page-thumbnail');
+        thumbnails?.forEach(thumb => {
+            const pageNum = parseInt(thumb.getAttribute('data-page'), 10);
+            this.selectedPages.add(pageNum);
+            thumb.classList.add('selected');
+        });
+        this.history.commit('select all pages');
+        this.updatePagesInput();
+    },
+
+    /**
+     * Add pages to the selection; pages deleted from the grid are left out
+     * @param {number[]} pageNums - 1-based page numbers
+     */
+    selectPages(pageNums) {
+        pageNums.forEach(pageNum => {
+            const thumbnails = this.getThumbnailsForPage(pageNum);
+            if (thumbnails.length === 0) return;
+            this.selectedPages.add(pageNum);
+            thumbnails.forEach(thumb => thumb.classList.add('selected'));
+        });
+        this.history.commit('select matching pages');
+
+        this.updatePagesInput();
+        if (this.onSelectionChange) {
+            this.onSelectionChange(this.getSelectedPagesArray());
+        }
+    },
+
+    deselectAll() {
+        const thumbnails = this.elements.thumbnailsContainer?.querySelectorAll('.page-thumbnail');
+        thumbnails?.forEach(thumb => thumb.classList.remove('selected'));
+        this.selectedPages.clear();
+        this.history.commit('deselect all pages');
+        this.updatePagesInput();
+    },
+
+    /**
+     * Snapshot of the arrangement for the edit history: the thumbnails in order (the elements
+     * themselves, so deleted ones can be put back), the selection and the rotations
+     * @returns {{thumbnails: HTMLElement[], selected: number[], rotations: Array<[number, number]>}}
+     */
+    getState() {
+        return {
+            thumbnails: Array.from(this.elements.thumbnailsContainer?.querySelectorAll('.page-thumbnail') || []),
+            selected: Array.from(this.selectedPages).sort((a, b) => a - b),
+            rotations: Array.from(this.rotations).sort(([a], [b]) => a - b)
+        };
+    },
+
+    /**
+     * Lay out the thumbnails of a freshly loaded document as they were in a saved session
+     * @param {Object} arrangement - Saved arrangement
+     * @param {number[]} arrangement.order - Page numbers in grid order, duplicates included;
+     *   pages left out were deleted
+     * @param {number[]} arrangement.selected - Selected page numbers
+     * @param {Array<[number, number]>} arrangement.rotations - Extra rotation per page number
+     */
+    applyArrangement({ order, selected, rotations }) {
+        const isPage = (pageNum) => Number.isInteger(pageNum) && pageNum >= 1 && pageNum <= this.totalPages;
+        const unused = new Map(Array.from(this.elements.thumbnailsContainer.querySelectorAll('.page-thumbnail'),
+            thumb => [parseInt(thumb.getAttribute('data-page'), 10), thumb]));
+
+        const thumbnails = order.filter(isPage).map(pageNum => {
+            const thumb = unused.get(pageNum);
+            unused.delete(pageNum);
+            return thumb || this.buildThumbnail(pageNum);
+        });
+
+        this.setState({
+            thumbnails,
+            selected: selected.filter(isPage),
+            rotations: rotations.filter(([pageNum]) => isPage(pageNum))
+        });
+    },
+
+    /**
+     * Put back an arrangement from getState
+     * @param {Object} state - Snapshot from getState
+     */
+    setState(state) {
+        const previewRotation = this.rotations.get(this.currentPage) || 0;
+        this.selectedPages.clear();
+        state.selected.forEach(pageNum => this.selectedPages.add(pageNum));
+        this.rotations.clear();
+        state.rotations.forEach(([pageNum, rotation]) => this.rotations.set(pageNum, rotation));
+
+        this.elements.thumbnailsContainer.replaceChildren(...state.thumbnails);
+        state.thumbnails.forEach(thumb => {
+            const pageNum = parseInt(thumb.getAttribute('data-page'), 10);
+            thumb.classList.toggle('selected', this.selectedPages.has(pageNum));
+            // Thumbnails not drawn yet pick up the rotation when their turn comes
+            const drawnRotation = thumb.dataset.rotation;
+            if (drawnRotation !== undefined && Number(drawnRotation) !== (this.rotations.get(pageNum) || 0)) {
+                this.renderThumbnail(pageNum, thumb);
+            }
+        });
+
+        const previewOpen = !this.elements.modal?.classList.contains('hidden');
+        if (previewOpen && previewRotation !== (this.rotations.get(this.currentPage) || 0)) {
+            this.renderPreview();
+        }
+
+        this.updatePagesInput();
+        if (this.onSelectionChange) {
+            this.onSelectionChange(this.getSelectedPagesArray());
+        }
+    },
+
+    async openModal(pageNum) {
+        this.currentPage = pageNum;
+        this.zoomLevel = 1;
+        this.elements.modal?.classList.remove('hidden');
+        document.body.style.overflow = 'hidden';
+        await this.renderPreview();
+        this.updateNavigationButtons();
+        this.updateZoomDisplay();
+    },
+
+    closeModal() {
+        this.elements.modal?.classList.add('hidden');
+        document.body.style.overflow = '';
+    },
+
+    async navigatePage(direction) {
+        const newPage = this.currentPage + direction;
+        if (newPage >= 1 && newPage <= this.totalPages) {
+            this.currentPage = newPage;
+            await this.renderPreview();
+            this.updateNavigationButtons();
+        }
+    },
+
+    updateNavigationButtons() {
+        if (this.elements.prevBtn) {
+            this.elements.prevBtn.disabled = this.currentPage <= 1;
+        }
+        if (this.elements.nextBtn) {
+            this.elements.nextBtn.disabled = this.currentPage >= this.totalPages;
+        }
+    },
 
-        // Click to toggle selection, double-click to open preview
-        thumbnailDiv.addEventListener('click', (e) => {
-            // Don't toggle if dragging
-            if (thumbnailDiv.classList.contains('dragging')) return;
+    adjustZoom(delta) {
+        const newZoom = Math.max(0.5, Math.min(3, this.zoomLevel + delta));
+        if (newZoom !== this.zoomLevel) {
+            this.zoomLevel = newZoom;
+            this.renderPreview();
+            this.updateZoomDisplay();
+        }
+    },
+
+    updateZoomDisplay() {
+        if (this.elements.zoomLevel) {
+            this.elements.zoomLevel.textContent = `${Math.round(this.zoomLevel * 100)}%`;
+        }
+    },
+
+    async renderPreview() {
+        if (!this.pdfDoc || !this.elements.previewCanvas) return;
+
+        try {
+            const page = await this.pdfDoc.getPage(this.currentPage);
+            const scale = 1.5 * this.zoomLevel;
+            const viewport = page.getViewport({ scale, rotation: this.getViewRotation(page) });
+
+            await renderPageToCanvas(page, viewport, this.elements.previewCanvas);
+
+            this.pageImage = this.pageImage || document.createElement('canvas');
+            this.pageImage.width = viewport.width;
+            this.pageImage.height = viewport.height;
+            this.pageImage.getContext('2d').drawImage(this.elements.previewCanvas, 0, 0);
+            this.previewViewport = viewport;
+            this.drawOverlays();
+
+            if (this.elements.pageInfo) {
+                this.elements.pageInfo.textContent = `Page ${this.currentPage} of ${this.totalPages}`;
+            }
+        } catch (error) {
+            console.error('Error rendering preview:', error);
+        }
+    },
+
+    /**
+     * Draw the overlays over a clean copy of the modal page
+     * Cheap enough to call on every pointer move, unlike renderPreview.
+     */
+    drawOverlays() {
+        if (!this.pageImage || !this.previewViewport) return;
+
+        const context = this.elements.previewCanvas.getContext('2d');
+        context.drawImage(this.pageImage, 0, 0);
+        this.previewOverlays.forEach(draw => draw(context, this.currentPage, this.previewViewport, this.totalPages));
+    },
+
+    /**
+     * Re-render the modal page, e.g. after an overlay's settings changed
+     */
+    refreshPreview() {
+        if (this.elements.modal?.classList.contains('hidden')) return;
+        this.renderPreview();
+    },
+
+    reset() {
+        this.pdfDoc = null;
+        this.currentPage = 1;
+        this.totalPages = 0;
+        this.zoomLevel = 1;
+        this.file = null;
+        this.selectedPages.clear();
+        this.rotations.clear();
+        this.nextThumbId = 1;
+        this.previewViewport = null;
+        this.pageImage = null;
+        this.annotations.clear();
+        this.elements.previewSection?.classList.add('hidden');
+        this.elements.thumbnailsContainer.innerHTML = '';
+        this.history.reset();
+    }
+};
+
+// =========================================
+// Annotation Layer
+// =========================================
+
+// Side of the square resize handles, in canvas pixels
+const ANNOTATION_HANDLE_SIZE = 10;
+// Smallest size a drawn shape may have, in canvas pixels; anything smaller was a stray click
+const ANNOTATION_MIN_SIZE = 4;
+// Redaction boxes are see-through in the preview; the output gets them solid black
+const REDACTION_PREVIEW_OPACITY = 0.6;
+
+/**
+ * Distance from a point to a line segment
+ * @param {number[]} point - [x, y]
+ * @param {number[]} start - Segment start [x, y]
+ * @param {number[]} end - Segment end [x, y]
+ * @returns {number}
+ */
+function distanceToSegment([x, y], [x1, y1], [x2, y2]) {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared ? Math.max(0, Math.min(1, ((x - x1) * dx + (y - y1) * dy) / lengthSquared)) : 0;
+    return Math.hypot(x - (x1 + t * dx), y - (y1 + t * dy));
+}
+
+/**
+ * Markup drawn on pages in the preview modal: free text, rectangles, ellipses, arrows,
+ * freehand ink, highlights, signatures and redaction boxes
+ * Annotations live in PagePreview.annotations with their points in PDF user space, so they
+ * stay on the same spot of the page at any zoom or rotation and burn straight into the
+ * output (see applyAnnotations). Each one is { type, points, color } plus lineWidth for
+ * strokes, text and fontSize for text, or image (a PNG data URL), width and height for
+ * signatures. Text and signatures are placed by their top-left corner and also keep angle,
+ * the page's view rotation when they were placed. Redaction boxes have no color; they are
+ * applied by applyRedactions rather than drawn.
+ */
+const AnnotationLayer = {
+    tool: 'select',
+    selected: null,
+    drag: null,
+    images: new Map(), // signature data URL -> loaded HTMLImageElement
+    settings: {
+        color: '#e53935',
+        highlightColor: '#ffeb3b',
+        lineWidth: 2,
+        fontSize: 16,
+        text: ''
+    },
+
+    // DOM elements
+    elements: {
+        toolbar: null,
+        canvas: null,
+        colorInput: null,
+        lineWidthSelect: null,
+        fontSizeInput: null,
+        textInput: null,
+        deleteBtn: null,
+        clearBtn: null,
+        error: null
+    },
+
+    init() {
+        this.elements = {
+            toolbar: document.getElementById('annotationToolbar'),
+            canvas: document.getElementById('previewCanvas'),
+            colorInput: document.getElementById('annotationColor'),
+            lineWidthSelect: document.getElementById('annotationLineWidth'),
+            fontSizeInput: document.getElementById('annotationFontSize'),
+            textInput: document.getElementById('annotationText'),
+            deleteBtn: document.getElementById('annotationDeleteBtn'),
+            clearBtn: document.getElementById('annotationClearBtn'),
+            error: document.getElementById('annotationError')
+        };
+        if (!this.elements.toolbar || !this.elements.canvas) return;
+
+        PagePreview.previewOverlays.push((context, pageNum, viewport) => this.draw(context, pageNum, viewport));
+        this.setupEventListeners();
+        this.syncToolbar();
+    },
+
+    setupEventListeners() {
+        const { toolbar, canvas, colorInput, lineWidthSelect, fontSizeInput, textInput } = this.elements;
+
+        toolbar.querySelectorAll('[data-annotation-tool]').forEach(btn => {
+            btn.addEventListener('click', () => this.setTool(btn.dataset.annotationTool));
+        });
+
+        colorInput.addEventListener('input', () => this.updateSetting('color', colorInput.value));
+        lineWidthSelect.addEventListener('change', () => this.updateSetting('lineWidth', parseFloat(lineWidthSelect.value)));
+        fontSizeInput.addEventListener('input', () => this.updateSetting('fontSize', readNumberInput(fontSizeInput, 6, 144)));
+        textInput.addEventListener('input', () => {
+            const dropped = [...new Set(Array.from(textInput.value).filter(char => !toHelveticaText(char)))];
+            if (dropped.length > 0 && this.elements.error) {
+                const shown = dropped.slice(0, 5).join(' ') + (dropped.length > 5 ? ' …' : '');
+                showErrorMessage(this.elements.error, `Text boxes can only use Latin characters; ${shown} will be left out.`);
+            }
+            this.updateSetting('text', textInput.value);
+        });
+        this.elements.deleteBtn.addEventListener('click', () => this.deleteSelected());
+        this.elements.clearBtn.addEventListener('click', () => this.clearPage());
+
+        canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        canvas.addEventListener('pointerup', () => this.handlePointerUp());
+        canvas.addEventListener('pointercancel', () => this.handlePointerUp());
+
+        document.addEventListener('keydown', (e) => {
+            if (PagePreview.elements.modal?.classList.contains('hidden')) return;
+            if (e.target.matches?.('input, textarea, select')) return;
+
+            if (e.key === 'Delete' || e.key === 'Backspace') {
+                e.preventDefault();
+                this.deleteSelected();
+            }
+        });
+    },
+
+    setTool(tool) {
+        this.tool = tool;
+        this.elements.toolbar.querySelectorAll('[data-annotation-tool]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.annotationTool === tool);
+        });
+        this.elements.canvas.style.cursor = tool === 'select' ? '' : 'crosshair';
+        this.select(null);
+    },
+
+    /**
+     * Highlights keep a color of their own, so switching tools does not turn them red
+     * @param {string} type - Annotation type or tool
+     * @returns {string} Key of the color in settings
+     */
+    getColorKey(type) {
+        return type === 'highlight' ? 'highlightColor' : 'color';
+    },
+
+    /**
+     * Change a toolbar setting; it applies to the selected annotation and to new ones
+     * @param {string} name - color, lineWidth, fontSize or text
+     * @param {*} value - New value
+     */
+    updateSetting(name, value) {
+        const type = this.selected?.type || this.tool;
+        this.settings[name === 'color' ? this.getColorKey(type) : name] = value;
+
+        if (this.selected && name in this.selected) {
+            this.selected[name] = value;
+            PagePreview.drawOverlays();
+        }
+    },
+
+    /**
+     * Show the selected annotation's settings in the toolbar, or those for new annotations
+     */
+    syncToolbar() {
+        const { colorInput, lineWidthSelect, fontSizeInput, textInput, deleteBtn } = this.elements;
+        const selected = this.selected || {};
+        const type = this.selected?.type || this.tool;
+
+        colorInput.value = selected.color || this.settings[this.getColorKey(type)];
+        lineWidthSelect.value = String(selected.lineWidth ?? this.settings.lineWidth);
+        fontSizeInput.value = Math.round(selected.fontSize ?? this.settings.fontSize);
+        textInput.value = selected.text ?? this.settings.text;
+        deleteBtn.disabled = !this.selected;
+    },
+
+    /**
+     * Annotations of a page, created empty on first use
+     * @param {number} pageNum - 1-based page number
+     * @returns {Object[]}
+     */
+    getAnnotations(pageNum = PagePreview.currentPage) {
+        if (!PagePreview.annotations.has(pageNum)) {
+            PagePreview.annotations.set(pageNum, []);
+        }
+        return PagePreview.annotations.get(pageNum);
+    },
+
+    createAnnotation(type, points) {
+        const annotation = { type, points };
+        if (type !== 'redact') {
+            annotation.color = this.settings[this.getColorKey(type)];
+        }
+        if (type === 'text') {
+            annotation.text = this.settings.text || 'Text';
+            annotation.fontSize = this.settings.fontSize;
+            annotation.angle = PagePreview.previewViewport.rotation;
+        } else if (type !== 'highlight' && type !== 'redact') {
+            annotation.lineWidth = this.settings.lineWidth;
+        }
+
+        this.getAnnotations().push(annotation);
+        return annotation;
+    },
+
+    /**
+     * Place a signature on the modal page, selected so it can be moved and resized
+     * @param {{dataUrl: string, width: number, height: number}} signature - Saved signature
+     * @param {number[]} point - Canvas point to center it on; defaults to the middle of the page
+     */
+    addSignature(signature, point) {
+        const viewport = PagePreview.previewViewport;
+        if (!viewport) return;
+
+        // Start at a third of the page width, or the image's own size if that is smaller
+        const width = Math.min(signature.width, viewport.width / viewport.scale / 3);
+        const height = width * signature.height / signature.width;
+        const [x, y] = point || [viewport.width / 2, viewport.height / 2];
+        const annotation = {
+            type: 'signature',
+            points: [[0, 0]],
+            image: signature.dataUrl,
+            width,
+            height,
+            angle: viewport.rotation
+        };
+
+        // Center the upright box on the point
+        const bounds = this.getBounds(annotation);
+        const corner = this.toView([0, 0]);
+        annotation.points = [this.toPdf([
+            x - (bounds.maxX - bounds.minX) / 2 + corner[0] - bounds.minX,
+            y - (bounds.maxY - bounds.minY) / 2 + corner[1] - bounds.minY
+        ])];
+
+        this.getAnnotations().push(annotation);
+        this.setTool('select');
+        this.select(annotation);
+    },
+
+    /**
+     * Decoded signature image for the canvas; redraws once an image finishes loading
+     * @param {string} src - PNG data URL
+     * @returns {?HTMLImageElement} The image, or null while it is still loading
+     */
+    getImage(src) {
+        let image = this.images.get(src);
+        if (!image) {
+            image = new Image();
+            image.onload = () => PagePreview.drawOverlays();
+            image.src = src;
+            this.images.set(src, image);
+        }
+        return image.complete && image.naturalWidth ? image : null;
+    },
+
+    remove(annotation) {
+        PagePreview.annotations.forEach((annotations, pageNum) => {
+            const index = annotations.indexOf(annotation);
+            if (index !== -1) annotations.splice(index, 1);
+            if (annotations.length === 0) PagePreview.annotations.delete(pageNum);
+        });
+        if (this.selected === annotation) {
+            this.selected = null;
+        }
+    },
+
+    select(annotation) {
+        const previous = this.selected;
+        this.selected = annotation;
+
+        // A text box left empty has nothing to show
+        if (previous && previous !== annotation && previous.type === 'text' && !previous.text.trim()) {
+            this.remove(previous);
+        }
+
+        this.syncToolbar();
+        PagePreview.drawOverlays();
+    },
+
+    deleteSelected() {
+        if (!this.selected) return;
+        this.remove(this.selected);
+        this.syncToolbar();
+        PagePreview.drawOverlays();
+    },
+
+    clearPage() {
+        PagePreview.annotations.delete(PagePreview.currentPage);
+        this.selected = null;
+        this.syncToolbar();
+        PagePreview.drawOverlays();
+    },
+
+    toView(point) {
+        return PagePreview.previewViewport.convertToViewportPoint(point[0], point[1]);
+    },
+
+    toPdf(point) {
+        return PagePreview.previewViewport.convertToPdfPoint(point[0], point[1]);
+    },
+
+    /**
+     * Pointer position in canvas pixels; the canvas may be shown smaller than it is
+     * @param {PointerEvent} e - The event
+     * @returns {number[]} [x, y]
+     */
+    getCanvasPoint(e) {
+        const canvas = this.elements.canvas;
+        const rect = canvas.getBoundingClientRect();
+        return [
+            (e.clientX - rect.left) * canvas.width / (rect.width || canvas.width),
+            (e.clientY - rect.top) * canvas.height / (rect.height || canvas.height)
+        ];
+    },
+
+    /**
+     * Text and signatures sit at one point and read upright in the page orientation they
+     * were placed in, turning with the page after that
+     * @param {Object} annotation - The annotation
+     * @returns {boolean}
+     */
+    isUpright(annotation) {
+        return annotation.type === 'text' || annotation.type === 'signature';
+    },
+
+    /**
+     * Clockwise angle text or a signature is drawn at on the canvas
+     * @param {Object} annotation - Text or signature annotation
+     * @returns {number} Degrees
+     */
+    getUprightAngle(annotation) {
+        return ((PagePreview.previewViewport.rotation - annotation.angle) % 360 + 360) % 360;
+    },
+
+    /**
+     * Bounding box of an annotation on the canvas
+     * @param {Object} annotation - The annotation
+     * @returns {{minX: number, minY: number, maxX: number, maxY: number}}
+     */
+    getBounds(annotation) {
+        if (!this.isUpright(annotation)) {
+            return getPointBounds(annotation.points.map(point => this.toView(point)));
+        }
+
+        const scale = PagePreview.previewViewport.scale;
+        const { width, height } = annotation.type === 'text' ? measureAnnotationText(annotation) : annotation;
+        const [x, y] = this.toView(annotation.points[0]);
+        const radians = this.getUprightAngle(annotation) * Math.PI / 180;
+        const cos = Math.cos(radians);
+        const sin = Math.sin(radians);
+        return getPointBounds([[0, 0], [width, 0], [0, height], [width, height]].map(([dx, dy]) => [
+            x + (dx * cos - dy * sin) * scale,
+            y + (dx * sin + dy * cos) * scale
+        ]));
+    },
+
+    /**
+     * Resize handles of an annotation: both ends of an arrow, the bottom-right corner otherwise
+     * @param {Object} annotation - The annotation
+     * @returns {Array<{name: string, point: number[]}>}
+     */
+    getHandles(annotation) {
+        if (annotation.type === 'arrow') {
+            return [
+                { name: 'start', point: this.toView(annotation.points[0]) },
+                { name: 'end', point: this.toView(annotation.points[1]) }
+            ];
+        }
+        const bounds = this.getBounds(annotation);
+        return [{ name: 'corner', point: [bounds.maxX, bounds.maxY] }];
+    },
+
+    contains(annotation, point) {
+        const scale = PagePreview.previewViewport.scale;
+        const tolerance = Math.max(6, (annotation.lineWidth || 0) * scale / 2 + 3);
+
+        if (annotation.type === 'arrow' || annotation.type === 'ink') {
+            const points = annotation.points.map(p => this.toView(p));
+            if (points.length === 1) return distanceToSegment(point, points[0], points[0]) <= tolerance;
+            return points.slice(1).some((p, i) => distanceToSegment(point, points[i], p) <= tolerance);
+        }
+
+        const bounds = this.getBounds(annotation);
+        return point[0] >= bounds.minX - tolerance && point[0] <= bounds.maxX + tolerance &&
+            point[1] >= bounds.minY - tolerance && point[1] <= bounds.maxY + tolerance;
+    },
+
+    /**
+     * Find what is under a canvas point: a handle of the selection, or the topmost annotation
+     * @param {number[]} point - [x, y] in canvas pixels
+     * @returns {?{annotation: Object, handle: ?string}}
+     */
+    hitTest(point) {
+        if (this.selected) {
+            const handle = this.getHandles(this.selected).find(({ point: [x, y] }) =>
+                Math.abs(point[0] - x) <= ANNOTATION_HANDLE_SIZE && Math.abs(point[1] - y) <= ANNOTATION_HANDLE_SIZE);
+            if (handle) return { annotation: this.selected, handle: handle.name };
+        }
+
+        const annotations = PagePreview.annotations.get(PagePreview.currentPage) || [];
+        for (let i = annotations.length - 1; i >= 0; i--) {
+            if (this.contains(annotations[i], point)) {
+                return { annotation: annotations[i], handle: null };
+            }
+        }
+        return null;
+    },
+
+    handlePointerDown(e) {
+        if (!PagePreview.previewViewport || e.button > 0) return;
+        const point = this.getCanvasPoint(e);
+
+        if (this.tool === 'select') {
+            const hit = this.hitTest(point);
+            this.select(hit?.annotation || null);
+            if (!hit) return;
+
+            this.drag = hit.handle ? {
+                mode: 'resize',
+                annotation: hit.annotation,
+                handle: hit.handle,
+                bounds: this.getBounds(hit.annotation),
+                points: hit.annotation.points.map(p => this.toView(p)),
+                original: { ...hit.annotation }
+            } : {
+                mode: 'move',
+                annotation: hit.annotation,
+                last: this.toPdf(point)
+            };
+        } else if (this.tool === 'text') {
+            this.select(this.createAnnotation('text', [this.toPdf(point)]));
+            // Typing straight away replaces the placeholder text
+            e.preventDefault();
+            this.elements.textInput.focus();
+            this.elements.textInput.select();
+            return;
+        } else {
+            const start = this.toPdf(point);
+            const annotation = this.createAnnotation(this.tool, this.tool === 'ink' ? [start] : [start, start]);
+            this.select(annotation);
+            this.drag = { mode: 'create', annotation };
+        }
+
+        this.elements.canvas.setPointerCapture?.(e.pointerId);
+        e.preventDefault();
+    },
+
+    handlePointerMove(e) {
+        const point = this.getCanvasPoint(e);
+
+        if (!this.drag) {
+            if (this.tool === 'select' && PagePreview.previewViewport) {
+                const hit = this.hitTest(point);
+                this.elements.canvas.style.cursor = !hit ? '' : hit.handle ? 'nwse-resize' : 'move';
+            }
+            return;
+        }
+
+        const { annotation } = this.drag;
+        switch (this.drag.mode) {
+            case 'create':
+                if (annotation.type === 'ink') {
+                    const [lastX, lastY] = this.toView(annotation.points[annotation.points.length - 1]);
+                    if (Math.hypot(point[0] - lastX, point[1] - lastY) >= 2) {
+                        annotation.points.push(this.toPdf(point));
+                    }
+                } else {
+                    annotation.points[1] = this.toPdf(point);
+                }
+                break;
+            case 'move': {
+                const [x, y] = this.toPdf(point);
+                const dx = x - this.drag.last[0];
+                const dy = y - this.drag.last[1];
+                annotation.points = annotation.points.map(([px, py]) => [px + dx, py + dy]);
+                this.drag.last = [x, y];
+                break;
+            }
+            case 'resize':
+                this.resize(point);
+                break;
+        }
+
+        PagePreview.drawOverlays();
+    },
+
+    handlePointerUp() {
+        if (!this.drag) return;
+        const { mode, annotation } = this.drag;
+        this.drag = null;
+
+        if (mode === 'create') {
+            const bounds = this.getBounds(annotation);
+            if (bounds.maxX - bounds.minX < ANNOTATION_MIN_SIZE && bounds.maxY - bounds.minY < ANNOTATION_MIN_SIZE) {
+                this.remove(annotation);
+            }
+        }
+
+        this.syncToolbar();
+        PagePreview.drawOverlays();
+    },
+
+    /**
+     * Drag a handle of the annotation being resized to a canvas point
+     * Shapes and ink stretch from their top-left corner; text and signatures keep their
+     * proportions, and text changes its font size.
+     * @param {number[]} point - [x, y] in canvas pixels
+     */
+    resize(point) {
+        const { annotation, handle, bounds, points, original } = this.drag;
+
+        if (handle !== 'corner') {
+            annotation.points[handle === 'start' ? 0 : 1] = this.toPdf(point);
+            return;
+        }
+
+        const width = bounds.maxX - bounds.minX;
+        const height = bounds.maxY - bounds.minY;
+        let scaleX = width >= 1 ? Math.max(ANNOTATION_MIN_SIZE, point[0] - bounds.minX) / width : 1;
+        let scaleY = height >= 1 ? Math.max(ANNOTATION_MIN_SIZE, point[1] - bounds.minY) / height : 1;
+
+        if (annotation.type === 'text') {
+            annotation.fontSize = Math.min(144, Math.max(6, original.fontSize * Math.max(scaleX, scaleY)));
+            scaleX = scaleY = annotation.fontSize / original.fontSize;
+        } else if (annotation.type === 'signature') {
+            scaleX = scaleY = Math.max(scaleX, scaleY);
+            annotation.width = original.width * scaleX;
+            annotation.height = original.height * scaleY;
+        }
+
+        annotation.points = points.map(([x, y]) => this.toPdf([
+            bounds.minX + (x - bounds.minX) * scaleX,
+            bounds.minY + (y - bounds.minY) * scaleY
+        ]));
+    },
+
+    /**
+     * Draw a page's annotations over the modal page
+     * @param {CanvasRenderingContext2D} context - Context of the rendered page
+     * @param {number} pageNum - Page shown
+     * @param {Object} viewport - pdf.js viewport the page was rendered with
+     */
+    draw(context, pageNum, viewport) {
+        const annotations = PagePreview.annotations.get(pageNum) || [];
+
+        // The selection stays behind when the modal moves to another page
+        if (this.selected && !annotations.includes(this.selected)) {
+            this.selected = null;
+            this.drag = null;
+            this.syncToolbar();
+        }
+
+        annotations.forEach(annotation => this.drawAnnotation(context, annotation, viewport.scale));
+        if (this.selected) {
+            this.drawSelection(context, this.selected);
+        }
+    },
+
+    drawAnnotation(context, annotation, scale) {
+        const points = annotation.points.map(point => this.toView(point));
+        const bounds = getPointBounds(points);
+        const width = bounds.maxX - bounds.minX;
+        const height = bounds.maxY - bounds.minY;
+
+        context.save();
+        context.strokeStyle = annotation.color;
+        context.fillStyle = annotation.color;
+        context.lineWidth = (annotation.lineWidth || 1) * scale;
+        context.lineCap = 'round';
+        context.lineJoin = 'round';
+
+        switch (annotation.type) {
+            case 'text':
+                context.translate(points[0][0], points[0][1]);
+                context.rotate(this.getUprightAngle(annotation) * Math.PI / 180);
+                context.font = `${annotation.fontSize * scale}px Helvetica, Arial, sans-serif`;
+                context.fillText(toHelveticaText(annotation.text), 0, measureAnnotationText(annotation).ascent * scale);
+                break;
+            case 'signature': {
+                const image = this.getImage(annotation.image);
+                if (!image) break;
+                context.translate(points[0][0], points[0][1]);
+                context.rotate(this.getUprightAngle(annotation) * Math.PI / 180);
+                context.drawImage(image, 0, 0, annotation.width * scale, annotation.height * scale);
+                break;
+            }
+            case 'rect':
+                context.strokeRect(bounds.minX, bounds.minY, width, height);
+                break;
+            case 'ellipse':
+                context.beginPath();
+                context.ellipse(bounds.minX + width / 2, bounds.minY + height / 2, width / 2, height / 2, 0, 0, Math.PI * 2);
+                context.stroke();
+                break;
+            case 'highlight':
+                context.globalAlpha = HIGHLIGHT_OPACITY;
+                context.globalCompositeOperation = 'multiply';
+                context.fillRect(bounds.minX, bounds.minY, width, height);
+                break;
+            case 'redact':
+                // See-through until download, so the box can be lined up with what it hides
+                context.fillStyle = `rgba(0, 0, 0, ${REDACTION_PREVIEW_OPACITY})`;
+                context.fillRect(bounds.minX, bounds.minY, width, height);
+                context.strokeStyle = '#e53935';
+                context.lineWidth = 1.5;
+                context.strokeRect(bounds.minX, bounds.minY, width, height);
+                break;
+            case 'arrow': {
+                const [start, end] = points;
+                context.beginPath();
+                context.moveTo(...start);
+                context.lineTo(...end);
+                getArrowHead(start, end, getArrowHeadSize(annotation.lineWidth) * scale).forEach(barb => {
+                    context.moveTo(...end);
+                    context.lineTo(...barb);
+                });
+                context.stroke();
+                break;
+            }
+            case 'ink':
+                context.beginPath();
+                context.moveTo(...points[0]);
+                points.slice(1).forEach(point => context.lineTo(...point));
+                context.stroke();
+                break;
+        }
+
+        context.restore();
+    },
+
+    drawSelection(context, annotation) {
+        const bounds = this.getBounds(annotation);
+        const padding = 4;
+
+        context.save();
+        context.strokeStyle = '#00b4ab';
+        context.fillStyle = '#00b4ab';
+        context.lineWidth = 1;
+        context.setLineDash([4, 3]);
+        context.strokeRect(bounds.minX - padding, bounds.minY - padding,
+            bounds.maxX - bounds.minX + padding * 2, bounds.maxY - bounds.minY + padding * 2);
+        context.setLineDash([]);
+        this.getHandles(annotation).forEach(({ point: [x, y] }) => {
+            context.fillRect(x - ANNOTATION_HANDLE_SIZE / 2, y - ANNOTATION_HANDLE_SIZE / 2,
+                ANNOTATION_HANDLE_SIZE, ANNOTATION_HANDLE_SIZE);
+        });
+        context.restore();
+    }
+};
+
+// =========================================
+// Signature Pad
+// =========================================
+
+const SIGNATURE_STORAGE_KEY = 'pdfEditor.signatures';
+// Script faces that ship with common systems, so typing a signature needs no web font download
+const SIGNATURE_FONTS = '"Segoe Script", "Brush Script MT", "Lucida Handwriting", "Apple Chancery", cursive';
+// Uploaded pixels lighter than this on every channel count as paper and are made transparent
+const SIGNATURE_PAPER_LEVEL = 215;
+
+/**
+ * Crop a canvas to the pixels that are not fully transparent
+ * @param {HTMLCanvasElement} canvas - The canvas
+ * @param {number} padding - Pixels to keep around the content
+ * @returns {?HTMLCanvasElement} Cropped copy, or null when the canvas is empty
+ */
+function trimCanvas(canvas, padding = 4) {
+    const { width, height } = canvas;
+    const { data } = canvas.getContext('2d').getImageData(0, 0, width, height);
+    let minX = width;
+    let minY = height;
+    let maxX = -1;
+    let maxY = -1;
+
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            if (data[(y * width + x) * 4 + 3] > 0) {
+                minX = Math.min(minX, x);
+                maxX = Math.max(maxX, x);
+                minY = Math.min(minY, y);
+                maxY = Math.max(maxY, y);
+            }
+        }
+    }
+    if (maxX < 0) return null;
+
+    minX = Math.max(0, minX - padding);
+    minY = Math.max(0, minY - padding);
+    const trimmed = document.createElement('canvas');
+    trimmed.width = Math.min(width, maxX + padding + 1) - minX;
+    trimmed.height = Math.min(height, maxY + padding + 1) - minY;
+    trimmed.getContext('2d').drawImage(canvas, minX, minY, trimmed.width, trimmed.height,
+        0, 0, trimmed.width, trimmed.height);
+    return trimmed;
+}
+
+/**
+ * Creates signatures by drawing, typing or uploading, keeps them in localStorage for reuse,
+ * and hands them to AnnotationLayer to be placed on pages in the preview modal
+ */
+const SignaturePad = {
+    mode: 'draw',
+    signatures: [], // { id, dataUrl, width, height }
+    uploadedImage: null,
+    lastPoint: null,
+
+    // DOM elements
+    elements: {
+        panel: null,
+        toggleBtn: null,
+        list: null,
+        canvas: null,
+        textInput: null,
+        fileInput: null,
+        knockoutLabel: null,
+        knockoutToggle: null,
+        colorInput: null,
+        clearBtn: null,
+        saveBtn: null,
+        error: null
+    },
+
+    init() {
+        this.elements = {
+            panel: document.getElementById('signaturePanel'),
+            toggleBtn: document.getElementById('signatureToggleBtn'),
+            list: document.getElementById('signatureList'),
+            canvas: document.getElementById('signatureCanvas'),
+            textInput: document.getElementById('signatureTextInput'),
+            fileInput: document.getElementById('signatureFileInput'),
+            knockoutLabel: document.getElementById('signatureKnockoutLabel'),
+            knockoutToggle: document.getElementById('signatureKnockout'),
+            colorInput: document.getElementById('signatureColor'),
+            clearBtn: document.getElementById('signatureClearBtn'),
+            saveBtn: document.getElementById('signatureSaveBtn'),
+            error: document.getElementById('signatureError')
+        };
+        if (!this.elements.panel) return;
+
+        this.signatures = this.load();
+        this.setupEventListeners();
+        this.renderList();
+    },
+
+    setupEventListeners() {
+        const { panel, toggleBtn, canvas, textInput, fileInput, knockoutToggle, colorInput } = this.elements;
+
+        toggleBtn.addEventListener('click', () => this.toggle());
+        panel.querySelectorAll('[data-signature-mode]').forEach(btn => {
+            btn.addEventListener('click', () => this.setMode(btn.dataset.signatureMode));
+        });
+
+        canvas.addEventListener('pointerdown', (e) => this.startStroke(e));
+        canvas.addEventListener('pointermove', (e) => this.continueStroke(e));
+        canvas.addEventListener('pointerup', () => this.endStroke());
+        canvas.addEventListener('pointercancel', () => this.endStroke());
+
+        textInput.addEventListener('input', () => this.renderTyped());
+        colorInput.addEventListener('input', () => {
+            if (this.mode === 'type') this.renderTyped();
+        });
+        fileInput.addEventListener('change', () => this.loadUpload(fileInput.files[0]));
+        knockoutToggle.addEventListener('change', () => this.renderUpload());
+        this.elements.clearBtn.addEventListener('click', () => this.clear());
+        this.elements.saveBtn.addEventListener('click', () => this.save());
+
+        // Saved signatures can be dropped anywhere on the modal page
+        const previewCanvas = PagePreview.elements.previewCanvas;
+        previewCanvas?.addEventListener('dragover', (e) => {
+            if (e.dataTransfer?.types.includes('application/x-signature')) {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'copy';
+            }
+        });
+        previewCanvas?.addEventListener('drop', (e) => {
+            const signature = this.signatures.find(s => s.id === e.dataTransfer?.getData('application/x-signature'));
+            if (!signature) return;
             e.preventDefault();
-            this.togglePageSelection(pageNum, thumbnailDiv);
+            AnnotationLayer.addSignature(signature, AnnotationLayer.getCanvasPoint(e));
         });
+    },
 
-        thumbnailDiv.addEventListener('dblclick', (e) => {
-            e.preventDefault();
-            this.openModal(pageNum);
+    toggle(open = this.elements.panel.classList.contains('hidden')) {
+        this.elements.panel.classList.toggle('hidden', !open);
+        this.elements.toggleBtn.classList.toggle('active', open);
+        this.elements.toggleBtn.setAttribute('aria-expanded', String(open));
+    },
+
+    setMode(mode) {
+        const { panel, textInput, fileInput, knockoutLabel } = this.elements;
+        this.mode = mode;
+        panel.querySelectorAll('[data-signature-mode]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.signatureMode === mode);
         });
+        textInput.classList.toggle('hidden', mode !== 'type');
+        fileInput.classList.toggle('hidden', mode !== 'upload');
+        knockoutLabel.classList.toggle('hidden', mode !== 'upload');
+        this.clear();
 
-        // Add drag listeners
-        this.addDragListeners(thumbnailDiv);
+        if (mode === 'type') textInput.focus();
+    },
+
+    clear() {
+        const { canvas, textInput, fileInput } = this.elements;
+        canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+        textInput.value = '';
+        fileInput.value = '';
+        this.uploadedImage = null;
+    },
+
+    getCanvasPoint(e) {
+        const canvas = this.elements.canvas;
+        const rect = canvas.getBoundingClientRect();
+        return [
+            (e.clientX - rect.left) * canvas.width / (rect.width || canvas.width),
+            (e.clientY - rect.top) * canvas.height / (rect.height || canvas.height)
+        ];
+    },
+
+    startStroke(e) {
+        if (this.mode !== 'draw') return;
+        this.lastPoint = this.getCanvasPoint(e);
+        this.elements.canvas.setPointerCapture?.(e.pointerId);
+        // A tap leaves a dot
+        this.continueStroke(e);
+        e.preventDefault();
+    },
+
+    continueStroke(e) {
+        if (!this.lastPoint) return;
+        const point = this.getCanvasPoint(e);
+        const context = this.elements.canvas.getContext('2d');
+
+        context.strokeStyle = this.elements.colorInput.value;
+        context.lineWidth = 4;
+        context.lineCap = 'round';
+        context.lineJoin = 'round';
+        context.beginPath();
+        context.moveTo(...this.lastPoint);
+        context.lineTo(...point);
+        context.stroke();
+        this.lastPoint = point;
+    },
 
-        this.elements.thumbnailsContainer.appendChild(thumbnailDiv);
+    endStroke() {
+        this.lastPoint = null;
+    },
+
+    renderTyped() {
+        const { canvas, textInput, colorInput } = this.elements;
+        const context = canvas.getContext('2d');
+        const text = textInput.value.trim();
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        if (!text) return;
+
+        // Shrink long names until they fit the pad
+        let fontSize = 96;
+        do {
+            context.font = `${fontSize}px ${SIGNATURE_FONTS}`;
+            fontSize -= 4;
+        } while (fontSize > 16 && context.measureText(text).width > canvas.width - 40);
+
+        context.fillStyle = colorInput.value;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText(text, canvas.width / 2, canvas.height / 2);
+    },
+
+    async loadUpload(file) {
+        if (!file) return;
 
         try {
-            const page = await this.pdfDoc.getPage(pageNum);
-            const scale = 0.3;
-            const viewport = page.getViewport({ scale });
+            this.uploadedImage = await renderImageToCanvas(await readImageFile(file), 1200);
+            this.renderUpload();
+        } catch (error) {
+            console.error('Error loading signature image:', error);
+            showErrorMessage(this.elements.error, 'Please choose a JPEG, PNG or WebP image.');
+        }
+    },
 
-            const canvas = document.createElement('canvas');
-            const context = canvas.getContext('2d');
-            canvas.width = viewport.width;
-            canvas.height = viewport.height;
+    /**
+     * Fit the uploaded image into the pad, optionally knocking out the paper around the ink
+     */
+    renderUpload() {
+        const { canvas, knockoutToggle } = this.elements;
+        const context = canvas.getContext('2d');
+        context.clearRect(0, 0, canvas.width, canvas.height);
+        if (!this.uploadedImage) return;
+
+        const image = this.uploadedImage;
+        const scale = Math.min(canvas.width / image.width, canvas.height / image.height);
+        const width = image.width * scale;
+        const height = image.height * scale;
+        context.drawImage(image, (canvas.width - width) / 2, (canvas.height - height) / 2, width, height);
+
+        if (knockoutToggle.checked) {
+            const pixels = context.getImageData(0, 0, canvas.width, canvas.height);
+            const { data } = pixels;
+            for (let i = 0; i < data.length; i += 4) {
+                if (Math.min(data[i], data[i + 1], data[i + 2]) > SIGNATURE_PAPER_LEVEL) {
+                    data[i + 3] = 0;
+                }
+            }
+            context.putImageData(pixels, 0, 0);
+        }
+    },
+
+    save() {
+        const trimmed = trimCanvas(this.elements.canvas);
+        if (!trimmed) {
+            showErrorMessage(this.elements.error, 'Draw, type or upload a signature first.');
+            return;
+        }
+
+        const signature = {
+            id: `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+            dataUrl: trimmed.toDataURL('image/png'),
+            width: trimmed.width,
+            height: trimmed.height
+        };
+        this.signatures.push(signature);
+
+        if (!this.persist()) {
+            this.signatures.pop();
+            showErrorMessage(this.elements.error, 'Could not save the signature: browser storage is full.');
+            return;
+        }
+
+        this.clear();
+        this.renderList();
+    },
 
-            await page.render({
-                canvasContext: context,
-                viewport: viewport
-            }).promise;
+    remove(id) {
+        this.signatures = this.signatures.filter(signature => signature.id !== id);
+        this.persist();
+        this.renderList();
+    },
 
-            // Remove loading indicator and add canvas
-            loading.remove();
-            thumbnailDiv.insertBefore(canvas, pageLabel);
+    /**
+     * Read saved signatures; they never leave this browser
+     * @returns {Object[]}
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(SIGNATURE_STORAGE_KEY) || '[]');
+            return Array.isArray(saved) ? saved.filter(signature => signature?.dataUrl && signature.width > 0) : [];
         } catch (error) {
-            console.error(`Error rendering thumbnail for page ${pageNum}:`, error);
-            loading.remove();
+            console.error('Error reading saved signatures:', error);
+            return [];
         }
     },
 
-    addDragListeners(element) {
-        element.addEventListener('dragstart', (e) => {
-            element.classList.add('dragging');
-            e.dataTransfer.effectAllowed = 'move';
-            e.dataTransfer.setData('text/plain', element.getAttribute('data-page'));
-            // Small delay to ensure the drag image is created before we hide the element (if we wanted to)
-        });
+    /**
+     * Write the saved signatures
+     * @returns {boolean} False when the browser refused, e.g. because storage is full
+     */
+    persist() {
+        try {
+            localStorage.setItem(SIGNATURE_STORAGE_KEY, JSON.stringify(this.signatures));
+            return true;
+        } catch (error) {
+            console.error('Error saving signatures:', error);
+            return false;
+        }
+    },
 
-        element.addEventListener('dragend', () => {
-            element.classList.remove('dragging');
-            this.elements.thumbnailsContainer.querySelectorAll('.page-thumbnail').forEach(el => {
-                el.classList.remove('drag-over-left');
-                el.classList.remove('drag-over-right');
+    renderList() {
+        const list = this.elements.list;
+        list.innerHTML = '';
+
+        if (this.signatures.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'preview-hint';
+            empty.textContent = 'No saved signatures yet. Create one below.';
+            list.appendChild(empty);
+            return;
+        }
+
+        this.signatures.forEach(signature => {
+            const item = document.createElement('div');
+            item.className = 'signature-item';
+            item.draggable = true;
+            item.title = 'Place this signature';
+
+            const image = document.createElement('img');
+            image.src = signature.dataUrl;
+            image.alt = 'Saved signature';
+            image.draggable = false;
+
+            const removeBtn = document.createElement('button');
+            removeBtn.type = 'button';
+            removeBtn.className = 'signature-remove-btn';
+            removeBtn.setAttribute('aria-label', 'Delete saved signature');
+            removeBtn.textContent = '✕';
+            removeBtn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.remove(signature.id);
             });
-            this.updatePagesInput();
+
+            item.addEventListener('click', () => AnnotationLayer.addSignature(signature));
+            item.addEventListener('dragstart', (e) => {
+                e.dataTransfer.setData('application/x-signature', signature.id);
+                e.dataTransfer.effectAllowed = 'copy';
+            });
+
+            item.append(image, removeBtn);
+            list.appendChild(item);
         });
+    }
+};
 
-        element.addEventListener('dragover', (e) => {
-            e.preventDefault();
-            e.dataTransfer.dropEffect = 'move';
+// =========================================
+// Page Search
+// =========================================
 
-            const rect = element.getBoundingClientRect();
-            const midX = rect.left + rect.width / 2;
+// Search hits are painted over the page, so they need to stay see-through
+const SEARCH_HIT_COLOR = 'rgba(255, 152, 0, 0.45)';
 
-            this.elements.thumbnailsContainer.querySelectorAll('.page-thumbnail').forEach(el => {
-                if (el !== element) {
-                    el.classList.remove('drag-over-left');
-                    el.classList.remove('drag-over-right');
-                }
-            });
+/**
+ * Build the regular expression a search runs with
+ * Plain text is matched literally, with any run of white space matching any other, since
+ * pdf.js does not always give the spacing as typed.
+ * @param {string} query - Text, or a regular expression source
+ * @param {Object} options - How to read the query
+ * @param {boolean} options.regex - Treat the query as a regular expression
+ * @param {boolean} options.matchCase - Tell upper and lower case apart
+ * @returns {RegExp} A global regular expression
+ * @throws {Error} When the regular expression is invalid or matches empty text
+ */
+function createSearchPattern(query, { regex = false, matchCase = false } = {}) {
+    const source = regex
+        ? query
+        : query.trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/\s+/g, '\\s+');
+
+    // An invalid regular expression throws a SyntaxError that already says what is wrong
+    const pattern = new RegExp(source, matchCase ? 'g' : 'gi');
+    if (pattern.test('')) {
+        throw new Error('This search matches empty text. Make it more specific.');
+    }
+    pattern.lastIndex = 0;
+    return pattern;
+}
 
-            if (e.clientX < midX) {
-                element.classList.add('drag-over-left');
-                element.classList.remove('drag-over-right');
-            } else {
-                element.classList.remove('drag-over-left');
-                element.classList.add('drag-over-right');
-            }
+/**
+ * Join the text items of a page into one string to search
+ * @param {Object} textContent - pdf.js text content of the page
+ * @returns {{text: string, spans: Array<{item: Object, start: number}>}} The text, and where
+ *   each item starts in it
+ */
+function getSearchableText(textContent) {
+    let text = '';
+    const spans = [];
+    textContent.items.forEach(item => {
+        if (!('str' in item)) return;
+        spans.push({ item, start: text.length });
+        text += item.str;
+        if (item.hasEOL) text += '\n';
+    });
+    return { text, spans };
+}
+
+/**
+ * Outline a stretch of page text, one quadrilateral per text item it covers
+ * pdf.js gives no positions for single characters, so they are spread evenly over each item.
+ * @param {Array<{item: Object, start: number}>} spans - Items as returned by getSearchableText
+ * @param {number} start - Offset of the first character
+ * @param {number} end - Offset after the last character
+ * @returns {Array<number[][]>} Corners of each quadrilateral in PDF user space
+ */
+function getTextRangeQuads(spans, start, end) {
+    return spans
+        .filter(({ item, start: itemStart }) => item.str.length > 0 && item.width > 0 &&
+            itemStart < end && itemStart + item.str.length > start)
+        .map(({ item, start: itemStart }) => {
+            const from = Math.max(0, start - itemStart) / item.str.length;
+            const to = Math.min(item.str.length, end - itemStart) / item.str.length;
+            const [a, b, c, d, e, f] = item.transform;
+            const length = Math.hypot(a, b) || 1;
+            const [dx, dy] = [a / length, b / length];
+            const height = item.height || Math.hypot(c, d);
+            // Along the baseline by t of the width, then up from it
+            const at = (t, up) => [e + dx * t * item.width - dy * up, f + dy * t * item.width + dx * up];
+            const descent = -height * 0.25;
+            return [at(from, descent), at(to, descent), at(to, height), at(from, height)];
         });
+}
 
-        element.addEventListener('dragleave', () => {
-            element.classList.remove('drag-over-left');
-            element.classList.remove('drag-over-right');
+/**
+ * Full-text search over the pages of the Split tab
+ * Finds a term or regular expression with pdf.js getTextContent, marks the hits on the
+ * thumbnails and in the preview modal, and can add every page with a hit to the selection.
+ */
+const PageSearch = {
+    matches: new Map(), // pageNum -> outlines of its hits in PDF user space
+    counts: new Map(), // pageNum -> number of hits
+    textCache: new Map(), // pageNum -> searchable text (see getSearchableText)
+    pdfDoc: null, // Document the cached text belongs to
+    searchId: 0, // Bumped by every search, so a slower earlier one knows to stop
+
+    // DOM elements
+    elements: {
+        form: null,
+        input: null,
+        regexToggle: null,
+        caseToggle: null,
+        selectBtn: null,
+        status: null
+    },
+
+    init() {
+        this.elements = {
+            form: document.getElementById('pageSearchForm'),
+            input: document.getElementById('pageSearchInput'),
+            regexToggle: document.getElementById('pageSearchRegex'),
+            caseToggle: document.getElementById('pageSearchCase'),
+            selectBtn: document.getElementById('pageSearchSelectBtn'),
+            status: document.getElementById('pageSearchStatus')
+        };
+        if (!this.elements.form) return;
+
+        PagePreview.previewOverlays.push((context, pageNum, viewport) => this.drawHits(context, pageNum, viewport));
+        PagePreview.thumbnailOverlays.push((context, pageNum, viewport, thumbnailDiv) => {
+            this.drawHits(context, pageNum, viewport);
+            this.updateBadge(thumbnailDiv, pageNum);
         });
+        this.setupEventListeners();
+    },
+
+    setupEventListeners() {
+        const { form, input, regexToggle, caseToggle, selectBtn } = this.elements;
 
-        element.addEventListener('drop', (e) => {
+        form.addEventListener('submit', (e) => {
             e.preventDefault();
-            const draggingPageNum = e.dataTransfer.getData('text/plain');
-            const draggingElement = this.elements.thumbnailsContainer.querySelector(`.page-thumbnail[data-page="${draggingPageNum}"]`);
+            this.search();
+        });
+        // Emptying the box (or its clear button) ends the search
+        input.addEventListener('input', () => {
+            if (!input.value.trim()) this.showResults(new Map(), new Map());
+        });
+        [regexToggle, caseToggle].forEach(toggle => {
+            toggle.addEventListener('change', () => {
+                if (input.value.trim()) this.search();
+            });
+        });
+        selectBtn.addEventListener('click', () => PagePreview.selectPages(Array.from(this.matches.keys())));
+    },
 
-            if (draggingElement && draggingElement !== element) {
-                const rect = element.getBoundingClientRect();
-                const midX = rect.left + rect.width / 2;
+    /**
+     * Searchable text of a page, extracted once per document
+     * @param {number} pageNum - 1-based page number
+     * @returns {Promise<Object>} See getSearchableText
+     */
+    async getPageText(pageNum) {
+        if (this.pdfDoc !== PagePreview.pdfDoc) {
+            this.pdfDoc = PagePreview.pdfDoc;
+            this.textCache.clear();
+        }
+        if (!this.textCache.has(pageNum)) {
+            const page = await this.pdfDoc.getPage(pageNum);
+            this.textCache.set(pageNum, getSearchableText(await page.getTextContent()));
+        }
+        return this.textCache.get(pageNum);
+    },
 
-                if (e.clientX < midX) {
-                    this.elements.thumbnailsContainer.insertBefore(draggingElement, element);
-                } else {
-                    this.elements.thumbnailsContainer.insertBefore(draggingElement, element.nextSibling);
+    async search() {
+        const searchId = ++this.searchId;
+        const query = this.elements.input.value;
+        const totalPages = PagePreview.totalPages;
+        if (!query.trim() || !PagePreview.pdfDoc) {
+            this.showResults(new Map(), new Map());
+            return;
+        }
+
+        let pattern;
+        try {
+            pattern = createSearchPattern(query, {
+                regex: this.elements.regexToggle.checked,
+                matchCase: this.elements.caseToggle.checked
+            });
+        } catch (error) {
+            this.showResults(new Map(), new Map(), error.message);
+            return;
+        }
+
+        const matches = new Map();
+        const counts = new Map();
+        try {
+            for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
+                this.setStatus(`Searching page ${pageNum} of ${totalPages}...`);
+                const { text, spans } = await this.getPageText(pageNum);
+                // A newer search, or another document, took over
+                if (searchId !== this.searchId) return;
+
+                const quads = [];
+                let count = 0;
+                pattern.lastIndex = 0;
+                for (let match = pattern.exec(text); match; match = pattern.exec(text)) {
+                    if (match[0].length === 0) {
+                        pattern.lastIndex++;
+                        continue;
+                    }
+                    count++;
+                    quads.push(...getTextRangeQuads(spans, match.index, match.index + match[0].length));
+                }
+                if (count > 0) {
+                    matches.set(pageNum, quads);
+                    counts.set(pageNum, count);
                 }
-                this.updatePagesInput();
             }
+        } catch (error) {
+            if (searchId !== this.searchId) return;
+            console.error('Error searching PDF text:', error);
+            this.showResults(new Map(), new Map(), `Could not read the page text: ${error.message}`);
+            return;
+        }
 
-            element.classList.remove('drag-over-left');
-            element.classList.remove('drag-over-right');
-        });
+        this.showResults(matches, counts);
     },
 
-    togglePageSelection(pageNum, thumbnailDiv) {
-        if (this.selectedPages.has(pageNum)) {
-            this.selectedPages.delete(pageNum);
-            thumbnailDiv.classList.remove('selected');
+    /**
+     * Replace the current hits and redraw the pages whose hits changed
+     * @param {Map<number, Array>} matches - Hit outlines per page
+     * @param {Map<number, number>} counts - Hits per page
+     * @param {string} message - Status to show instead of the hit count
+     */
+    showResults(matches, counts, message = null) {
+        const changed = new Set([...this.matches.keys(), ...matches.keys()]);
+        this.matches = matches;
+        this.counts = counts;
+
+        changed.forEach(pageNum => {
+            PagePreview.getThumbnailsForPage(pageNum).forEach(thumb => PagePreview.renderThumbnail(pageNum, thumb));
+        });
+        PagePreview.drawOverlays();
+
+        const total = Array.from(counts.values()).reduce((sum, count) => sum + count, 0);
+        const query = this.elements.input.value.trim();
+        if (message) {
+            this.setStatus(message);
+        } else if (!query) {
+            this.setStatus('');
+        } else if (total === 0) {
+            this.setStatus('No matches');
         } else {
-            this.selectedPages.add(pageNum);
-            thumbnailDiv.classList.add('selected');
-        }
-        this.updatePagesInput();
-        if (this.onSelectionChange) {
-            this.onSelectionChange(this.getSelectedPagesArray());
+            this.setStatus(`${total} match${total === 1 ? '' : 'es'} on ${matches.size} page${matches.size === 1 ? '' : 's'}`);
         }
+        this.elements.selectBtn.disabled = matches.size === 0;
     },
 
-    getSelectedPagesArray() {
-        // Get pages in visual order from DOM
-        const thumbnails = Array.from(this.elements.thumbnailsContainer.querySelectorAll('.page-thumbnail'));
-        const selected = [];
+    setStatus(text) {
+        this.elements.status.textContent = text;
+    },
 
-        thumbnails.forEach(thumb => {
-            const pageNum = parseInt(thumb.getAttribute('data-page'));
-            if (this.selectedPages.has(pageNum)) {
-                selected.push(pageNum);
-            }
+    /**
+     * Paint a page's hits over its rendering
+     * @param {CanvasRenderingContext2D} context - Context of the rendered page
+     * @param {number} pageNum - Page shown
+     * @param {Object} viewport - pdf.js viewport the page was rendered with
+     */
+    drawHits(context, pageNum, viewport) {
+        const quads = this.matches.get(pageNum);
+        if (!quads) return;
+
+        context.save();
+        context.fillStyle = SEARCH_HIT_COLOR;
+        quads.forEach(quad => {
+            context.beginPath();
+            quad.forEach(([x, y], i) => {
+                const [viewX, viewY] = viewport.convertToViewportPoint(x, y);
+                if (i === 0) {
+                    context.moveTo(viewX, viewY);
+                } else {
+                    context.lineTo(viewX, viewY);
+                }
+            });
+            context.closePath();
+            context.fill();
         });
-
-        return selected;
+        context.restore();
     },
 
-    updatePagesInput() {
-        const pagesInput = document.getElementById('pages');
-        if (pagesInput) {
-            const selectedArray = this.getSelectedPagesArray();
-            pagesInput.value = this.formatPageRanges(selectedArray);
+    /**
+     * Show how many hits a thumbnail's page has
+     * @param {HTMLElement} thumbnailDiv - The thumbnail
+     * @param {number} pageNum - Its page
+     */
+    updateBadge(thumbnailDiv, pageNum) {
+        const count = this.counts.get(pageNum) || 0;
+        let badge = thumbnailDiv.querySelector('.page-thumbnail-matches');
+
+        thumbnailDiv.classList.toggle('search-match', count > 0);
+        if (count === 0) {
+            badge?.remove();
+            return;
+        }
+        if (!badge) {
+            badge = document.createElement('div');
+            badge.className = 'page-thumbnail-matches';
+            thumbnailDiv.appendChild(badge);
         }
+        badge.textContent = count;
+        badge.title = `${count} match${count === 1 ? '' : 'es'}`;
     },
 
-    formatPageRanges(pages) {
-        if (pages.length === 0) return '';
-        
-        const ranges = [];
-        let start = pages[0];
-        let end = pages[0];
+    /**
+     * Forget the hits and the extracted text, e.g. when another file is chosen
+     */
+    reset() {
+        this.searchId++;
+        this.matches.clear();
+        this.counts.clear();
+        this.textCache.clear();
+        this.pdfDoc = null;
+        if (!this.elements.form) return;
+        this.elements.input.value = '';
+        this.setStatus('');
+        this.elements.selectBtn.disabled = true;
+    }
+};
 
-        for (let i = 1; i < pages.length; i++) {
-            if (pages[i] === end + 1) {
-                end = pages[i];
-            } else {
-                ranges.push(start === end ? `${start}` : `${start}-${end}`);
-                start = pages[i];
-                end = pages[i];
-            }
-        }
-        ranges.push(start === end ? `${start}` : `${start}-${end}`);
-        
-        return ranges.join(',');
+// =========================================
+// Merge Board Controller
+// =========================================
+
+/** Colors used to tell source files apart on the merge board */
+const SOURCE_COLORS = ['#00ff88', '#4da6ff', '#ffb84d', '#ff6b9d', '#b18cff', '#4dffea', '#ffe14d', '#ff7a4d'];
+
+const MergeBoard = {
+    enabled: false,
+    entries: [],
+    documents: new Map(), // entry id -> Promise of pdf.js document
+    syncing: Promise.resolve(), // Latest syncThumbnails run
+    onArrange: null, // (label) => void, after the user rearranged the board
+
+    // DOM elements
+    elements: {
+        section: null,
+        toggle: null,
+        body: null,
+        legend: null,
+        board: null,
+        resetBtn: null
     },
 
-    selectAll() {
-        const thumbnails = this.elements.thumbnailsContainer?.querySelectorAll('.page-thumbnail');
-        thumbnails?.forEach((thumb, index) => {
-            const pageNum = index + 1;
-            this.selectedPages.add(pageNum);
-            thumb.classList.add('selected');
+    init() {
+        this.elements = {
+            section: document.getElementById('mergeBoardSection'),
+            toggle: document.getElementById('mergeBoardToggle'),
+            body: document.getElementById('mergeBoardBody'),
+            legend: document.getElementById('mergeBoardLegend'),
+            board: document.getElementById('mergeBoard'),
+            resetBtn: document.getElementById('mergeBoardResetBtn')
+        };
+
+        this.elements.toggle?.addEventListener('change', () => this.setEnabled(this.elements.toggle.checked));
+        this.elements.resetBtn?.addEventListener('click', async () => {
+            this.elements.board.innerHTML = '';
+            await this.sync();
+            this.onArrange?.('reset page board');
         });
-        this.updatePagesInput();
     },
 
-    deselectAll() {
-        const thumbnails = this.elements.thumbnailsContainer?.querySelectorAll('.page-thumbnail');
-        thumbnails?.forEach(thumb => thumb.classList.remove('selected'));
-        this.selectedPages.clear();
-        this.updatePagesInput();
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (this.elements.toggle) this.elements.toggle.checked = enabled;
+        this.elements.body?.classList.toggle('hidden', !enabled);
+        if (enabled) this.sync();
     },
 
-    async openModal(pageNum) {
-        this.currentPage = pageNum;
-        this.zoomLevel = 1;
-        this.elements.modal?.classList.remove('hidden');
-        document.body.style.overflow = 'hidden';
-        await this.renderPreview();
-        this.updateNavigationButtons();
-        this.updateZoomDisplay();
+    sync() {
+        this.syncing = this.syncThumbnails();
+        return this.syncing;
     },
 
-    closeModal() {
-        this.elements.modal?.classList.add('hidden');
-        document.body.style.overflow = '';
+    /**
+     * Refresh the board after the merge list changed
+     * @param {Object[]} entries - Merge list entries ({ id, file, isImage, image, pageCount, range })
+     */
+    update(entries) {
+        this.entries = entries;
+        this.elements.section?.classList.toggle('hidden', entries.length === 0);
+
+        // Release pdf.js documents of files that left the list
+        for (const [id, docPromise] of this.documents) {
+            if (!entries.some(entry => entry.id === id)) {
+                docPromise.then(doc => doc.destroy()).catch(() => { });
+                this.documents.delete(id);
+            }
+        }
+
+        this.renderLegend();
+        if (this.enabled) this.sync();
     },
 
-    async navigatePage(direction) {
-        const newPage = this.currentPage + direction;
-        if (newPage >= 1 && newPage <= this.totalPages) {
-            this.currentPage = newPage;
-            await this.renderPreview();
-            this.updateNavigationButtons();
+    getColor(entryId) {
+        return SOURCE_COLORS[(entryId - 1) % SOURCE_COLORS.length];
+    },
+
+    getBadge(entryId) {
+        const index = this.entries.findIndex(entry => entry.id === entryId);
+        return index < 26 ? String.fromCharCode(65 + index) : `${index + 1}`;
+    },
+
+    getDocument(entry) {
+        if (!this.documents.has(entry.id)) {
+            this.documents.set(entry.id, readFileAsArrayBuffer(entry.file)
+                .then(data => loadPdfJsDocument(data, entry.file.name)));
         }
+        return this.documents.get(entry.id);
     },
 
-    updateNavigationButtons() {
-        if (this.elements.prevBtn) {
-            this.elements.prevBtn.disabled = this.currentPage <= 1;
+    /**
+     * Pages an entry puts on the board: its page range, or every page when the range is empty or invalid
+     * @param {Object} entry - Merge list entry
+     * @returns {number[]} 1-based page numbers
+     */
+    getEntryPages(entry) {
+        if (!entry.pageCount) return [];
+        if (entry.range.trim() && !validatePageRange(entry.range, entry.pageCount)) {
+            return parsePageRanges(entry.range, entry.pageCount);
         }
-        if (this.elements.nextBtn) {
-            this.elements.nextBtn.disabled = this.currentPage >= this.totalPages;
+        return Array.from({ length: entry.pageCount }, (_, i) => i + 1);
+    },
+
+    renderLegend() {
+        if (!this.elements.legend) return;
+        this.elements.legend.innerHTML = '';
+
+        this.entries.forEach(entry => {
+            const item = document.createElement('span');
+            item.className = 'merge-board-legend-item';
+            item.style.setProperty('--source-color', this.getColor(entry.id));
+            item.innerHTML = `<span class="merge-board-badge">${this.getBadge(entry.id)}</span><span class="merge-board-legend-name"></span>`;
+            item.querySelector('.merge-board-legend-name').textContent = entry.file.name;
+            this.elements.legend.appendChild(item);
+        });
+
+        // Badges follow the list position, so refresh them on thumbnails already on the board
+        this.elements.board?.querySelectorAll('.page-thumbnail').forEach(thumb => {
+            const badge = thumb.querySelector('.merge-board-badge');
+            if (badge) badge.textContent = this.getBadge(parseInt(thumb.dataset.entryId, 10));
+        });
+    },
+
+    /**
+     * Add thumbnails for pages that are new to the board and drop those that left it,
+     * keeping the arrangement of everything else
+     */
+    async syncThumbnails() {
+        const board = this.elements.board;
+        if (!board) return;
+
+        const wanted = new Set();
+        const toAdd = [];
+
+        this.entries.forEach(entry => {
+            this.getEntryPages(entry).forEach(pageNum => {
+                const key = `${entry.id}-${pageNum}`;
+                wanted.add(key);
+                if (!board.querySelector(`.page-thumbnail[data-thumb-id="${key}"]`)) {
+                    toAdd.push({ entry, pageNum, key });
+                }
+            });
+        });
+
+        board.querySelectorAll('.page-thumbnail').forEach(thumb => {
+            if (!wanted.has(thumb.dataset.thumbId)) thumb.remove();
+        });
+
+        const batchSize = 5;
+        for (let i = 0; i < toAdd.length; i += batchSize) {
+            await Promise.all(toAdd.slice(i, i + batchSize).map(item => this.createThumbnail(item)));
+        }
+    },
+
+    async createThumbnail({ entry, pageNum, key }) {
+        // An overlapping sync may already have added this page
+        if (this.elements.board.querySelector(`.page-thumbnail[data-thumb-id="${key}"]`)) return;
+        if (!this.entries.includes(entry)) return;
+
+        const thumbnailDiv = document.createElement('div');
+        thumbnailDiv.className = 'page-thumbnail merge-board-thumb';
+        thumbnailDiv.setAttribute('data-thumb-id', key);
+        thumbnailDiv.dataset.entryId = entry.id;
+        thumbnailDiv.dataset.page = pageNum;
+        thumbnailDiv.draggable = true;
+        thumbnailDiv.title = entry.isImage ? entry.file.name : `${entry.file.name} - page ${pageNum}`;
+        thumbnailDiv.style.setProperty('--source-color', this.getColor(entry.id));
+
+        thumbnailDiv.innerHTML = `
+            <div class="page-thumbnail-loading"></div>
+            <span class="merge-board-badge">${this.getBadge(entry.id)}</span>
+            <div class="page-thumbnail-number">${entry.isImage ? 'Image' : `Page ${pageNum}`}</div>
+        `;
+
+        setupThumbnailReordering(thumbnailDiv, this.elements.board, () => this.onArrange?.('move page'));
+        this.elements.board.appendChild(thumbnailDiv);
+
+        try {
+            let canvas;
+            if (entry.image) {
+                canvas = await renderImageToCanvas(entry.image, 240);
+            } else {
+                const pdfDoc = await this.getDocument(entry);
+                const page = await pdfDoc.getPage(pageNum);
+                canvas = await renderPageToCanvas(page, page.getViewport({ scale: 0.3 }));
+            }
+            thumbnailDiv.insertBefore(canvas, thumbnailDiv.querySelector('.page-thumbnail-number'));
+        } catch (error) {
+            console.error(`Error rendering board thumbnail for ${entry.file.name} page ${pageNum}:`, error);
         }
+        thumbnailDiv.querySelector('.page-thumbnail-loading')?.remove();
     },
 
-    adjustZoom(delta) {
-        const newZoom = Math.max(0.5, Math.min(3, this.zoomLevel + delta));
-        if (newZoom !== this.zoomLevel) {
-            this.zoomLevel = newZoom;
-            this.renderPreview();
-            this.updateZoomDisplay();
-        }
+    /**
+     * Thumbnail keys in board order, for putting the arrangement back with setArrangement
+     * @returns {string[]}
+     */
+    getArrangement() {
+        return Array.from(this.elements.board?.querySelectorAll('.page-thumbnail') || [], thumb => thumb.dataset.thumbId);
     },
 
-    updateZoomDisplay() {
-        if (this.elements.zoomLevel) {
-            this.elements.zoomLevel.textContent = `${Math.round(this.zoomLevel * 100)}%`;
-        }
+    /**
+     * Put thumbnails back in an order from getArrangement once the board has caught up with
+     * the file list; pages the order does not know follow in file order, as a sync adds them
+     * @param {string[]} keys - Thumbnail keys in board order
+     */
+    async setArrangement(keys) {
+        await this.syncing;
+        const board = this.elements.board;
+        if (!board) return;
+
+        const thumbnails = new Map(Array.from(board.querySelectorAll('.page-thumbnail'), thumb => [thumb.dataset.thumbId, thumb]));
+        const fileOrder = this.entries.flatMap(entry => this.getEntryPages(entry).map(pageNum => `${entry.id}-${pageNum}`));
+        const known = new Set(keys);
+        const order = [...keys, ...fileOrder.filter(key => !known.has(key))];
+        board.append(...order.filter(key => thumbnails.has(key)).map(key => thumbnails.get(key)));
     },
 
-    async renderPreview() {
-        if (!this.pdfDoc || !this.elements.previewCanvas) return;
+    /**
+     * Pages in board order
+     * @returns {Array<{entryId: number, page: number}>}
+     */
+    getSequence() {
+        const thumbnails = Array.from(this.elements.board?.querySelectorAll('.page-thumbnail') || []);
+        return thumbnails.map(thumb => ({
+            entryId: parseInt(thumb.dataset.entryId, 10),
+            page: parseInt(thumb.dataset.page, 10)
+        }));
+    }
+};
 
-        try {
-            const page = await this.pdfDoc.getPage(this.currentPage);
-            const scale = 1.5 * this.zoomLevel;
-            const viewport = page.getViewport({ scale });
+// =========================================
+// PDF Decryption
+// =========================================
 
-            const canvas = this.elements.previewCanvas;
-            const context = canvas.getContext('2d');
-            canvas.width = viewport.width;
-            canvas.height = viewport.height;
+// Padding appended to passwords by the standard security handler (ISO 32000-1, 7.6.3.3)
+const PASSWORD_PADDING = new Uint8Array([
+    0x28, 0xbf, 0x4e, 0x5e, 0x4e, 0x75, 0x8a, 0x41, 0x64, 0x00, 0x4e, 0x56, 0xff, 0xfa, 0x01, 0x08,
+    0x2e, 0x2e, 0x00, 0xb6, 0xd0, 0x68, 0x3e, 0x80, 0x2f, 0x0c, 0xa9, 0xfe, 0x64, 0x53, 0x69, 0x7a
+]);
 
-            await page.render({
-                canvasContext: context,
-                viewport: viewport
-            }).promise;
+const MD5_SHIFTS = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+const MD5_CONSTANTS = Array.from({ length: 64 }, (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 2 ** 32) >>> 0);
 
-            if (this.elements.pageInfo) {
-                this.elements.pageInfo.textContent = `Page ${this.currentPage} of ${this.totalPages}`;
+/**
+ * Join byte arrays
+ * @param {...Uint8Array} parts - Arrays to join
+ * @returns {Uint8Array} The joined bytes
+ */
+function concatBytes(...parts) {
+    const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+        result.set(part, offset);
+        offset += part.length;
+    });
+    return result;
+}
+
+/**
+ * Compare two byte arrays
+ * @param {Uint8Array} a - First array
+ * @param {Uint8Array} b - Second array
+ * @returns {boolean} Whether both hold the same bytes
+ */
+function bytesEqual(a, b) {
+    return a.length === b.length && a.every((byte, i) => byte === b[i]);
+}
+
+/**
+ * MD5 digest, which WebCrypto does not offer but the RC4 and AES-128 key derivation needs
+ * @param {Uint8Array} data - Bytes to hash
+ * @returns {Uint8Array} 16-byte digest
+ */
+function md5(data) {
+    const padded = new Uint8Array(Math.ceil((data.length + 9) / 64) * 64);
+    padded.set(data);
+    padded[data.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(padded.length - 8, (data.length << 3) >>> 0, true);
+    view.setUint32(padded.length - 4, Math.floor(data.length / 2 ** 29), true);
+
+    const state = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+    for (let offset = 0; offset < padded.length; offset += 64) {
+        let [a, b, c, d] = state;
+        for (let i = 0; i < 64; i++) {
+            let f, g;
+            if (i < 16) {
+                f = (b & c) | (~b & d);
+                g = i;
+            } else if (i < 32) {
+                f = (d & b) | (~d & c);
+                g = (5 * i + 1) % 16;
+            } else if (i < 48) {
+                f = b ^ c ^ d;
+                g = (3 * i + 5) % 16;
+            } else {
+                f = c ^ (b | ~d);
+                g = (7 * i) % 16;
             }
-        } catch (error) {
-            console.error('Error rendering preview:', error);
+            const shift = MD5_SHIFTS[(i >> 4) * 4 + (i % 4)];
+            f = (f + a + MD5_CONSTANTS[i] + view.getUint32(offset + g * 4, true)) | 0;
+            a = d;
+            d = c;
+            c = b;
+            b = (b + ((f << shift) | (f >>> (32 - shift)))) | 0;
         }
-    },
+        state[0] = (state[0] + a) | 0;
+        state[1] = (state[1] + b) | 0;
+        state[2] = (state[2] + c) | 0;
+        state[3] = (state[3] + d) | 0;
+    }
 
-    reset() {
-        this.pdfDoc = null;
-        this.currentPage = 1;
-        this.totalPages = 0;
-        this.zoomLevel = 1;
-        this.file = null;
-        this.selectedPages.clear();
-        this.elements.previewSection?.classList.add('hidden');
-        this.elements.thumbnailsContainer.innerHTML = '';
+    const digest = new Uint8Array(16);
+    const digestView = new DataView(digest.buffer);
+    state.forEach((word, i) => digestView.setUint32(i * 4, word >>> 0, true));
+    return digest;
+}
+
+/**
+ * RC4 stream cipher; encryption and decryption are the same operation
+ * @param {Uint8Array} key - Cipher key
+ * @param {Uint8Array} data - Bytes to process
+ * @returns {Uint8Array} Processed bytes
+ */
+function rc4(key, data) {
+    const s = Uint8Array.from({ length: 256 }, (_, i) => i);
+    for (let i = 0, j = 0; i < 256; i++) {
+        j = (j + s[i] + key[i % key.length]) & 0xff;
+        [s[i], s[j]] = [s[j], s[i]];
     }
-};
+
+    const result = new Uint8Array(data.length);
+    for (let n = 0, i = 0, j = 0; n < data.length; n++) {
+        i = (i + 1) & 0xff;
+        j = (j + s[i]) & 0xff;
+        [s[i], s[j]] = [s[j], s[i]];
+        result[n] = data[n] ^ s[(s[i] + s[j]) & 0xff];
+    }
+    return result;
+}
 
 /**
- * Merge multiple PDF files into one
- * @param {File[]} files - Array of PDF files to merge
- * @param {Function} onProgress - Progress callback (0-100)
- * @returns {Promise<Uint8Array>} Merged PDF bytes
+ * AES-CBC encryption of whole blocks, without the padding WebCrypto adds
+ * @param {Uint8Array} key - 16 or 32 byte key
+ * @param {Uint8Array} iv - Initialization vector
+ * @param {Uint8Array} data - Bytes to encrypt, a multiple of 16 long
+ * @returns {Promise<Uint8Array>} Encrypted bytes
+ */
+async function aesEncryptBlocks(key, iv, data) {
+    const cryptoKey = await crypto.subtle.importKey('raw', key, 'AES-CBC', false, ['encrypt']);
+    const encrypted = await crypto.subtle.encrypt({ name: 'AES-CBC', iv }, cryptoKey, data);
+    return new Uint8Array(encrypted, 0, data.length);
+}
+
+/**
+ * AES-CBC decryption of whole blocks, leaving any padding in place
+ * @param {Uint8Array} key - 16 or 32 byte key
+ * @param {Uint8Array} iv - Initialization vector
+ * @param {Uint8Array} data - Bytes to decrypt, a multiple of 16 long
+ * @returns {Promise<Uint8Array>} Decrypted bytes
+ */
+async function aesDecryptBlocks(key, iv, data) {
+    const cryptoKey = await crypto.subtle.importKey('raw', key, 'AES-CBC', false, ['encrypt', 'decrypt']);
+    // WebCrypto rejects plaintext that does not end in valid padding, which PDF writers do not
+    // always produce, so append a block that decrypts to a full padding block of its own
+    const lastBlock = data.length ? data.slice(-16) : iv;
+    const paddingBlock = await aesEncryptBlocks(key, lastBlock, new Uint8Array(16).fill(16));
+    const decrypted = await crypto.subtle.decrypt({ name: 'AES-CBC', iv }, cryptoKey, concatBytes(data, paddingBlock));
+    return new Uint8Array(decrypted);
+}
+
+/**
+ * Decrypt an AES encrypted string or stream: a 16-byte IV followed by padded ciphertext
+ * @param {Uint8Array} key - Object key
+ * @param {Uint8Array} data - Encrypted bytes
+ * @returns {Promise<Uint8Array>} Decrypted bytes
+ */
+async function aesDecryptPdfData(key, data) {
+    const blocksLength = Math.floor((data.length - 16) / 16) * 16;
+    if (blocksLength <= 0) return new Uint8Array(0);
+
+    const decrypted = await aesDecryptBlocks(key, data.slice(0, 16), data.slice(16, 16 + blocksLength));
+    const padding = decrypted[decrypted.length - 1];
+    return padding >= 1 && padding <= 16 ? decrypted.slice(0, decrypted.length - padding) : decrypted;
+}
+
+/**
+ * Hash of an AES-256 (revision 6) password, ISO 32000-2 algorithm 2.B
+ * @param {Uint8Array} password - UTF-8 password, at most 127 bytes
+ * @param {Uint8Array} salt - 8-byte salt
+ * @param {Uint8Array} userKey - The 48-byte /U value when checking an owner password, otherwise empty
+ * @returns {Promise<Uint8Array>} 32-byte hash
  */
-async function mergePDFs(files, onProgress = () => { }) {
-    const mergedPdf = await PDFLib.PDFDocument.create();
+async function hashAes256Password(password, salt, userKey) {
+    let hash = new Uint8Array(await crypto.subtle.digest('SHA-256', concatBytes(password, salt, userKey)));
 
-    for (let i = 0; i < files.length; i++) {
-        const file = files[i];
-        onProgress(Math.round((i / files.length) * 80), `Processing ${file.name}...`);
+    for (let round = 0; ; round++) {
+        const block = concatBytes(password, hash, userKey);
+        const repeated = new Uint8Array(block.length * 64);
+        for (let i = 0; i < 64; i++) repeated.set(block, i * block.length);
 
-        const arrayBuffer = await readFileAsArrayBuffer(file);
-        const pdf = await PDFLib.PDFDocument.load(arrayBuffer);
-        const copiedPages = await mergedPdf.copyPages(pdf, pdf.getPageIndices());
+        const encrypted = await aesEncryptBlocks(hash.slice(0, 16), hash.slice(16, 32), repeated);
+        // The first 16 bytes taken as a big-endian number modulo 3 pick the next hash function
+        const remainder = encrypted.slice(0, 16).reduce((sum, byte) => sum + byte, 0) % 3;
+        hash = new Uint8Array(await crypto.subtle.digest(['SHA-256', 'SHA-384', 'SHA-512'][remainder], encrypted));
 
-        copiedPages.forEach(page => mergedPdf.addPage(page));
+        if (round >= 63 && encrypted[encrypted.length - 1] <= round - 31) break;
     }
+    return hash.slice(0, 32);
+}
 
-    onProgress(90, 'Optimizing merged PDF...');
+/**
+ * Pad or truncate a password to the 32 bytes the RC4 and AES-128 key derivation works on
+ * @param {Uint8Array} password - Password bytes
+ * @returns {Uint8Array} 32 bytes
+ */
+function padPassword(password) {
+    return concatBytes(password.slice(0, 32), PASSWORD_PADDING).slice(0, 32);
+}
 
-    // Save with optimization options
-    const mergedPdfBytes = await mergedPdf.save({
-        useObjectStreams: true,
-        addDefaultPage: false
-    });
+/**
+ * Work out the file key of an RC4 or AES-128 encrypted PDF (revisions 2-4)
+ * @param {Object} params - Values of the encryption dictionary
+ * @param {string} password - User or owner password
+ * @returns {?Uint8Array} The file key, or null when the password is wrong
+ */
+function getRc4FileKey(params, password) {
+    const { revision, keyLength, owner, user, permissions, documentId, encryptMetadata } = params;
+    const passwordBytes = Uint8Array.from(password, char => char.charCodeAt(0) & 0xff);
+
+    // Algorithm 2
+    const computeKey = (paddedPassword) => {
+        const permissionBytes = new Uint8Array(4);
+        new DataView(permissionBytes.buffer).setInt32(0, permissions, true);
+        let hash = md5(concatBytes(
+            paddedPassword,
+            owner.slice(0, 32),
+            permissionBytes,
+            documentId,
+            revision >= 4 && !encryptMetadata ? new Uint8Array([0xff, 0xff, 0xff, 0xff]) : new Uint8Array(0)
+        ));
+        if (revision >= 3) {
+            for (let i = 0; i < 50; i++) hash = md5(hash.slice(0, keyLength));
+        }
+        return hash.slice(0, keyLength);
+    };
 
-    onProgress(100, 'Complete!');
-    return mergedPdfBytes;
+    // Algorithms 4 and 5: the key is right when it reproduces the /U value
+    const isUserKey = (key) => {
+        if (revision === 2) return bytesEqual(rc4(key, PASSWORD_PADDING), user.slice(0, 32));
+
+        let check = rc4(key, md5(concatBytes(PASSWORD_PADDING, documentId)));
+        for (let i = 1; i <= 19; i++) check = rc4(key.map(byte => byte ^ i), check);
+        return bytesEqual(check, user.slice(0, 16));
+    };
+
+    const userKey = computeKey(padPassword(passwordBytes));
+    if (isUserKey(userKey)) return userKey;
+
+    // Algorithm 7: the owner password decrypts /O into the padded user password
+    let ownerHash = md5(padPassword(passwordBytes));
+    if (revision >= 3) {
+        for (let i = 0; i < 50; i++) ownerHash = md5(ownerHash);
+    }
+    const ownerKey = ownerHash.slice(0, keyLength);
+    let userPassword = owner.slice(0, 32);
+    if (revision === 2) {
+        userPassword = rc4(ownerKey, userPassword);
+    } else {
+        for (let i = 19; i >= 0; i--) userPassword = rc4(ownerKey.map(byte => byte ^ i), userPassword);
+    }
+    const key = computeKey(userPassword);
+    return isUserKey(key) ? key : null;
+}
+
+/**
+ * Work out the file key of an AES-256 encrypted PDF (revisions 5 and 6)
+ * @param {Object} params - Values of the encryption dictionary
+ * @param {string} password - User or owner password
+ * @returns {Promise<?Uint8Array>} The file key, or null when the password is wrong
+ */
+async function getAes256FileKey(params, password) {
+    const { revision, owner, user, ownerKey, userKey } = params;
+    const passwordBytes = new TextEncoder().encode(password).slice(0, 127);
+    const hash = async (salt, extra = new Uint8Array(0)) => revision === 5
+        ? new Uint8Array(await crypto.subtle.digest('SHA-256', concatBytes(passwordBytes, salt, extra)))
+        : hashAes256Password(passwordBytes, salt, extra);
+    const noIv = new Uint8Array(16);
+
+    const userData = user.slice(0, 48);
+    if (bytesEqual(await hash(owner.slice(32, 40), userData), owner.slice(0, 32))) {
+        return aesDecryptBlocks(await hash(owner.slice(40, 48), userData), noIv, ownerKey.slice(0, 32));
+    }
+    if (bytesEqual(await hash(user.slice(32, 40)), user.slice(0, 32))) {
+        return aesDecryptBlocks(await hash(user.slice(40, 48)), noIv, userKey.slice(0, 32));
+    }
+    return null;
+}
+
+/**
+ * Read the standard security handler settings from an encryption dictionary
+ * @param {PDFDict} encrypt - The /Encrypt dictionary
+ * @param {Uint8Array} documentId - First element of the trailer's /ID
+ * @returns {Object} Handler parameters
+ */
+function readEncryptionParams(encrypt, documentId) {
+    const { PDFName, PDFNumber, PDFBool } = PDFLib;
+    const lookup = (dict, key) => dict?.lookup(PDFName.of(key));
+    const number = (key, fallback) => {
+        const value = lookup(encrypt, key);
+        return value instanceof PDFNumber ? value.asNumber() : fallback;
+    };
+    const bytes = (key) => lookup(encrypt, key)?.asBytes?.() || new Uint8Array(0);
+
+    if (lookup(encrypt, 'Filter') !== PDFName.of('Standard')) {
+        throw new Error('This PDF uses a security handler that is not supported (only password protection is).');
+    }
+
+    const version = number('V', 0);
+    const revision = number('R', 2);
+    if (version > 5 || revision > 6) {
+        throw new Error(`Encryption revision ${revision} is not supported.`);
+    }
+
+    // Version 4 and 5 name a crypt filter for strings and streams; older versions always use RC4
+    const getMethod = (filterKey) => {
+        if (version < 4) return 'rc4';
+        const filterName = lookup(encrypt, filterKey) || PDFName.of('Identity');
+        if (filterName === PDFName.of('Identity')) return null;
+        const method = lookup(lookup(encrypt, 'CF')?.lookup(filterName), 'CFM');
+        if (method === PDFName.of('V2')) return 'rc4';
+        if (method === PDFName.of('AESV2') || method === PDFName.of('AESV3')) return 'aes';
+        if (method === PDFName.of('None')) return null;
+        throw new Error(`The ${method?.asString().slice(1) || 'unknown'} encryption method is not supported.`);
+    };
+
+    // /Length defaults to 40 bits; version 4 keys are set by the crypt filter, 128 bits for AESV2
+    const encryptMetadata = lookup(encrypt, 'EncryptMetadata');
+    return {
+        revision,
+        keyLength: revision >= 5 ? 32 : version === 1 || revision === 2 ? 5 : number('Length', version === 4 ? 128 : 40) / 8,
+        owner: bytes('O'),
+        user: bytes('U'),
+        ownerKey: bytes('OE'),
+        userKey: bytes('UE'),
+        permissions: number('P', 0),
+        documentId,
+        encryptMetadata: !(encryptMetadata instanceof PDFBool) || encryptMetadata.asBoolean(),
+        stringMethod: getMethod('StrF'),
+        streamMethod: getMethod('StmF')
+    };
+}
+
+/**
+ * Check for an encryption dictionary without parsing the file, cheap enough to run on every
+ * added file; decryptPdf confirms it
+ * @param {ArrayBuffer} bytes - The PDF
+ * @returns {boolean} Whether the file may be encrypted
+ */
+function mayBeEncrypted(bytes) {
+    const data = new Uint8Array(bytes);
+    const marker = Array.from('/Encrypt', char => char.charCodeAt(0));
+    for (let i = data.indexOf(marker[0]); i !== -1; i = data.indexOf(marker[0], i + 1)) {
+        if (marker.every((byte, j) => data[i + j] === byte)) return true;
+    }
+    return false;
 }
 
 /**
- * Extract specific pages from a PDF
- * Optimized to copy all pages at once and use object streams to reduce file size
- * @param {File} file - The source PDF file
- * @param {number[]} pageRanges - Array of 1-based page numbers
- * @param {Function} onProgress - Progress callback
- * @returns {Promise<Uint8Array>} Extracted PDF bytes
+ * Decrypt a PDF protected by the standard security handler into a plain copy that pdf-lib can
+ * edit. Files that only restrict permissions open with an empty password, so that is tried
+ * before asking for one.
+ * @param {ArrayBuffer} bytes - The PDF
+ * @param {function(boolean): Promise<?string>} requestPassword - Asked for a password, with
+ *     whether the previous one was wrong; resolves to null when the user gives up
+ * @returns {Promise<?Uint8Array>} The decrypted PDF, or null when the file is not encrypted
  */
-async function extractPages(file, pageRanges, onProgress = () => { }) {
-    onProgress(10, 'Loading PDF...');
+async function decryptPdf(bytes, requestPassword) {
+    const { PDFParser, PDFRef, PDFDict, PDFArray, PDFString, PDFHexString, PDFName, PDFRawStream,
+        PDFInvalidObject, PDFObjectParser, PDFObjectStreamParser, PDFWriter } = PDFLib;
+
+    // Encrypted object streams cannot be unpacked yet, so the parser keeps them as invalid objects
+    const context = await PDFParser.forBytesWithOptions(new Uint8Array(bytes), Infinity).parseDocument();
+    const encryptRef = context.trailerInfo.Encrypt;
+    if (!encryptRef) return null;
+
+    const encrypt = context.lookup(encryptRef, PDFDict);
+    const documentId = context.lookup(context.trailerInfo.ID)?.lookup?.(0)?.asBytes() || new Uint8Array(0);
+    const params = readEncryptionParams(encrypt, documentId);
+
+    let fileKey = null;
+    let password = '';
+    for (let attempt = 0; ; attempt++) {
+        fileKey = params.revision >= 5 ? await getAes256FileKey(params, password) : getRc4FileKey(params, password);
+        if (fileKey) break;
+
+        password = await requestPassword(attempt > 0);
+        if (password === null) {
+            throw new Error('This PDF is password protected.');
+        }
+    }
+
+    // Algorithm 1: below AES-256 every object has its own key
+    const decrypt = (method, data, ref) => {
+        if (!method) return data;
+        let key = fileKey;
+        if (params.revision < 5) {
+            const { objectNumber: num, generationNumber: gen } = ref;
+            key = md5(concatBytes(
+                fileKey,
+                new Uint8Array([num & 0xff, (num >> 8) & 0xff, (num >> 16) & 0xff, gen & 0xff, (gen >> 8) & 0xff]),
+                method === 'aes' ? new Uint8Array([0x73, 0x41, 0x6c, 0x54]) : new Uint8Array(0) // "sAlT"
+            )).slice(0, Math.min(params.keyLength + 5, 16));
+        }
+        return method === 'aes' ? aesDecryptPdfData(key, data) : rc4(key, data);
+    };
+
+    const decryptObject = async (object, ref) => {
+        if (object instanceof PDFString || object instanceof PDFHexString) {
+            const data = await decrypt(params.stringMethod, object.asBytes(), ref);
+            return PDFHexString.of(Array.from(data, byte => byte.toString(16).padStart(2, '0')).join(''));
+        }
+        if (object instanceof PDFArray) {
+            for (let i = 0; i < object.size(); i++) object.set(i, await decryptObject(object.get(i), ref));
+        } else if (object instanceof PDFDict) {
+            for (const [key, value] of object.entries()) object.set(key, await decryptObject(value, ref));
+        } else if (object instanceof PDFRawStream) {
+            await decryptObject(object.dict, ref);
+            const type = object.dict.lookup(PDFName.of('Type'));
+            if (type === PDFName.of('Metadata') && !params.encryptMetadata) return object;
+            return PDFRawStream.of(object.dict, await decrypt(params.streamMethod, object.contents, ref));
+        }
+        return object;
+    };
+
+    const objectStreams = [];
+    for (const [ref, object] of context.enumerateIndirectObjects()) {
+        if (object === encrypt) continue;
+        if (object instanceof PDFInvalidObject) {
+            const stream = PDFObjectParser.forBytes(object.data, context).parseObject();
+            if (stream instanceof PDFRawStream && stream.dict.lookup(PDFName.of('Type')) === PDFName.of('ObjStm')) {
+                objectStreams.push([ref, stream]);
+            }
+            continue;
+        }
+        context.assign(ref, await decryptObject(object, ref));
+    }
+
+    // Objects inside an object stream are covered by the stream's own encryption
+    for (const [ref, stream] of objectStreams) {
+        context.delete(ref);
+        const contents = await decrypt(params.streamMethod, stream.contents, ref);
+        await PDFObjectStreamParser.forStream(PDFRawStream.of(stream.dict, contents)).parseIntoContext();
+    }
+
+    if (encryptRef instanceof PDFRef) context.delete(encryptRef);
+    delete context.trailerInfo.Encrypt;
+    return PDFWriter.forContext(context, Infinity).serializeToBuffer();
+}
 
+/**
+ * Get a version of a PDF that pdf-lib can work on, asking for the password when it is encrypted
+ * @param {File} file - The PDF file
+ * @returns {Promise<{file: File, encrypted: boolean}>} The file itself, or a decrypted copy with the same name
+ * @throws {Error} When the password prompt is cancelled or the encryption is not supported
+ */
+async function unlockPdfFile(file) {
     const arrayBuffer = await readFileAsArrayBuffer(file);
-    const sourcePdf = await PDFLib.PDFDocument.load(arrayBuffer, {
-        ignoreEncryption: true
+    if (!mayBeEncrypted(arrayBuffer)) return { file, encrypted: false };
+
+    const decrypted = await decryptPdf(arrayBuffer, (retry) => PasswordPrompt.ask(file.name, retry));
+    if (!decrypted) return { file, encrypted: false };
+
+    return {
+        file: new File([decrypted], file.name, { type: 'application/pdf', lastModified: file.lastModified }),
+        encrypted: true
+    };
+}
+
+// =========================================
+// Output Option Panels
+// =========================================
+
+const METADATA_DATE_FIELDS = ['creationDate', 'modificationDate'];
+
+/**
+ * Convert a Date to the value format of a datetime-local input (local time)
+ * @param {?Date} date - The date to convert
+ * @returns {string} e.g. "2024-05-01T13:45", or an empty string
+ */
+function toDateTimeLocalValue(date) {
+    if (!date || isNaN(date.getTime())) return '';
+    const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 16);
+}
+
+/**
+ * Wire up a document properties panel
+ * Fields the user has typed in are kept when the source document changes.
+ * @param {HTMLElement} panel - The panel element containing [data-meta] inputs
+ * @returns {{loadFrom: function(?File): Promise<void>, getMetadata: function(): Object, reset: function(): void, setVisible: function(boolean): void}}
+ */
+function createMetadataPanel(panel) {
+    const inputs = {};
+    panel.querySelectorAll('[data-meta]').forEach(input => {
+        inputs[input.dataset.meta] = input;
     });
 
-    const extractedPdf = await PDFLib.PDFDocument.create();
+    const edited = new Set();
+    let sourceFile = null;
+    let sourceValues = {};
 
-    // Convert from 1-based page numbers to 0-based indices
-    const pageIndices = pageRanges
-        .map(pageNum => pageNum - 1)
-        .filter(idx => idx >= 0 && idx < sourcePdf.getPageCount());
+    Object.entries(inputs).forEach(([field, input]) => {
+        input.addEventListener('input', () => edited.add(field));
+    });
 
-    onProgress(30, 'Copying pages...');
+    panel.querySelector('[data-meta-action="reset"]').addEventListener('click', () => {
+        edited.clear();
+        fill();
+    });
 
-    // Copy all pages at once - this helps share resources better
-    const copiedPages = await extractedPdf.copyPages(sourcePdf, pageIndices);
+    panel.querySelector('[data-meta-action="clear"]').addEventListener('click', () => {
+        Object.entries(inputs).forEach(([field, input]) => {
+            input.value = '';
+            edited.add(field);
+        });
+    });
 
-    for (const page of copiedPages) {
-        extractedPdf.addPage(page);
+    function fill() {
+        Object.entries(inputs).forEach(([field, input]) => {
+            if (edited.has(field)) return;
+            const value = sourceValues[field];
+            input.value = METADATA_DATE_FIELDS.includes(field) ? toDateTimeLocalValue(value) : (value || '');
+        });
     }
 
-    onProgress(70, 'Optimizing PDF...');
+    return {
+        async loadFrom(file) {
+            if (file === sourceFile) return;
+            sourceFile = file;
+
+            let values = {};
+            if (file) {
+                try {
+                    values = await readPdfMetadata(file);
+                } catch (error) {
+                    console.error(`Error reading properties of ${file.name}:`, error);
+                }
+            }
 
-    // Save with optimization options to reduce file size
-    const extractedPdfBytes = await extractedPdf.save({
-        useObjectStreams: true,      // Compress object data into streams
-        addDefaultPage: false,
-        objectsPerTick: 50           // Process in smaller batches
-    });
+            // Another file may have been chosen while this one was loading
+            if (file !== sourceFile) return;
+            sourceValues = values;
+            fill();
+        },
 
-    onProgress(100, 'Complete!');
-    return extractedPdfBytes;
+        getMetadata() {
+            const metadata = {};
+            Object.entries(inputs).forEach(([field, input]) => {
+                if (!METADATA_DATE_FIELDS.includes(field)) {
+                    metadata[field] = input.value.trim();
+                } else if (!edited.has(field)) {
+                    // The input drops seconds, so an untouched date is taken from the source as is
+                    metadata[field] = sourceValues[field] || null;
+                } else {
+                    const date = input.value ? new Date(input.value) : null;
+                    metadata[field] = date && !isNaN(date.getTime()) ? date : null;
+                }
+            });
+            return metadata;
+        },
+
+        reset() {
+            edited.clear();
+            panel.classList.add('hidden');
+            this.loadFrom(null);
+        },
+
+        setVisible(visible) {
+            panel.classList.toggle('hidden', !visible);
+        }
+    };
 }
 
 /**
- * Extract all pages as individual PDFs
- * @param {File} file - The source PDF file
- * @param {Function} onProgress - Progress callback
- * @returns {Promise<Uint8Array[]>} Array of PDF bytes for each page
+ * Read a number input, clamped to a range
+ * @param {HTMLInputElement} input - The input
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {number} The value, or the input's default when it is not a number
  */
-async function extractAllPages(file, onProgress = () => { }) {
-    const arrayBuffer = await readFileAsArrayBuffer(file);
-    const sourcePdf = await PDFLib.PDFDocument.load(arrayBuffer, {
-        ignoreEncryption: true
+function readNumberInput(input, min, max) {
+    const value = parseFloat(input.value);
+    return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : parseFloat(input.defaultValue);
+}
+
+/**
+ * Wire up a watermark panel
+ * @param {HTMLElement} panel - The panel element containing [data-watermark] inputs
+ * @param {Function} onChange - Called whenever a setting changes
+ * @returns {{getWatermark: function(): ?Object, getError: function(): ?string, drawPreview: function, setVisible: function(boolean): void}}
+ */
+function createWatermarkPanel(panel, onChange = () => { }) {
+    const inputs = {};
+    panel.querySelectorAll('[data-watermark]').forEach(input => {
+        inputs[input.dataset.watermark] = input;
     });
-    const pageCount = sourcePdf.getPageCount();
-    const result = [];
 
-    for (let i = 0; i < pageCount; i++) {
-        onProgress(Math.round((i / pageCount) * 90), `Extracting page ${i + 1} of ${pageCount}...`);
+    // Uploaded image: bytes for pdf-lib, an <img> for the preview canvas
+    let image = null;
+
+    const updateTypeFields = () => {
+        panel.querySelectorAll('[data-watermark-for]').forEach(field => {
+            field.classList.toggle('hidden', field.dataset.watermarkFor !== inputs.type.value);
+        });
+    };
+    updateTypeFields();
+
+    Object.entries(inputs).forEach(([name, input]) => {
+        if (name === 'image') return;
+        input.addEventListener('input', () => {
+            if (name === 'type') updateTypeFields();
+            onChange();
+        });
+    });
 
-        const extractedPdf = await PDFLib.PDFDocument.create();
-        const [copiedPage] = await extractedPdf.copyPages(sourcePdf, [i]);
-        extractedPdf.addPage(copiedPage);
+    inputs.image.addEventListener('change', async () => {
+        const file = inputs.image.files[0];
+        image = null;
+        if (file) {
+            try {
+                image = await loadWatermarkImage(file);
+            } catch (error) {
+                console.error('Error loading watermark image:', error);
+                inputs.image.value = '';
+            }
+        }
+        onChange();
+    });
 
-        const pdfBytes = await extractedPdf.save({
-            useObjectStreams: true,
-            addDefaultPage: false
+    panel.querySelectorAll('[data-watermark-preset]').forEach(btn => {
+        btn.addEventListener('click', () => {
+            inputs.type.value = 'text';
+            inputs.text.value = btn.dataset.watermarkPreset;
+            inputs.enabled.checked = true;
+            updateTypeFields();
+            onChange();
         });
-        result.push(pdfBytes);
-    }
+    });
 
-    onProgress(100, 'Complete!');
-    return result;
+    return {
+        /**
+         * Current settings, or null when the watermark is switched off
+         * @returns {?Object}
+         */
+        getWatermark() {
+            if (!inputs.enabled.checked) return null;
+            return {
+                type: inputs.type.value,
+                text: inputs.text.value.trim(),
+                image: image && { bytes: image.bytes, type: image.type, width: image.width, height: image.height },
+                fontSize: readNumberInput(inputs.fontSize, 6, 400),
+                imageScale: readNumberInput(inputs.imageScale, 5, 100),
+                color: inputs.color.value,
+                opacity: readNumberInput(inputs.opacity, 5, 100) / 100,
+                rotation: readNumberInput(inputs.rotation, -180, 180),
+                position: inputs.position.value,
+                pageRange: inputs.pageRange.value
+            };
+        },
+
+        /**
+         * Check the settings before processing
+         * @returns {?string} Error message, or null when the watermark can be applied
+         */
+        getError() {
+            const watermark = this.getWatermark();
+            if (!watermark) return null;
+            if (watermark.type === 'image') {
+                return watermark.image ? null : 'Please choose a PNG or JPEG image for the watermark.';
+            }
+            if (!watermark.text) return 'Please enter the watermark text.';
+            try {
+                PDFLib.StandardFontEmbedder.for(PDFLib.StandardFonts.HelveticaBold).encodeText(watermark.text);
+            } catch (error) {
+                return 'The watermark text can only use Latin characters.';
+            }
+            return null;
+        },
+
+        /**
+         * Draw the watermark over a rendered page, as it will appear in the output
+         * @param {CanvasRenderingContext2D} context - Context of the rendered page
+         * @param {number} pageNum - Page number the page range is checked against
+         * @param {Object} viewport - pdf.js viewport the page was rendered with
+         * @param {number} totalPages - Pages the page range refers to
+         */
+        drawPreview(context, pageNum, viewport, totalPages) {
+            if (this.getError()) return;
+            const watermark = this.getWatermark();
+            if (!watermark) return;
+
+            try {
+                if (!getWatermarkPages(watermark, totalPages).has(pageNum)) return;
+            } catch (error) {
+                return;
+            }
+
+            const scale = viewport.scale;
+            const frameHeight = viewport.height / scale;
+            const layout = getWatermarkLayout(watermark, viewport.width / scale, frameHeight);
+
+            // Canvas y runs downwards, so flip the layout and turn the other way
+            context.save();
+            context.globalAlpha = watermark.opacity;
+            context.translate(layout.x * scale, (frameHeight - layout.y) * scale);
+            context.rotate(-layout.angle * Math.PI / 180);
+            if (watermark.type === 'image') {
+                context.drawImage(image.element, 0, -layout.height * scale, layout.width * scale, layout.height * scale);
+            } else {
+                context.fillStyle = watermark.color;
+                context.font = `bold ${watermark.fontSize * scale}px Helvetica, Arial, sans-serif`;
+                context.fillText(watermark.text, 0, 0);
+            }
+            context.restore();
+        },
+
+        setVisible(visible) {
+            panel.classList.toggle('hidden', !visible);
+        }
+    };
 }
 
 /**
- * Create a ZIP file containing multiple PDFs
- * @param {Uint8Array[]} pdfByteArrays - Array of PDF byte arrays
- * @returns {Promise<Blob>} ZIP blob
+ * Load an uploaded PNG or JPEG for use as a watermark
+ * @param {File} file - The image file
+ * @returns {Promise<{bytes: ArrayBuffer, type: string, width: number, height: number, element: HTMLImageElement}>}
  */
-async function createZipWithPDFs(pdfByteArrays) {
-    if (!window.JSZip) {
-        await loadScript('https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js');
+async function loadWatermarkImage(file) {
+    const name = file.name.toLowerCase();
+    const type = file.type === 'image/png' || name.endsWith('.png') ? 'png'
+        : file.type === 'image/jpeg' || /\.jpe?g$/.test(name) ? 'jpg' : null;
+    if (!type) throw new Error('Only PNG and JPEG images are supported');
+
+    const bytes = await readFileAsArrayBuffer(file);
+    const element = new Image();
+    const url = URL.createObjectURL(file);
+    try {
+        await new Promise((resolve, reject) => {
+            element.onload = resolve;
+            element.onerror = () => reject(new Error(`Failed to load image: ${file.name}`));
+            element.src = url;
+        });
+    } finally {
+        URL.revokeObjectURL(url);
     }
 
-    const zip = new JSZip();
+    return { bytes, type, width: element.naturalWidth, height: element.naturalHeight, element };
+}
 
-    pdfByteArrays.forEach((pdfBytes, index) => {
-        zip.file(`page_${String(index + 1).padStart(3, '0')}.pdf`, pdfBytes);
+/**
+ * Wire up a page numbering panel
+ * @param {HTMLElement} panel - The panel element containing [data-numbering] inputs
+ * @returns {{getNumbering: function(): ?Object, getError: function(): ?string, setVisible: function(boolean): void}}
+ */
+function createNumberingPanel(panel) {
+    const inputs = {};
+    panel.querySelectorAll('[data-numbering]').forEach(input => {
+        inputs[input.dataset.numbering] = input;
+    });
+    const example = panel.querySelector('[data-numbering-example]');
+
+    const readSettings = () => ({
+        style: inputs.style.value,
+        start: Math.round(readNumberInput(inputs.start, 0, 999999999)),
+        prefix: inputs.prefix.value,
+        suffix: inputs.suffix.value,
+        digits: Math.round(readNumberInput(inputs.digits, 1, 12)),
+        position: inputs.position.value,
+        fontSize: readNumberInput(inputs.fontSize, 6, 72),
+        color: inputs.color.value,
+        restart: Boolean(inputs.restart?.checked)
     });
 
-    return zip.generateAsync({ type: 'blob' });
+    const update = () => {
+        panel.querySelectorAll('[data-numbering-for]').forEach(field => {
+            field.classList.toggle('hidden', field.dataset.numberingFor !== inputs.style.value);
+        });
+        example.textContent = formatPageNumber(readSettings(), 0, 12);
+    };
+    update();
+
+    Object.values(inputs).forEach(input => input.addEventListener('input', update));
+
+    return {
+        /**
+         * Current settings, or null when numbering is switched off
+         * @returns {?Object}
+         */
+        getNumbering() {
+            return inputs.enabled.checked ? readSettings() : null;
+        },
+
+        /**
+         * Check the settings before processing
+         * @returns {?string} Error message, or null when the numbering can be applied
+         */
+        getError() {
+            const numbering = this.getNumbering();
+            if (!numbering || numbering.style !== 'bates') return null;
+            try {
+                PDFLib.StandardFontEmbedder.for(PDFLib.StandardFonts.Helvetica).encodeText(numbering.prefix + numbering.suffix);
+            } catch (error) {
+                return 'The Bates prefix and suffix can only use Latin characters.';
+            }
+            return null;
+        },
+
+        setVisible(visible) {
+            panel.classList.toggle('hidden', !visible);
+        }
+    };
 }
 
 /**
- * Parse page ranges from a string like "1,3,5-7"
- * @param {string} text - The page range string
- * @param {number} totalPages - Total pages in the document
- * @returns {number[]} Array of valid page numbers
- */
-function parsePageRanges(text, totalPages) {
-    // Use an array to preserve order and allow duplicates if entered manually
-    const pageNumbers = [];
-    const parts = text.split(',');
-
-    for (const part of parts) {
-        const trimmedPart = part.trim();
-
-        if (trimmedPart.includes('-')) {
-            const [start, end] = trimmedPart.split('-').map(num => parseInt(num.trim(), 10));
-            if (!isNaN(start) && !isNaN(end) && start >= 1 && start <= end) {
-                for (let i = start; i <= Math.min(end, totalPages); i++) {
-                    // Only add if not already in the list (if we want to avoid duplicates like the Set did)
-                    // But for reordering, we might want to allow "1,1" if user typed it?
-                    // The previous implementation used Set, so it deduped.
-                    // Let's stick to deduping but preserving order of first appearance?
-                    // Or just allow duplicates?
-                    // If I use Set, "1, 2, 1" becomes "1, 2".
-                    // If I use Array, "1, 2, 1" becomes "1, 2, 1".
-                    // Given the UI is checkbox based, duplicates aren't generated by the UI.
-                    // But manual input might.
-                    // Let's use Set to be safe and consistent with previous behavior, just remove sort.
-                    // Actually, let's use Array and filter unique at the end if we want to match Set behavior but keep order?
-                    // No, Set preserves insertion order.
-                    // So "1, 2, 1" -> Set adds 1, adds 2, ignores 1. Result: 1, 2.
-                    // If user wanted 1, 2, 1, they lose the last 1.
-                    // If I change to Array, they get 1, 2, 1.
-                    // This seems better for a "Split/Extract" tool - maybe you want to extract page 1 twice?
-                    // But the UI checkboxes don't support it.
-                    // Let's stick to Set to minimize side effects, but remove sort.
-                    pageNumbers.push(i);
+ * Wire up a compression panel
+ * @param {HTMLElement} panel - The panel element containing a [data-compression="preset"] select
+ *   and a [data-compression-report] element
+ * @returns {{getCompression: function(): ?Object, showReport: function(number, number): void, setVisible: function(boolean): void}}
+ */
+function createCompressionPanel(panel) {
+    const presetSelect = panel.querySelector('[data-compression="preset"]');
+    const report = panel.querySelector('[data-compression-report]');
+
+    // A report describes the last download, so it goes once the settings change
+    presetSelect.addEventListener('change', () => report.classList.add('hidden'));
+
+    return {
+        /**
+         * Settings of the chosen preset, or null when compression is off
+         * @returns {?{dpi: number, quality: number}}
+         */
+        getCompression() {
+            return COMPRESSION_PRESETS[presetSelect.value] || null;
+        },
+
+        /**
+         * Show how much smaller the last download got
+         * @param {number} before - Size in bytes without compression
+         * @param {number} after - Size in bytes as downloaded
+         */
+        showReport(before, after) {
+            const saved = Math.round((1 - after / before) * 100);
+            report.textContent = after < before
+                ? `Compressed from ${formatFileSize(before)} to ${formatFileSize(after)} (${saved}% smaller)`
+                : `Already as small as this preset allows (${formatFileSize(before)})`;
+            report.classList.remove('hidden');
+            panel.open = true;
+        },
+
+        setVisible(visible) {
+            panel.classList.toggle('hidden', !visible);
+            if (!visible) report.classList.add('hidden');
+        }
+    };
+}
+
+const FILE_NAME_STORAGE_KEY = 'pdfEditor.fileNames';
+
+/**
+ * Wire up an output file names panel
+ * Empty templates fall back to the defaults from setDefaults, the names the app has always
+ * used. Templates are remembered in this browser, per panel.
+ * @param {HTMLElement} panel - The panel element (with an id) containing [data-filename] inputs
+ *   ('file', and 'zip' where outputs can be zipped) and a [data-filename-preview] element. An
+ *   input's data-filename-tokens lists the tokens its tool fills in; others are refused.
+ * @param {Function} onChange - Called when a template changes or the panel opens, so the
+ *   preview can be refreshed with showPreview
+ * @returns {{setDefaults: function(Object): void, getFileName: function(Object, string): string, getZipName: function(Object): string, getError: function(): ?string, showPreview: function(string[], ?string): void, setVisible: function(boolean): void}}
+ */
+function createFileNamePanel(panel, onChange = () => { }) {
+    const inputs = {};
+    panel.querySelectorAll('[data-filename]').forEach(input => {
+        inputs[input.dataset.filename] = input;
+    });
+    const preview = panel.querySelector('[data-filename-preview]');
+    let defaults = {};
+
+    const readSaved = () => {
+        try {
+            return JSON.parse(localStorage.getItem(FILE_NAME_STORAGE_KEY) || '{}') || {};
+        } catch (error) {
+            console.error('Error reading file name templates:', error);
+            return {};
+        }
+    };
+
+    const saved = readSaved()[panel.id] || {};
+    Object.entries(inputs).forEach(([kind, input]) => {
+        if (typeof saved[kind] === 'string') input.value = saved[kind];
+        input.addEventListener('input', () => {
+            try {
+                const all = readSaved();
+                all[panel.id] = Object.fromEntries(Object.entries(inputs).map(([key, field]) => [key, field.value]));
+                localStorage.setItem(FILE_NAME_STORAGE_KEY, JSON.stringify(all));
+            } catch (error) {
+                console.error('Error saving file name templates:', error);
+            }
+            onChange();
+        });
+    });
+    panel.addEventListener('toggle', () => {
+        if (panel.open) onChange();
+    });
+
+    const getAllowedTokens = (input) => input.dataset.filenameTokens?.split(/\s+/) || FILE_NAME_TOKENS;
+
+    return {
+        /**
+         * Set the templates used while a field is left empty; 'file' and 'zip' are shown as placeholders
+         * @param {Object} templates - e.g. { file: 'page_{pages}', zip: 'extracted_pages' }, optionally
+         *   with 'single' for a download of one file and 'page' for one-page files in a ZIP
+         */
+        setDefaults(templates) {
+            defaults = { ...templates };
+            Object.entries(inputs).forEach(([kind, input]) => {
+                input.placeholder = defaults[kind] || '';
+            });
+        },
+
+        /**
+         * Name of an output file
+         * @param {Object} values - Token values, see formatFileName
+         * @param {string} extension - e.g. 'pdf'
+         * @param {string} variant - Default to use when the template is empty: 'file', 'single' or 'page'
+         * @returns {string}
+         */
+        getFileName(values, extension, variant = 'file') {
+            const template = inputs.file?.value.trim() || defaults[variant] || defaults.file || 'document';
+            return formatFileName(template, values, extension);
+        },
+
+        getZipName(values) {
+            return formatFileName(inputs.zip?.value.trim() || defaults.zip || 'document', values, 'zip');
+        },
+
+        /**
+         * Check the templates before processing
+         * @returns {?string} Error message, or null when every token is known
+         */
+        getError() {
+            for (const input of Object.values(inputs)) {
+                const allowed = getAllowedTokens(input);
+                const refused = [...input.value.matchAll(/\{(\w+)\}/g)].find(([, token]) => !allowed.includes(token));
+                if (refused) {
+                    const known = allowed.map(token => `{${token}}`);
+                    const problem = FILE_NAME_TOKENS.includes(refused[1])
+                        ? `The file name token ${refused[0]} cannot be used here.`
+                        : `Unknown file name token ${refused[0]}.`;
+                    return `${problem} Use ${known.slice(0, -1).join(', ')} or ${known[known.length - 1]}.`;
                 }
             }
-        } else {
-            const pageNum = parseInt(trimmedPart, 10);
-            if (!isNaN(pageNum) && pageNum >= 1 && pageNum <= totalPages) {
-                pageNumbers.push(pageNum);
+            return null;
+        },
+
+        /**
+         * Show the names the next download will get
+         * @param {string[]} fileNames - Output file names
+         * @param {?string} zipName - Name of the ZIP they are bundled in, if they are
+         */
+        showPreview(fileNames, zipName = null) {
+            const error = this.getError();
+            if (error) {
+                preview.textContent = error;
+            } else if (fileNames.length === 0) {
+                preview.textContent = 'Nothing to download yet';
+            } else if (zipName) {
+                const shown = fileNames.slice(0, 3).join(', ');
+                const more = fileNames.length > 3 ? `, … (${fileNames.length} files)` : '';
+                preview.textContent = `Downloads as ${zipName} containing ${shown}${more}`;
+            } else {
+                preview.textContent = `Downloads as ${fileNames[0]}`;
             }
-        }
-    }
+        },
 
-    // Remove duplicates while preserving order
-    return [...new Set(pageNumbers)];
+        setVisible(visible) {
+            panel.classList.toggle('hidden', !visible);
+        }
+    };
 }
 
 // =========================================
@@ -791,41 +4740,149 @@ function initMergeController() {
     const selectedFilesContainer = document.getElementById('mergeSelectedFiles');
     const submitBtn = document.getElementById('mergeSubmitBtn');
     const errorMessage = document.getElementById('mergeErrorMessage');
+    const mergeOptions = document.getElementById('mergeOptions');
+    const bookmarksToggle = document.getElementById('mergeBookmarksToggle');
+    const imagePanel = document.getElementById('mergeImagePanel');
+    const imagePageSizeSelect = document.getElementById('imagePageSize');
+    const imageOrientationSelect = document.getElementById('imageOrientation');
+    const imageMarginSelect = document.getElementById('imageMargin');
+    const historyActions = document.getElementById('mergeHistoryActions');
+    const metadataPanel = createMetadataPanel(document.getElementById('mergeMetadataPanel'));
+    const watermarkPanel = createWatermarkPanel(document.getElementById('mergeWatermarkPanel'));
+    const numberingPanel = createNumberingPanel(document.getElementById('mergeNumberingPanel'));
+    const compressionPanel = createCompressionPanel(document.getElementById('mergeCompressionPanel'));
+    const fileNamePanel = createFileNamePanel(document.getElementById('mergeFileNamePanel'), () => updateFileNamePreview());
+    fileNamePanel.setDefaults({ file: 'merged' });
+
+    bookmarksToggle.addEventListener('change', () => updateUI());
+    document.getElementById('mergeBoardToggle')?.addEventListener('change', async () => {
+        saveSession();
+        if (MergeBoard.enabled) await MergeBoard.syncing;
+        updateFileNamePreview();
+    });
+    // Fitted pages take the image's own shape, so orientation only applies to paper sizes
+    imagePageSizeSelect.addEventListener('change', () => {
+        imageOrientationSelect.disabled = imagePageSizeSelect.value === 'fit';
+    });
 
+    // Each entry: { id, file, isImage, image, encrypted, pageCount, range, title } - an empty range
+    // means every page, an empty title means the file name is used for its bookmark. Images become a
+    // single page once read (image holds the result of readImageFile). Encrypted PDFs are swapped for
+    // a decrypted copy once unlocked.
     let selectedFiles = [];
+    let nextEntryId = 1;
+    // Files dropped because they could not be unlocked; undo must not bring them back
+    const discardedEntries = new WeakSet();
+    // Entry -> { key, file }: the file as it was added (still encrypted, if it was) and the key
+    // it is saved under in the session
+    const sessionFiles = new WeakMap();
+    // Saving waits for the last session to be restored, so it is not overwritten first
+    let sessionReady = false;
+
+    // Undo/redo of the file list and the page board arrangement
+    const history = createEditHistory({
+        capture: () => ({ files: [...selectedFiles], board: MergeBoard.getArrangement() }),
+        restore: (state) => {
+            selectedFiles = state.files.filter(entry => !discardedEntries.has(entry));
+            updateUI();
+            MergeBoard.setArrangement(state.board);
+        },
+        tab: document.getElementById('merge-tab'),
+        undoBtn: document.getElementById('mergeUndoBtn'),
+        redoBtn: document.getElementById('mergeRedoBtn'),
+        onChange: () => {
+            updateHistoryActions();
+            saveSession();
+            updateFileNamePreview();
+        }
+    });
+    MergeBoard.onArrange = (label) => history.commit(label);
+
+    const isMergeableFile = (file) => isPdfFile(file) || getImageType(file) !== null;
 
     fileInput.addEventListener('change', () => {
-        const newFiles = Array.from(fileInput.files).filter(f => f.type === 'application/pdf' || f.name.toLowerCase().endsWith('.pdf'));
-        selectedFiles = [...selectedFiles, ...newFiles];
+        const newFiles = Array.from(fileInput.files).filter(isMergeableFile);
+        addFiles(newFiles);
         fileInput.value = '';
-        updateUI();
     });
 
     setupDragAndDrop(
         uploadContainer,
-        (files) => {
-            selectedFiles = [...selectedFiles, ...files];
-            updateUI();
-        },
-        (msg) => showErrorMessage(errorMessage, msg)
+        (files) => addFiles(files),
+        (msg) => showErrorMessage(errorMessage, msg),
+        { accept: isMergeableFile, description: 'PDF files and JPEG, PNG or WebP images' }
     );
 
     submitBtn.addEventListener('click', async () => {
-        if (selectedFiles.length < 2) {
-            showErrorMessage(errorMessage, 'Please select at least two PDF files to merge.');
+        if (!canMerge()) {
+            showErrorMessage(errorMessage, 'Please select at least two files to merge, or an image to convert.');
+            return;
+        }
+
+        // Check every file's page range before doing any work
+        const invalidEntry = selectedFiles.find(entry => getRangeError(entry));
+        if (invalidEntry) {
+            showErrorMessage(errorMessage, `${invalidEntry.file.name}: ${getRangeError(invalidEntry)}`);
+            updateUI();
             return;
         }
 
-        LoadingOverlay.show('Merging PDFs...');
+        const optionsError = watermarkPanel.getError() || numberingPanel.getError() || fileNamePanel.getError();
+        if (optionsError) {
+            showErrorMessage(errorMessage, optionsError);
+            return;
+        }
+
+        // With the page board on, the output follows the board instead of the file list
+        const options = {};
+        if (MergeBoard.enabled) {
+            const boardPages = MergeBoard.getSequence();
+            if (boardPages.length === 0) {
+                showErrorMessage(errorMessage, 'The page board is empty.');
+                return;
+            }
+            options.sequence = boardPages.map(({ entryId, page }) => ({
+                source: selectedFiles.findIndex(entry => entry.id === entryId),
+                page
+            }));
+        }
+
+        const signal = LoadingOverlay.show('Merging PDFs...', { cancellable: true });
 
         try {
-            const mergedPdfBytes = await mergePDFs(selectedFiles, (percent, text) => {
-                LoadingOverlay.updateProgress(percent, text);
-            });
+            const sources = selectedFiles.map(entry => ({
+                file: entry.file,
+                pages: entry.range.trim() ? parsePageRanges(entry.range, entry.pageCount) : null,
+                title: entry.title.trim(),
+                image: entry.image
+            }));
+            options.bookmarks = bookmarksToggle.checked;
+            options.metadata = metadataPanel.getMetadata();
+            options.watermark = watermarkPanel.getWatermark();
+            options.numbering = numberingPanel.getNumbering();
+            options.imageLayout = {
+                pageSize: imagePageSizeSelect.value,
+                orientation: imageOrientationSelect.value,
+                margin: parseFloat(imageMarginSelect.value)
+            };
+
+            const compression = compressionPanel.getCompression();
+            let mergedPdfBytes = await PdfWorker.run('mergePDFs', [sources, (percent, text) => {
+                LoadingOverlay.updateProgress(compression ? Math.round(percent * 0.6) : percent, text);
+            }, options], { signal });
+
+            if (compression) {
+                const mergedSize = mergedPdfBytes.length;
+                mergedPdfBytes = await PdfWorker.run('compressPDF', [mergedPdfBytes, compression, (percent, text) => {
+                    LoadingOverlay.updateProgress(60 + Math.round(percent * 0.4), text);
+                }], { signal });
+                compressionPanel.showReport(mergedSize, mergedPdfBytes.length);
+            }
 
-            download(mergedPdfBytes, 'merged.pdf', 'application/pdf');
+            download(mergedPdfBytes, getFileName(), 'application/pdf');
             errorMessage.textContent = '';
         } catch (error) {
+            if (error.name === 'AbortError') return;
             console.error('Merge error:', error);
             showErrorMessage(errorMessage, `Error merging PDFs: ${error.message}`);
         } finally {
@@ -833,17 +4890,175 @@ function initMergeController() {
         }
     });
 
+    restoreSession();
+
+    /**
+     * Add files to the merge list
+     * @param {File[]} files - PDFs and images
+     * @param {Object[]} saved - Session details per file when restoring ({ key, range, title })
+     * @returns {Promise<void>} Resolves once every file has been read
+     */
+    function addFiles(files, saved = []) {
+        const entries = files.map((file, i) => ({
+            id: nextEntryId++,
+            file,
+            isImage: !isPdfFile(file),
+            image: null,
+            encrypted: false,
+            pageCount: null,
+            range: saved[i]?.range || '',
+            title: saved[i]?.title || ''
+        }));
+        entries.forEach((entry, i) => {
+            sessionFiles.set(entry, { key: saved[i]?.key || createSessionKey('merge'), file: entry.file });
+        });
+        selectedFiles = [...selectedFiles, ...entries];
+        updateUI();
+        history.commit(entries.length === 1 ? `add ${entries[0].file.name}` : `add ${entries.length} files`);
+
+        // Page counts and images load in the background; the range check waits for them
+        return Promise.all(entries.map(async (entry) => {
+            try {
+                if (entry.isImage) {
+                    entry.image = await readImageFile(entry.file);
+                    entry.pageCount = 1;
+                } else {
+                    let unlocked;
+                    try {
+                        unlocked = await unlockPdfFile(entry.file);
+                    } catch (error) {
+                        // Without its password the file is of no use, so it leaves the list
+                        showErrorMessage(errorMessage, `${entry.file.name}: ${error.message}`);
+                        discardedEntries.add(entry);
+                        selectedFiles = selectedFiles.filter(item => item !== entry);
+                        updateUI();
+                        return;
+                    }
+                    entry.file = unlocked.file;
+                    entry.encrypted = unlocked.encrypted;
+                    entry.pageCount = await getPdfPageCount(entry.file);
+                }
+            } catch (error) {
+                console.error(`Error reading ${entry.file.name}:`, error);
+                entry.pageCount = 0;
+            }
+            if (selectedFiles.includes(entry)) updateUI();
+        }));
+    }
+
+    /**
+     * Bring back the file list and page board saved before the page was last closed
+     */
+    async function restoreSession() {
+        const session = await SessionStore.load('merge');
+        const saved = session?.state.files.filter(item => session.files.has(item.key)) || [];
+        // Files added while the session was loading win
+        if (saved.length === 0 || selectedFiles.length > 0) {
+            sessionReady = true;
+            saveSession();
+            return;
+        }
+
+        await addFiles(saved.map(item => session.files.get(item.key)), saved);
+
+        if (session.state.board) {
+            const keys = session.state.board.map(({ file, page }) => {
+                const entry = selectedFiles.find(item => sessionFiles.get(item).key === file);
+                return entry ? `${entry.id}-${page}` : null;
+            });
+            MergeBoard.setEnabled(true);
+            await MergeBoard.setArrangement(keys.filter(Boolean));
+        }
+
+        sessionReady = true;
+        // The restored list is where undo starts from
+        history.reset();
+        SessionStore.setStatus('Restored your last session. It is kept in this browser until you clear it.');
+    }
+
+    function saveSession() {
+        if (!sessionReady) return;
+
+        SessionStore.save('merge', async () => {
+            if (MergeBoard.enabled) await MergeBoard.syncing;
+            if (selectedFiles.length === 0) return null;
+
+            const files = new Map(selectedFiles.map(entry => {
+                const { key, file } = sessionFiles.get(entry);
+                return [key, file];
+            }));
+            const state = {
+                files: selectedFiles.map(entry => ({ key: sessionFiles.get(entry).key, range: entry.range, title: entry.title })),
+                // Board pages by file key, as entry ids start over in the next session
+                board: MergeBoard.enabled
+                    ? MergeBoard.getSequence()
+                        .map(({ entryId, page }) => ({
+                            file: sessionFiles.get(selectedFiles.find(entry => entry.id === entryId))?.key,
+                            page
+                        }))
+                        .filter(item => item.file)
+                    : null
+            };
+            return { state, files };
+        });
+    }
+
+    function getFileName() {
+        // With the page board on, the merged PDF has the board's pages, as in the merge itself
+        const pageCount = MergeBoard.enabled
+            ? MergeBoard.getSequence().length
+            : selectedFiles.reduce((total, entry) => total + MergeBoard.getEntryPages(entry).length, 0);
+        return fileNamePanel.getFileName({
+            name: selectedFiles[0] ? getBaseName(selectedFiles[0].file.name) : '',
+            count: selectedFiles.length,
+            pagecount: pageCount
+        }, 'pdf');
+    }
+
+    function updateFileNamePreview() {
+        fileNamePanel.showPreview(selectedFiles.length > 0 ? [getFileName()] : []);
+    }
+
+    function updateBoard() {
+        MergeBoard.update(selectedFiles);
+        // Board thumbnails are added as they render, so count its pages again once they are in
+        if (MergeBoard.enabled) MergeBoard.syncing.then(() => updateFileNamePreview());
+    }
+
+    function canMerge() {
+        return selectedFiles.length >= 2 || (selectedFiles.length === 1 && selectedFiles[0].isImage);
+    }
+
+    function getRangeError(entry) {
+        if (entry.pageCount === null) return entry.isImage ? 'Still reading the image, please wait' : 'Still counting pages, please wait';
+        if (entry.pageCount === 0) return 'The file could not be read';
+        if (!entry.range.trim()) return null;
+        return validatePageRange(entry.range, entry.pageCount);
+    }
+
     function updateUI() {
+        // Rows are rebuilt from scratch, so keep the caret in a field that is being edited
+        const focusedInput = selectedFilesContainer.contains(document.activeElement)
+            && document.activeElement.tagName === 'INPUT'
+            ? {
+                id: document.activeElement.closest('.file-item').dataset.entryId,
+                className: document.activeElement.className.split(' ')[0],
+                caret: document.activeElement.selectionStart
+            }
+            : null;
+
         selectedFilesContainer.innerHTML = '';
 
         if (selectedFiles.length > 0) {
             selectedFilesContainer.classList.remove('hidden');
 
-            selectedFiles.forEach((file, index) => {
+            selectedFiles.forEach((entry, index) => {
+                const { file } = entry;
                 const fileItem = document.createElement('div');
                 fileItem.className = 'file-item';
                 fileItem.draggable = true; // Enable dragging
                 fileItem.dataset.index = index;
+                fileItem.dataset.entryId = entry.id;
 
                 // Add reorder buttons
                 const isFirst = index === 0;
@@ -856,18 +5071,64 @@ function initMergeController() {
                         <button class="order-btn down" type="button" ${isLast ? 'disabled' : ''} aria-label="Move down">▼</button>
                     </div>
                     <div class="file-info">
-                        <span class="file-name">${file.name}</span>
-                        <span class="file-size">${formatFileSize(file.size)}</span>
+                        <span class="file-name">${entry.encrypted ? '<span class="file-lock-badge" title="Password protected, unlocked for this session" aria-label="Password protected">🔒</span>' : ''}${file.name}</span>
+                        <span class="file-size">${formatFileSize(file.size)}${entry.isImage ? ' • Image' : entry.pageCount ? ` • ${entry.pageCount} page${entry.pageCount === 1 ? '' : 's'}` : ''}</span>
+                        ${bookmarksToggle.checked ? `<input type="text" class="file-bookmark-input" aria-label="Bookmark title for ${file.name}" title="Bookmark title">` : ''}
                     </div>
+                    ${entry.isImage ? '' : `<div class="file-range">
+                        <input type="text" class="file-range-input" placeholder="All pages"
+                            aria-label="Pages to include from ${file.name}" title="Pages to include, e.g. 1,3,5-7">
+                        <span class="file-range-error"></span>
+                    </div>`}
                     <button class="remove-file" type="button" aria-label="Remove ${file.name}">✕</button>
                 `;
 
+                // Per-file page range, checked against the file's page count as you type (images have none)
+                const rangeInput = fileItem.querySelector('.file-range-input');
+                if (rangeInput) {
+                    const rangeError = fileItem.querySelector('.file-range-error');
+                    const showRangeState = () => {
+                        const error = entry.range.trim() && entry.pageCount !== null ? getRangeError(entry) : null;
+                        rangeInput.classList.toggle('invalid', !!error);
+                        rangeError.textContent = error || '';
+                    };
+                    rangeInput.value = entry.range;
+                    showRangeState();
+
+                    rangeInput.addEventListener('input', () => {
+                        entry.range = rangeInput.value;
+                        showRangeState();
+                        updateFileNamePreview();
+                        saveSession();
+                    });
+                    rangeInput.addEventListener('change', () => updateBoard());
+                    rangeInput.addEventListener('click', (e) => e.stopPropagation());
+                    // Let the text be selected with the mouse instead of starting a row drag
+                    rangeInput.addEventListener('mousedown', () => { fileItem.draggable = false; });
+                    rangeInput.addEventListener('blur', () => { fileItem.draggable = true; });
+                }
+
+                // Bookmark title, defaults to the file name
+                const bookmarkInput = fileItem.querySelector('.file-bookmark-input');
+                if (bookmarkInput) {
+                    bookmarkInput.placeholder = getBaseName(file.name);
+                    bookmarkInput.value = entry.title;
+                    bookmarkInput.addEventListener('input', () => {
+                        entry.title = bookmarkInput.value;
+                        saveSession();
+                    });
+                    bookmarkInput.addEventListener('click', (e) => e.stopPropagation());
+                    bookmarkInput.addEventListener('mousedown', () => { fileItem.draggable = false; });
+                    bookmarkInput.addEventListener('blur', () => { fileItem.draggable = true; });
+                }
+
                 // Event listeners for reordering buttons
                 fileItem.querySelector('.order-btn.up').addEventListener('click', (e) => {
                     e.stopPropagation();
                     if (index > 0) {
                         [selectedFiles[index - 1], selectedFiles[index]] = [selectedFiles[index], selectedFiles[index - 1]];
                         updateUI();
+                        history.commit(`move ${file.name} up`);
                     }
                 });
 
@@ -876,6 +5137,7 @@ function initMergeController() {
                     if (index < selectedFiles.length - 1) {
                         [selectedFiles[index + 1], selectedFiles[index]] = [selectedFiles[index], selectedFiles[index + 1]];
                         updateUI();
+                        history.commit(`move ${file.name} down`);
                     }
                 });
 
@@ -883,6 +5145,7 @@ function initMergeController() {
                     e.stopPropagation();
                     selectedFiles.splice(index, 1);
                     updateUI();
+                    history.commit(`remove ${file.name}`);
                 });
 
                 // Drag and Drop Events
@@ -953,19 +5216,62 @@ function initMergeController() {
                         selectedFiles.splice(fromIndex, 1);
                         selectedFiles.splice(toIndex, 0, itemToMove);
                         updateUI();
+                        history.commit(`move ${itemToMove.file.name}`);
                     }
                 });
 
                 selectedFilesContainer.appendChild(fileItem);
             });
+
+            if (focusedInput) {
+                const input = selectedFilesContainer.querySelector(`.file-item[data-entry-id="${focusedInput.id}"] .${focusedInput.className}`);
+                input?.focus();
+                input?.setSelectionRange(focusedInput.caret, focusedInput.caret);
+            }
         } else {
             selectedFilesContainer.classList.add('hidden');
         }
 
-        submitBtn.disabled = selectedFiles.length < 2;
+        updateBoard();
+        if (selectedFiles.length === 0) {
+            metadataPanel.reset();
+        } else {
+            // Images have no document properties, so defaults come from the first PDF, once it
+            // has been read (an encrypted one is only readable after it was unlocked)
+            const firstPdf = selectedFiles.find(entry => !entry.isImage);
+            metadataPanel.setVisible(true);
+            metadataPanel.loadFrom(firstPdf?.pageCount ? firstPdf.file : null);
+        }
+        mergeOptions.classList.toggle('hidden', selectedFiles.length === 0);
+        watermarkPanel.setVisible(selectedFiles.length > 0);
+        numberingPanel.setVisible(selectedFiles.length > 0);
+        compressionPanel.setVisible(selectedFiles.length > 0);
+        fileNamePanel.setVisible(selectedFiles.length > 0);
+        updateFileNamePreview();
+        imagePanel.classList.toggle('hidden', !selectedFiles.some(entry => entry.isImage));
+        submitBtn.disabled = !canMerge();
+        updateHistoryActions();
+        saveSession();
+    }
+
+    function updateHistoryActions() {
+        // Stays up after the last file is removed, so that removal can be undone
+        historyActions.classList.toggle('hidden', selectedFiles.length === 0 && !history.canUndo() && !history.canRedo());
     }
 }
 
+// File name templates used while the File Names fields are left empty, per extraction option:
+// 'file' names files in a ZIP, 'page' those of a single page and 'single' a lone download
+const SPLIT_FILE_NAMES = {
+    customRange: { file: 'extracted_pages', zip: 'extracted_pages' },
+    allPages: { file: 'page_{pages}', zip: 'extracted_pages', single: 'extracted_page' },
+    chunks: { file: 'pages_{pages}', page: 'page_{pages}', zip: 'split_pages', single: 'extracted_pages' },
+    bookmarks: { file: '{index} - {bookmark}', zip: 'bookmarks', single: '{bookmark}' },
+    organize: { file: 'organized', zip: 'organized' },
+    images: { file: 'page_{pages}', zip: 'page_images' },
+    text: { file: 'extracted_text', zip: 'extracted_text' }
+};
+
 /**
  * Initialize split PDF functionality
  */
@@ -980,13 +5286,64 @@ function initSplitController() {
     const pdfInfoContainer = document.getElementById('pdfInfo');
     const totalPagesSpan = document.getElementById('totalPages');
     const pagesInput = document.getElementById('pages');
-    const extractAllInput = document.getElementById('extractAll');
-    const customRangeOption = document.getElementById('customRangeOption');
-    const allPagesOption = document.getElementById('allPagesOption');
+    const chunkSizeInput = document.getElementById('chunkSize');
+    const imageFormatSelect = document.getElementById('imageFormat');
+    const imageDpiInput = document.getElementById('imageDpi');
+    const textFormatSelect = document.getElementById('textFormat');
+    const bookmarksOption = document.getElementById('bookmarksOption');
+    const bookmarkDepthSelect = document.getElementById('bookmarkDepth');
+    const bookmarkSectionsList = document.getElementById('bookmarkSections');
+    const bookmarksDescription = bookmarksOption.querySelector('.radio-option-description');
+    const extractionOptions = pageOptionsContainer.querySelectorAll('.radio-option');
+    const customRangeRadio = document.querySelector('input[name="extractionType"][value="customRange"]');
     const errorMessage = document.getElementById('splitErrorMessage');
+    const metadataPanel = createMetadataPanel(document.getElementById('splitMetadataPanel'));
+    const watermarkPanelElement = document.getElementById('splitWatermarkPanel');
+    const watermarkPanel = createWatermarkPanel(watermarkPanelElement, () => PagePreview.refreshPreview());
+    const numberingPanel = createNumberingPanel(document.getElementById('splitNumberingPanel'));
+    const compressionPanel = createCompressionPanel(document.getElementById('splitCompressionPanel'));
+    const fileNamePanel = createFileNamePanel(document.getElementById('splitFileNamePanel'), () => updateFileNamePreview());
+    fileNamePanel.setDefaults(SPLIT_FILE_NAMES.customRange);
 
     let selectedFile = null;
+    let selectedFileEncrypted = false;
     let totalPages = 0;
+    let extractionType = 'customRange';
+    let outline = [];
+    // { key, file }: the file as it was chosen (still encrypted, if it was) and the key it is
+    // saved under in the session
+    let sessionFile = null;
+    // Saving waits until the preview shows the current file, so a half-loaded grid (or the
+    // session still being restored) is never written over the saved arrangement
+    let sessionReady = false;
+
+    // Bookmarks are read as soon as pdf.js has the document, before thumbnails finish
+    PagePreview.onDocumentLoad = (pdfDoc) => {
+        sessionReady = true;
+        loadBookmarks(pdfDoc);
+    };
+    PagePreview.onEdit = () => {
+        saveSession();
+        updateFileNamePreview();
+    };
+    [pagesInput, chunkSizeInput].forEach(input => input.addEventListener('input', updateFileNamePreview));
+    [bookmarkDepthSelect, imageFormatSelect, textFormatSelect].forEach(select => select.addEventListener('change', updateFileNamePreview));
+    bookmarkDepthSelect.addEventListener('change', updateBookmarkSections);
+
+    // The watermark is drawn over the page shown in the preview modal
+    PagePreview.previewOverlays.push((...args) => watermarkPanel.drawPreview(...args));
+    watermarkPanelElement.querySelector('[data-watermark-action="preview"]').addEventListener('click', () => {
+        const watermark = watermarkPanel.getWatermark();
+        if (!PagePreview.pdfDoc || !watermark) return;
+        let firstPage = 1;
+        try {
+            firstPage = Math.min(...getWatermarkPages(watermark, PagePreview.totalPages));
+        } catch (error) {
+            showErrorMessage(errorMessage, error.message);
+            return;
+        }
+        PagePreview.openModal(Number.isFinite(firstPage) ? firstPage : 1);
+    });
 
     fileInput.addEventListener('change', handleFileSelection);
 
@@ -1001,18 +5358,11 @@ function initSplitController() {
         (msg) => showErrorMessage(errorMessage, msg)
     );
 
-    customRangeOption.addEventListener('click', () => {
-        customRangeOption.classList.add('active');
-        allPagesOption.classList.remove('active');
-        extractAllInput.value = 'false';
-        pagesInput.disabled = false;
-    });
-
-    allPagesOption.addEventListener('click', () => {
-        allPagesOption.classList.add('active');
-        customRangeOption.classList.remove('active');
-        extractAllInput.value = 'true';
-        pagesInput.disabled = true;
+    extractionOptions.forEach(option => {
+        option.addEventListener('click', () => {
+            if (option.classList.contains('disabled')) return;
+            selectExtractionType(option.querySelector('input[name="extractionType"]').value);
+        });
     });
 
     submitBtn.addEventListener('click', async () => {
@@ -1021,23 +5371,159 @@ function initSplitController() {
             return;
         }
 
-        LoadingOverlay.show('Splitting PDF...');
+        const optionsError = watermarkPanel.getError() || numberingPanel.getError() || fileNamePanel.getError();
+        if (optionsError) {
+            showErrorMessage(errorMessage, optionsError);
+            return;
+        }
+
+        const signal = LoadingOverlay.show('Splitting PDF...', { cancellable: true });
 
         try {
-            const extractAll = extractAllInput.value === 'true';
+            // Redaction reads pages back with pdf.js, which only the page has
+            const hasRedactions = [...PagePreview.annotations.values()]
+                .some(annotations => annotations.some(annotation => annotation.type === 'redact'));
+            const runOptions = { signal, mainThread: hasRedactions };
+            const options = {
+                rotations: PagePreview.rotations,
+                annotations: PagePreview.annotations,
+                metadata: metadataPanel.getMetadata(),
+                watermark: watermarkPanel.getWatermark(),
+                numbering: numberingPanel.getNumbering()
+            };
+
+            if (extractionType === 'allPages') {
+                const pdfBytes = await compressOutputs(await PdfWorker.run('extractAllPages', [selectedFile, (percent, text) => {
+                    LoadingOverlay.updateProgress(percent, text);
+                }, options], runOptions), signal);
+
+                const { fileNames, zipName } = getOutputNames(pdfBytes.map((_, i) => ({ pages: [i + 1] })), 'pdf');
+                if (pdfBytes.length > 1) {
+                    LoadingOverlay.updateProgress(95, 'Creating ZIP file...');
+                    const zipBlob = await PdfWorker.run('createZip', [pdfBytes, fileNames], { signal });
+                    download(zipBlob, zipName, 'application/zip');
+                } else if (pdfBytes.length === 1) {
+                    download(pdfBytes[0], fileNames[0], 'application/pdf');
+                }
+            } else if (extractionType === 'chunks') {
+                const chunkSize = parseInt(chunkSizeInput.value, 10);
+                if (!chunkSize || chunkSize < 1) {
+                    LoadingOverlay.hide();
+                    showErrorMessage(errorMessage, 'Please enter how many pages each file should have.');
+                    return;
+                }
+
+                if (!totalPages) {
+                    LoadingOverlay.hide();
+                    showErrorMessage(errorMessage, 'The number of pages in this PDF could not be read, so it cannot be split into chunks.');
+                    return;
+                }
 
-            if (extractAll) {
-                const pdfBytes = await extractAllPages(selectedFile, (percent, text) => {
+                const chunks = getPageChunks(totalPages, chunkSize);
+                const pdfBytes = await compressOutputs(await PdfWorker.run('extractPageGroups', [selectedFile, chunks, (percent, text) => {
                     LoadingOverlay.updateProgress(percent, text);
-                });
+                }, options], runOptions), signal);
 
+                const { fileNames, zipName } = getOutputNames(chunks.map(pages => ({ pages })), 'pdf');
                 if (pdfBytes.length > 1) {
                     LoadingOverlay.updateProgress(95, 'Creating ZIP file...');
-                    const zipBlob = await createZipWithPDFs(pdfBytes);
-                    download(zipBlob, 'extracted_pages.zip', 'application/zip');
+                    const zipBlob = await PdfWorker.run('createZip', [pdfBytes, fileNames], { signal });
+                    download(zipBlob, zipName, 'application/zip');
                 } else if (pdfBytes.length === 1) {
-                    download(pdfBytes[0], 'extracted_page.pdf', 'application/pdf');
+                    download(pdfBytes[0], fileNames[0], 'application/pdf');
+                }
+            } else if (extractionType === 'bookmarks') {
+                const sections = getBookmarkSections(outline, totalPages, parseInt(bookmarkDepthSelect.value, 10));
+                if (sections.length === 0) {
+                    LoadingOverlay.hide();
+                    showErrorMessage(errorMessage, 'This document has no bookmarks that point at pages.');
+                    return;
+                }
+
+                const pdfBytes = await compressOutputs(await PdfWorker.run('extractPageGroups', [selectedFile, sections.map(section => section.pages), (percent, text) => {
+                    LoadingOverlay.updateProgress(percent, text);
+                }, options], runOptions), signal);
+
+                const { fileNames, zipName } = getOutputNames(sections.map(section => ({ pages: section.pages, bookmark: section.title })), 'pdf');
+                if (pdfBytes.length > 1) {
+                    LoadingOverlay.updateProgress(95, 'Creating ZIP file...');
+                    const zipBlob = await PdfWorker.run('createZip', [pdfBytes, fileNames], { signal });
+                    download(zipBlob, zipName, 'application/zip');
+                } else {
+                    download(pdfBytes[0], fileNames[0], 'application/pdf');
+                }
+            } else if (extractionType === 'organize') {
+                // Save the whole document exactly as arranged in the thumbnail grid
+                const pageOrder = PagePreview.getPageOrder();
+                if (pageOrder.length === 0) {
+                    LoadingOverlay.hide();
+                    showErrorMessage(errorMessage, 'There are no pages left to save.');
+                    return;
+                }
+
+                const [organizedPdfBytes] = await compressOutputs([await PdfWorker.run('extractPages', [selectedFile, pageOrder, (percent, text) => {
+                    LoadingOverlay.updateProgress(percent, text);
+                }, options], runOptions)], signal);
+
+                download(organizedPdfBytes, getOutputNames([{ pages: pageOrder }], 'pdf').fileNames[0], 'application/pdf');
+            } else if (extractionType === 'images') {
+                const dpi = parseInt(imageDpiInput.value, 10);
+                if (!dpi || dpi < 36 || dpi > 600) {
+                    LoadingOverlay.hide();
+                    showErrorMessage(errorMessage, 'Please enter a resolution between 36 and 600 DPI.');
+                    return;
+                }
+
+                const selectedPages = PagePreview.getSelectedPagesArray();
+                const pageNumbers = selectedPages.length > 0
+                    ? selectedPages
+                    : Array.from({ length: totalPages }, (_, i) => i + 1);
+
+                // Rendering the PDF output keeps rotations, watermark and numbering in the images
+                const pdfBytes = await PdfWorker.run('extractPages', [selectedFile, pageNumbers, (percent, text) => {
+                    LoadingOverlay.updateProgress(Math.round(percent * 0.3), text);
+                }, options], runOptions);
+
+                const format = imageFormatSelect.value;
+                const images = await renderPdfToImages(pdfBytes, (percent, text) => {
+                    LoadingOverlay.updateProgress(30 + Math.round(percent * 0.6), text);
+                }, { format, dpi });
+
+                const extension = format === 'jpeg' ? 'jpg' : 'png';
+                const { fileNames, zipName } = getOutputNames(pageNumbers.map(pageNum => ({ pages: [pageNum] })), extension);
+
+                if (images.length > 1) {
+                    LoadingOverlay.updateProgress(95, 'Creating ZIP file...');
+                    const zipBlob = await PdfWorker.run('createZip', [images, fileNames, extension], { signal });
+                    download(zipBlob, zipName, 'application/zip');
+                } else if (images.length === 1) {
+                    download(images[0], fileNames[0], images[0].type);
                 }
+            } else if (extractionType === 'text') {
+                const selectedPages = PagePreview.getSelectedPagesArray();
+                const pageNumbers = selectedPages.length > 0
+                    ? selectedPages
+                    : Array.from({ length: totalPages }, (_, i) => i + 1);
+
+                // Read from the PDF output so rotations set the reading direction and redacted
+                // text stays out; other markup, the watermark and numbering are not page text
+                const redactions = new Map();
+                PagePreview.annotations.forEach((annotations, pageNum) => {
+                    const boxes = annotations.filter(annotation => annotation.type === 'redact');
+                    if (boxes.length > 0) redactions.set(pageNum, boxes);
+                });
+                const pdfBytes = await PdfWorker.run('extractPages', [selectedFile, pageNumbers, (percent, text) => {
+                    LoadingOverlay.updateProgress(Math.round(percent * 0.3), text);
+                }, { rotations: PagePreview.rotations, annotations: redactions }], runOptions);
+
+                const pages = await extractPdfText(pdfBytes, (percent, text) => {
+                    LoadingOverlay.updateProgress(30 + Math.round(percent * 0.65), text);
+                });
+
+                const format = textFormatSelect.value;
+                const mimeTypes = { txt: 'text/plain', md: 'text/markdown', json: 'application/json' };
+                const contents = formatExtractedText(pages, format, { fileName: selectedFile.name, pageNumbers });
+                download(contents, getOutputNames([{ pages: pageNumbers }], format).fileNames[0], `${mimeTypes[format]};charset=utf-8`);
             } else {
                 const pagesText = pagesInput.value.trim();
                 if (!pagesText) {
@@ -1053,15 +5539,16 @@ function initSplitController() {
                     return;
                 }
 
-                const extractedPdfBytes = await extractPages(selectedFile, pageRanges, (percent, text) => {
+                const [extractedPdfBytes] = await compressOutputs([await PdfWorker.run('extractPages', [selectedFile, pageRanges, (percent, text) => {
                     LoadingOverlay.updateProgress(percent, text);
-                });
+                }, options], runOptions)], signal);
 
-                download(extractedPdfBytes, 'extracted_pages.pdf', 'application/pdf');
+                download(extractedPdfBytes, getOutputNames([{ pages: pageRanges }], 'pdf').fileNames[0], 'application/pdf');
             }
 
             errorMessage.textContent = '';
         } catch (error) {
+            if (error.name === 'AbortError') return;
             console.error('Split error:', error);
             showErrorMessage(errorMessage, `Error splitting PDF: ${error.message}`);
         } finally {
@@ -1069,6 +5556,174 @@ function initSplitController() {
         }
     });
 
+    restoreSession();
+
+    /**
+     * Compress PDF outputs with the chosen preset and report the sizes; a no-op when it is off
+     * @param {Uint8Array[]} outputs - Saved PDFs
+     * @param {AbortSignal} signal - Cancels the job
+     * @returns {Promise<Uint8Array[]>} The PDFs to download
+     */
+    async function compressOutputs(outputs, signal) {
+        const compression = compressionPanel.getCompression();
+        if (!compression || outputs.length === 0) return outputs;
+
+        const compressed = [];
+        for (let i = 0; i < outputs.length; i++) {
+            compressed.push(await PdfWorker.run('compressPDF', [outputs[i], compression, (percent, text) => {
+                LoadingOverlay.updateProgress(Math.round((i * 100 + percent) / outputs.length),
+                    outputs.length > 1 ? `Compressing file ${i + 1} of ${outputs.length}...` : text);
+            }], { signal }));
+        }
+
+        const totalSize = (list) => list.reduce((sum, bytes) => sum + bytes.length, 0);
+        compressionPanel.showReport(totalSize(outputs), totalSize(compressed));
+        return compressed;
+    }
+
+    /**
+     * The files the chosen option will produce, so they can be named before any work is done
+     * @returns {{outputs: Array<{pages: number[], bookmark: ?string}>, extension: string}}
+     */
+    function getOutputPlan() {
+        const allPages = Array.from({ length: totalPages }, (_, i) => i + 1);
+        const selectedPages = PagePreview.getSelectedPagesArray();
+        const chosenPages = selectedPages.length > 0 ? selectedPages : allPages;
+        const chunkSize = parseInt(chunkSizeInput.value, 10);
+
+        const plans = {
+            allPages: () => ({ groups: allPages.map(page => [page]) }),
+            chunks: () => ({ groups: chunkSize > 0 ? getPageChunks(totalPages, chunkSize) : [] }),
+            bookmarks: () => {
+                const sections = getBookmarkSections(outline, totalPages, parseInt(bookmarkDepthSelect.value, 10));
+                return { groups: sections.map(section => section.pages), bookmarks: sections.map(section => section.title) };
+            },
+            organize: () => ({ groups: [PagePreview.getPageOrder()] }),
+            images: () => ({ groups: chosenPages.map(page => [page]), extension: imageFormatSelect.value === 'jpeg' ? 'jpg' : 'png' }),
+            text: () => ({ groups: [chosenPages], extension: textFormatSelect.value }),
+            customRange: () => ({ groups: [parsePageRanges(pagesInput.value.trim(), totalPages)] })
+        };
+        const { groups, bookmarks = [], extension = 'pdf' } = (plans[extractionType] || plans.customRange)();
+
+        return {
+            outputs: groups
+                .map((pages, i) => ({ pages, bookmark: bookmarks[i] || null }))
+                .filter(output => output.pages.length > 0),
+            extension
+        };
+    }
+
+    /**
+     * Names for the files of a split, from the file name templates
+     * @param {Array<{pages: number[], bookmark: ?string}>} outputs - Pages (and bookmark) of each file
+     * @param {string} extension - Extension of each file
+     * @returns {{fileNames: string[], zipName: string}} The ZIP name is for when there are several
+     */
+    function getOutputNames(outputs, extension) {
+        const name = getBaseName(selectedFile.name);
+        const count = outputs.length;
+        // Padded so names sort in page order, as page_001.pdf always did; pages are listed in
+        // the order they appear in the file, e.g. "005,001-003" for a reordered document
+        const padLength = Math.max(3, String(totalPages).length);
+        const formatPages = (pages) => PagePreview.formatPageRanges(pages).replace(/\d+/g, pageNum => pageNum.padStart(padLength, '0'));
+        const indexLength = Math.max(2, String(count).length);
+
+        const fileNames = outputs.map((output, i) => {
+            const variant = count === 1 ? 'single' : output.pages.length === 1 ? 'page' : 'file';
+            return fileNamePanel.getFileName({
+                name,
+                count,
+                pages: formatPages(output.pages),
+                pagecount: output.pages.length,
+                index: String(i + 1).padStart(indexLength, '0'),
+                bookmark: output.bookmark || ''
+            }, extension, variant);
+        });
+        const allPages = [...new Set(outputs.flatMap(output => output.pages))].sort((a, b) => a - b);
+
+        return {
+            fileNames: makeFileNamesUnique(fileNames),
+            zipName: fileNamePanel.getZipName({
+                name,
+                count,
+                pages: formatPages(allPages),
+                pagecount: outputs.reduce((total, output) => total + output.pages.length, 0)
+            })
+        };
+    }
+
+    function updateFileNamePreview() {
+        if (!selectedFile) return;
+        const { outputs, extension } = getOutputPlan();
+        const { fileNames, zipName } = getOutputNames(outputs, extension);
+        fileNamePanel.showPreview(fileNames, fileNames.length > 1 ? zipName : null);
+    }
+
+    function selectExtractionType(type) {
+        extractionType = type;
+        extractionOptions.forEach(option => {
+            option.classList.toggle('active', option.querySelector('input[name="extractionType"]').value === type);
+        });
+        saveSession();
+        pagesInput.disabled = type !== 'customRange';
+        chunkSizeInput.disabled = type !== 'chunks';
+        imageFormatSelect.disabled = type !== 'images';
+        imageDpiInput.disabled = type !== 'images';
+        textFormatSelect.disabled = type !== 'text';
+        bookmarkDepthSelect.disabled = type !== 'bookmarks' || outline.length === 0;
+        PagePreview.setOrganizeMode(type === 'organize');
+        fileNamePanel.setDefaults(SPLIT_FILE_NAMES[type]);
+        updateFileNamePreview();
+    }
+
+    async function loadBookmarks(pdfDoc) {
+        try {
+            outline = await getOutlineTree(pdfDoc);
+        } catch (error) {
+            console.error('Error reading bookmarks:', error);
+            outline = [];
+        }
+
+        const depth = getOutlineDepth(outline);
+        bookmarkDepthSelect.innerHTML = '';
+        for (let level = 1; level <= depth; level++) {
+            const option = document.createElement('option');
+            option.value = level;
+            option.textContent = level === 1 ? 'Top level only' : `Down to level ${level}`;
+            bookmarkDepthSelect.appendChild(option);
+        }
+
+        const hasBookmarks = depth > 0;
+        bookmarksOption.classList.toggle('disabled', !hasBookmarks);
+        bookmarksOption.querySelector('input[name="extractionType"]').disabled = !hasBookmarks;
+        bookmarksDescription.textContent = hasBookmarks
+            ? 'Create one file per bookmark, named after the bookmark title'
+            : 'This document has no bookmarks';
+
+        if (!hasBookmarks && extractionType === 'bookmarks') {
+            selectExtractionType('customRange');
+            customRangeRadio.checked = true;
+        } else {
+            selectExtractionType(extractionType);
+        }
+        updateBookmarkSections();
+        updateFileNamePreview();
+    }
+
+    function updateBookmarkSections() {
+        bookmarkSectionsList.innerHTML = '';
+        if (outline.length === 0) return;
+
+        const sections = getBookmarkSections(outline, totalPages || PagePreview.totalPages, parseInt(bookmarkDepthSelect.value, 10));
+        sections.forEach(section => {
+            const item = document.createElement('li');
+            const first = section.pages[0];
+            const last = section.pages[section.pages.length - 1];
+            item.textContent = `${section.title} (${first === last ? `p. ${first}` : `pp. ${first}-${last}`})`;
+            bookmarkSectionsList.appendChild(item);
+        });
+    }
+
     async function handleFileSelection() {
         if (fileInput.files.length > 0) {
             const file = fileInput.files[0];
@@ -1082,10 +5737,39 @@ function initSplitController() {
         }
     }
 
-    async function processSelectedFile() {
+    /**
+     * Read the chosen file and show its pages
+     * @param {Object} arrangement - Saved page arrangement to restore (see PagePreview.applyArrangement)
+     */
+    async function processSelectedFile(arrangement = null) {
+        // Encrypted files are swapped for a decrypted copy before anything reads them
+        const file = selectedFile;
+        sessionReady = false;
+        if (sessionFile?.file !== file) sessionFile = { key: createSessionKey('split'), file };
+        let unlocked;
+        try {
+            unlocked = await unlockPdfFile(file);
+        } catch (error) {
+            if (selectedFile !== file) return;
+            resetUI();
+            fileInput.value = '';
+            showErrorMessage(errorMessage, `${file.name}: ${error.message}`);
+            return;
+        }
+        // Another file may have been chosen while the password was asked for
+        if (selectedFile !== file) return;
+        selectedFile = unlocked.file;
+        selectedFileEncrypted = unlocked.encrypted;
+
         updateFileUI();
         submitBtn.disabled = false;
         pageOptionsContainer.classList.remove('hidden');
+        metadataPanel.setVisible(true);
+        metadataPanel.loadFrom(selectedFile);
+        watermarkPanel.setVisible(true);
+        numberingPanel.setVisible(true);
+        compressionPanel.setVisible(true);
+        fileNamePanel.setVisible(true);
 
         try {
             totalPages = await getPdfPageCount(selectedFile);
@@ -1093,7 +5777,8 @@ function initSplitController() {
             pdfInfoContainer.classList.remove('hidden');
             
             // Load page previews
-            await PagePreview.loadPdf(selectedFile);
+            PageSearch.reset();
+            await PagePreview.loadPdf(selectedFile, arrangement);
         } catch (error) {
             console.error('Error reading PDF:', error);
             showErrorMessage(errorMessage, `Error reading PDF: ${error.message}`);
@@ -1113,7 +5798,7 @@ function initSplitController() {
             fileItem.className = 'file-item';
             fileItem.innerHTML = `
                 <div class="file-info">
-                    <span class="file-name">${selectedFile.name}</span>
+                    <span class="file-name">${selectedFileEncrypted ? '<span class="file-lock-badge" title="Password protected, unlocked for this session" aria-label="Password protected">🔒</span>' : ''}${selectedFile.name}</span>
                     <span class="file-size">${formatFileSize(selectedFile.size)}</span>
                 </div>
                 <button class="remove-file" type="button" aria-label="Remove file">✕</button>
@@ -1133,14 +5818,331 @@ function initSplitController() {
 
     function resetUI() {
         selectedFile = null;
+        selectedFileEncrypted = false;
         totalPages = 0;
+        sessionFile = null;
+        sessionReady = true;
+        saveSession();
         updateFileUI();
         submitBtn.disabled = true;
         pageOptionsContainer.classList.add('hidden');
         pdfInfoContainer.classList.add('hidden');
         errorMessage.textContent = '';
+        outline = [];
+        bookmarkSectionsList.innerHTML = '';
+        metadataPanel.reset();
+        watermarkPanel.setVisible(false);
+        numberingPanel.setVisible(false);
+        compressionPanel.setVisible(false);
+        fileNamePanel.setVisible(false);
+        PageSearch.reset();
         PagePreview.reset();
     }
+
+    /**
+     * Bring back the file, page arrangement and extraction option saved before the page was
+     * last closed
+     */
+    async function restoreSession() {
+        const session = await SessionStore.load('split');
+        const file = session?.files.get(session.state.file);
+        // A file chosen while the session was loading wins
+        if (!file || selectedFile) {
+            if (!selectedFile) {
+                sessionReady = true;
+                saveSession();
+            }
+            return;
+        }
+
+        const { order, selected, rotations } = session.state;
+        const radio = pageOptionsContainer.querySelector(`input[name="extractionType"][value="${session.state.extractionType}"]`);
+        if (radio) {
+            // Bookmarks are checked again once the document's outline has been read
+            radio.checked = true;
+            selectExtractionType(session.state.extractionType);
+        }
+
+        selectedFile = file;
+        sessionFile = { key: session.state.file, file };
+        await processSelectedFile({ order, selected, rotations });
+        if (selectedFile) SessionStore.setStatus('Restored your last session. It is kept in this browser until you clear it.');
+    }
+
+    function saveSession() {
+        if (!sessionReady) return;
+
+        SessionStore.save('split', () => {
+            if (!sessionFile) return null;
+
+            const state = {
+                file: sessionFile.key,
+                order: PagePreview.getPageOrder(),
+                selected: Array.from(PagePreview.selectedPages),
+                rotations: Array.from(PagePreview.rotations),
+                extractionType
+            };
+            return { state, files: new Map([[sessionFile.key, sessionFile.file]]) };
+        });
+    }
+}
+
+/**
+ * Initialize the form filling tab
+ */
+function initFormsController() {
+    const fileInput = document.getElementById('formsFileInput');
+    if (!fileInput) return;
+
+    const uploadContainer = document.getElementById('formsUploadContainer');
+    const selectedFileContainer = document.getElementById('formsSelectedFile');
+    const fieldsSection = document.getElementById('formFieldsSection');
+    const fieldsList = document.getElementById('formFieldsList');
+    const fieldsSummary = document.getElementById('formFieldsSummary');
+    const flattenToggle = document.getElementById('formsFlattenToggle');
+    const submitBtn = document.getElementById('formsSubmitBtn');
+    const errorMessage = document.getElementById('formsErrorMessage');
+
+    const typeLabels = {
+        text: 'Text',
+        checkbox: 'Checkbox',
+        radio: 'Radio',
+        dropdown: 'Dropdown',
+        signature: 'Signature'
+    };
+
+    let selectedFile = null;
+    let selectedFileEncrypted = false;
+    let selectionId = 0;
+    // Field name -> new value; only fields that were changed are written back
+    let changes = new Map();
+
+    fileInput.addEventListener('change', () => {
+        if (fileInput.files.length > 0) selectFile(fileInput.files[0]);
+    });
+
+    setupDragAndDrop(
+        uploadContainer,
+        (files) => {
+            if (files.length > 0) selectFile(files[0]);
+        },
+        (msg) => showErrorMessage(errorMessage, msg)
+    );
+
+    submitBtn.addEventListener('click', async () => {
+        if (!selectedFile) {
+            showErrorMessage(errorMessage, 'Please select a PDF form first.');
+            return;
+        }
+
+        const flatten = flattenToggle.checked;
+        LoadingOverlay.show(flatten ? 'Filling in and flattening form...' : 'Filling in form...');
+
+        try {
+            const pdfBytes = await fillFormFields(selectedFile, Object.fromEntries(changes), (percent, text) => {
+                LoadingOverlay.updateProgress(percent, text);
+            }, { flatten });
+
+            download(pdfBytes, `${getBaseName(selectedFile.name)}_${flatten ? 'flattened' : 'filled'}.pdf`, 'application/pdf');
+            errorMessage.textContent = '';
+        } catch (error) {
+            console.error('Form filling error:', error);
+            showErrorMessage(errorMessage, `Error filling in form: ${error.message}`);
+        } finally {
+            LoadingOverlay.hide();
+        }
+    });
+
+    async function selectFile(file) {
+        if (!isPdfFile(file)) {
+            showErrorMessage(errorMessage, 'Only PDF files are allowed.');
+            return;
+        }
+
+        // Another file may be chosen while the password is asked for or the fields are read
+        const currentSelection = ++selectionId;
+        let unlocked;
+        try {
+            unlocked = await unlockPdfFile(file);
+        } catch (error) {
+            if (currentSelection !== selectionId) return;
+            resetUI();
+            fileInput.value = '';
+            showErrorMessage(errorMessage, `${file.name}: ${error.message}`);
+            return;
+        }
+        if (currentSelection !== selectionId) return;
+
+        selectedFile = unlocked.file;
+        selectedFileEncrypted = unlocked.encrypted;
+        changes = new Map();
+        errorMessage.textContent = '';
+        updateFileUI();
+
+        try {
+            const fields = await readFormFields(selectedFile);
+            if (currentSelection !== selectionId) return;
+            renderFields(fields);
+        } catch (error) {
+            console.error('Error reading form:', error);
+            showErrorMessage(errorMessage, `Error reading form: ${error.message}`);
+            renderFields([]);
+        }
+    }
+
+    function renderFields(fields) {
+        fieldsList.innerHTML = '';
+        fields.forEach(field => fieldsList.appendChild(createFieldControl(field)));
+
+        const fillable = fields.filter(field => !field.readOnly).length;
+        if (fields.length === 0) {
+            fieldsSummary.textContent = 'This PDF has no form fields to fill in.';
+        } else {
+            fieldsSummary.textContent = `${fields.length} field${fields.length === 1 ? '' : 's'}, `
+                + `${fillable} of them fillable. Fields marked * are required.`;
+        }
+        fieldsSection.classList.remove('hidden');
+        submitBtn.disabled = fields.length === 0;
+    }
+
+    /**
+     * Build the input for one form field
+     * @param {Object} field - Field description (see describeFormField)
+     * @returns {HTMLElement} Labelled input
+     */
+    function createFieldControl(field) {
+        const item = document.createElement(field.type === 'checkbox' || field.type === 'signature' ? 'div' : 'label');
+        item.className = 'options-field';
+
+        const caption = document.createElement('span');
+        caption.textContent = `${field.label}${field.required ? ' *' : ''}`;
+        caption.title = field.name;
+        const typeLabel = document.createElement('span');
+        typeLabel.className = 'form-field-type';
+        typeLabel.textContent = typeLabels[field.type];
+        caption.appendChild(typeLabel);
+        item.appendChild(caption);
+
+        let control;
+        switch (field.type) {
+            case 'text':
+                control = document.createElement(field.multiline ? 'textarea' : 'input');
+                control.className = 'form-control';
+                control.value = field.value;
+                if (field.maxLength !== null) control.maxLength = field.maxLength;
+                if (field.multiline) item.classList.add('form-field-wide');
+                control.addEventListener('input', () => changes.set(field.name, control.value));
+                break;
+
+            case 'checkbox': {
+                const toggle = document.createElement('label');
+                toggle.className = 'toggle-option';
+                control = document.createElement('input');
+                control.type = 'checkbox';
+                control.checked = field.value;
+                control.addEventListener('change', () => changes.set(field.name, control.checked));
+                toggle.append(control, 'Checked');
+                item.appendChild(toggle);
+                break;
+            }
+
+            case 'radio':
+                control = createSelect(['', ...field.options], field.value);
+                control.addEventListener('change', () => changes.set(field.name, control.value));
+                break;
+
+            case 'dropdown':
+                if (field.multiple) {
+                    control = createSelect(field.options, field.value, true);
+                    control.size = Math.min(field.options.length, 4);
+                    control.addEventListener('change', () => {
+                        changes.set(field.name, Array.from(control.selectedOptions, option => option.value));
+                    });
+                } else if (field.editable) {
+                    // Editable dropdowns take any text, with the options as suggestions
+                    control = document.createElement('input');
+                    control.className = 'form-control';
+                    control.value = field.value[0] || '';
+                    const suggestions = document.createElement('datalist');
+                    suggestions.id = `formFieldOptions${fieldsList.children.length}`;
+                    field.options.forEach(value => suggestions.appendChild(new Option(value, value)));
+                    control.setAttribute('list', suggestions.id);
+                    item.appendChild(suggestions);
+                    control.addEventListener('input', () => {
+                        changes.set(field.name, control.value ? [control.value] : []);
+                    });
+                } else {
+                    control = createSelect(['', ...field.options], field.value[0] || '');
+                    control.addEventListener('change', () => {
+                        changes.set(field.name, control.value ? [control.value] : []);
+                    });
+                }
+                break;
+
+            case 'signature':
+                control = document.createElement('span');
+                control.className = 'form-field-status';
+                control.textContent = field.value ? 'Signed' : 'Not signed';
+                item.appendChild(control);
+                return item;
+        }
+
+        control.disabled = field.readOnly;
+        if (field.type !== 'checkbox') item.appendChild(control);
+        return item;
+    }
+
+    function createSelect(options, selected, multiple = false) {
+        const select = document.createElement('select');
+        select.className = 'form-control';
+        select.multiple = multiple;
+        options.forEach(value => {
+            const option = new Option(value || '(none)', value);
+            option.selected = Array.isArray(selected) ? selected.includes(value) : value === selected;
+            select.appendChild(option);
+        });
+        return select;
+    }
+
+    function updateFileUI() {
+        selectedFileContainer.innerHTML = '';
+
+        if (selectedFile) {
+            selectedFileContainer.classList.remove('hidden');
+
+            const fileItem = document.createElement('div');
+            fileItem.className = 'file-item';
+            fileItem.innerHTML = `
+                <div class="file-info">
+                    <span class="file-name">${selectedFileEncrypted ? '<span class="file-lock-badge" title="Password protected, unlocked for this session" aria-label="Password protected">🔒</span>' : ''}${selectedFile.name}</span>
+                    <span class="file-size">${formatFileSize(selectedFile.size)}</span>
+                </div>
+                <button class="remove-file" type="button" aria-label="Remove file">✕</button>
+            `;
+
+            fileItem.querySelector('.remove-file').addEventListener('click', () => {
+                fileInput.value = '';
+                resetUI();
+            });
+
+            selectedFileContainer.appendChild(fileItem);
+        } else {
+            selectedFileContainer.classList.add('hidden');
+        }
+    }
+
+    function resetUI() {
+        selectionId++;
+        selectedFile = null;
+        selectedFileEncrypted = false;
+        changes = new Map();
+        updateFileUI();
+        fieldsList.innerHTML = '';
+        fieldsSection.classList.add('hidden');
+        flattenToggle.checked = false;
+        submitBtn.disabled = true;
+        errorMessage.textContent = '';
+    }
 }
 
 /**
@@ -1320,11 +6322,19 @@ document.addEventListener('DOMContentLoaded', () => {
     initParticles();
     
     LoadingOverlay.init();
+    SessionStore.init();
+    OfflineStatus.init();
+    PasswordPrompt.init();
     PagePreview.init();
+    AnnotationLayer.init();
+    SignaturePad.init();
+    PageSearch.init();
+    MergeBoard.init();
     initNavigation();
     initTabs();
     initMergeController();
     initSplitController();
+    initFormsController();
 
     const container = document.querySelector('.container');
     container?.classList.add('fade-in');
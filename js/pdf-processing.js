@@ -0,0 +1,3004 @@
+/**
+ * PDF Editor - Document Processing
+ * Builds the output documents with pdf-lib: merging, extracting, stamping, redaction and
+ * compression. Loaded by the page and by the processing worker (js/pdf-worker.js), so it
+ * keeps to what both have; redaction is the exception, as it reads pages back with pdf.js
+ * and only runs on the page.
+ */
+
+// =========================================
+// Utility Functions
+// =========================================
+
+/**
+ * File name without its extension
+ * @param {string} fileName - e.g. "report.final.pdf"
+ * @returns {string} e.g. "report.final"
+ */
+function getBaseName(fileName) {
+    const dot = fileName.lastIndexOf('.');
+    return dot > 0 ? fileName.slice(0, dot) : fileName;
+}
+
+/**
+ * Read file as ArrayBuffer
+ * @param {File} file - The file to read
+ * @returns {Promise<ArrayBuffer>} The file contents as ArrayBuffer
+ */
+function readFileAsArrayBuffer(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(new Error(`Failed to read file: ${file.name}`));
+        reader.readAsArrayBuffer(file);
+    });
+}
+
+/**
+ * Blank canvas to draw on; an OffscreenCanvas when there is no document, as in the worker
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {HTMLCanvasElement|OffscreenCanvas}
+ */
+function createCanvas(width, height) {
+    if (typeof document === 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+/**
+ * Encode a canvas made by createCanvas as an image file
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - The canvas
+ * @param {string} type - MIME type, e.g. 'image/jpeg'
+ * @param {number} quality - Quality from 0 to 1 for lossy types
+ * @returns {Promise<Blob>}
+ */
+function canvasToBlob(canvas, type, quality) {
+    if (canvas.convertToBlob) {
+        return canvas.convertToBlob({ type, quality });
+    }
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(result => result ? resolve(result) : reject(new Error('Failed to encode image')), type, quality);
+    });
+}
+
+// =========================================
+// Annotation Geometry
+// =========================================
+
+// Highlights are translucent so the text beneath stays readable
+const HIGHLIGHT_OPACITY = 0.35;
+
+/**
+ * Bounding box of a list of points
+ * @param {Array<number[]>} points - [x, y] pairs
+ * @returns {{minX: number, minY: number, maxX: number, maxY: number}}
+ */
+function getPointBounds(points) {
+    const xs = points.map(([x]) => x);
+    const ys = points.map(([, y]) => y);
+    return { minX: Math.min(...xs), minY: Math.min(...ys), maxX: Math.max(...xs), maxY: Math.max(...ys) };
+}
+
+/**
+ * The two barbs of an arrow head at the end of a line
+ * @param {number[]} start - Line start [x, y]
+ * @param {number[]} end - Line end [x, y], where the head goes
+ * @param {number} size - Length of each barb
+ * @returns {Array<number[]>} Outer ends of the two barbs
+ */
+function getArrowHead([x1, y1], [x2, y2], size) {
+    const angle = Math.atan2(y2 - y1, x2 - x1);
+    return [angle - Math.PI / 6, angle + Math.PI / 6].map(barb => [
+        x2 - size * Math.cos(barb),
+        y2 - size * Math.sin(barb)
+    ]);
+}
+
+/**
+ * Arrow heads grow with the line so thick arrows still read as arrows
+ * @param {number} lineWidth - Line width in points
+ * @returns {number} Barb length in points
+ */
+function getArrowHeadSize(lineWidth) {
+    return Math.max(8, lineWidth * 4);
+}
+
+/**
+ * The part of a text annotation that Helvetica can write
+ * The standard fonts only cover WinAnsi (Latin) characters; pdf-lib throws on anything else,
+ * e.g. CJK, Cyrillic, arrows or emoji, so those are left out of the preview and the output.
+ * @param {string} text - Text as typed
+ * @returns {string} The text without the characters Helvetica cannot encode
+ */
+function toHelveticaText(text) {
+    const font = PDFLib.StandardFontEmbedder.for(PDFLib.StandardFonts.Helvetica);
+    return Array.from(text).filter(char => {
+        try {
+            font.encodeText(char);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }).join('');
+}
+
+/**
+ * Size of a text annotation in points, measured with the Helvetica it is burned in with
+ * @param {Object} annotation - Text annotation
+ * @returns {{width: number, height: number, ascent: number}}
+ */
+function measureAnnotationText(annotation) {
+    const font = PDFLib.StandardFontEmbedder.for(PDFLib.StandardFonts.Helvetica);
+    const size = annotation.fontSize;
+    return {
+        width: font.widthOfTextAtSize(toHelveticaText(annotation.text), size),
+        height: font.heightOfFontAtSize(size),
+        ascent: font.heightOfFontAtSize(size, { descender: false })
+    };
+}
+
+// =========================================
+// Output Documents
+// =========================================
+
+/**
+ * Read the document information (title, author, dates...) of a PDF
+ * @param {File} file - The PDF file
+ * @returns {Promise<Object>} Metadata with string fields and Date (or null) dates
+ */
+async function readPdfMetadata(file) {
+    const arrayBuffer = await readFileAsArrayBuffer(file);
+    const pdf = await PDFLib.PDFDocument.load(arrayBuffer, {
+        ignoreEncryption: true,
+        updateMetadata: false
+    });
+
+    return {
+        title: pdf.getTitle() || '',
+        author: pdf.getAuthor() || '',
+        subject: pdf.getSubject() || '',
+        keywords: pdf.getKeywords() || '',
+        creator: pdf.getCreator() || '',
+        producer: pdf.getProducer() || '',
+        creationDate: pdf.getCreationDate() || null,
+        modificationDate: pdf.getModificationDate() || null
+    };
+}
+
+/**
+ * Write document information to a PDF; empty fields are removed rather than left blank
+ * @param {PDFLib.PDFDocument} pdfDoc - The document to update
+ * @param {Object} metadata - Fields as returned by readPdfMetadata
+ */
+function applyMetadata(pdfDoc, metadata) {
+    const info = pdfDoc.getInfoDict();
+    const setOrRemove = (key, value, setter) => {
+        if (value) {
+            setter(value);
+        } else {
+            info.delete(PDFLib.PDFName.of(key));
+        }
+    };
+
+    setOrRemove('Title', metadata.title, value => pdfDoc.setTitle(value));
+    setOrRemove('Author', metadata.author, value => pdfDoc.setAuthor(value));
+    setOrRemove('Subject', metadata.subject, value => pdfDoc.setSubject(value));
+    // setKeywords joins an array with spaces, so pass the text through as typed
+    setOrRemove('Keywords', metadata.keywords, value => pdfDoc.setKeywords([value]));
+    setOrRemove('Creator', metadata.creator, value => pdfDoc.setCreator(value));
+    setOrRemove('Producer', metadata.producer, value => pdfDoc.setProducer(value));
+    setOrRemove('CreationDate', metadata.creationDate, value => pdfDoc.setCreationDate(value));
+    setOrRemove('ModDate', metadata.modificationDate, value => pdfDoc.setModificationDate(value));
+}
+
+/**
+ * Create an empty output document
+ * With metadata given, pdf-lib's own producer/creator stamps are left out.
+ * @param {?Object} metadata - Metadata that will be applied before saving
+ * @returns {Promise<PDFLib.PDFDocument>}
+ */
+function createOutputDocument(metadata) {
+    return PDFLib.PDFDocument.create({ updateMetadata: !metadata });
+}
+
+/**
+ * Describe a page as it is displayed, after its /Rotate is applied
+ * Stamps are laid out in display coordinates (origin bottom-left, y up) so they
+ * read upright however the page is rotated; toPdf maps them back to user space.
+ * @param {PDFLib.PDFPage} page - The page
+ * @returns {{width: number, height: number, rotation: number, toPdf: function(number, number): {x: number, y: number}}}
+ */
+function getPageFrame(page) {
+    const box = page.getCropBox();
+    const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+    const sideways = rotation === 90 || rotation === 270;
+
+    const toPdf = (x, y) => {
+        switch (rotation) {
+            case 90: return { x: box.x + box.width - y, y: box.y + x };
+            case 180: return { x: box.x + box.width - x, y: box.y + box.height - y };
+            case 270: return { x: box.x + y, y: box.y + box.height - x };
+            default: return { x: box.x + x, y: box.y + y };
+        }
+    };
+
+    return {
+        width: sideways ? box.height : box.width,
+        height: sideways ? box.width : box.height,
+        rotation,
+        toPdf
+    };
+}
+
+/**
+ * Give a copied page its own /Contents array before drawing on it
+ * Pages copied from the same source page in one copyPages call share that array,
+ * so drawing on one copy would otherwise show up on every copy.
+ * @param {PDFLib.PDFPage} page - The page about to be drawn on
+ */
+function unshareContents(page) {
+    const key = PDFLib.PDFName.of('Contents');
+    const contents = page.node.get(key);
+    if (contents instanceof PDFLib.PDFArray) {
+        page.node.set(key, contents.clone());
+    }
+}
+
+// Horizontal and vertical placement (0 = left/bottom, 1 = right/top) of each stamp position
+const STAMP_POSITIONS = {
+    'top-left': [0, 1], 'top': [0.5, 1], 'top-right': [1, 1],
+    'left': [0, 0.5], 'center': [0.5, 0.5], 'right': [1, 0.5],
+    'bottom-left': [0, 0], 'bottom': [0.5, 0], 'bottom-right': [1, 0]
+};
+
+const STAMP_MARGIN = 36;
+
+/**
+ * Lay out a rotated box at one of the STAMP_POSITIONS of a page
+ * @param {string} position - Key of STAMP_POSITIONS
+ * @param {number} width - Box width in points
+ * @param {number} height - Box height in points
+ * @param {number} angle - Counter-clockwise rotation of the box in degrees
+ * @param {number} frameWidth - Displayed page width
+ * @param {number} frameHeight - Displayed page height
+ * @returns {{x: number, y: number}} Bottom-left corner of the unrotated box, in display coordinates
+ */
+function placeStamp(position, width, height, angle, frameWidth, frameHeight) {
+    const [fx, fy] = STAMP_POSITIONS[position] || STAMP_POSITIONS.center;
+    const radians = angle * Math.PI / 180;
+    const cos = Math.cos(radians);
+    const sin = Math.sin(radians);
+
+    // Half the size of the rotated box's bounding rectangle keeps it inside the margins
+    const halfWidth = (Math.abs(width * cos) + Math.abs(height * sin)) / 2;
+    const halfHeight = (Math.abs(width * sin) + Math.abs(height * cos)) / 2;
+    const centerX = STAMP_MARGIN + halfWidth + fx * (frameWidth - 2 * (STAMP_MARGIN + halfWidth));
+    const centerY = STAMP_MARGIN + halfHeight + fy * (frameHeight - 2 * (STAMP_MARGIN + halfHeight));
+
+    return {
+        x: centerX - (width / 2 * cos - height / 2 * sin),
+        y: centerY - (width / 2 * sin + height / 2 * cos)
+    };
+}
+
+/**
+ * Size and place a watermark on a page of the given display size
+ * Shared by the PDF output and the preview canvas so both agree.
+ * @param {Object} watermark - Watermark settings (see createWatermarkPanel)
+ * @param {number} frameWidth - Displayed page width
+ * @param {number} frameHeight - Displayed page height
+ * @returns {{x: number, y: number, width: number, height: number, angle: number}}
+ *   Bottom-left corner (text: baseline start) in display coordinates, size and angle
+ */
+function getWatermarkLayout(watermark, frameWidth, frameHeight) {
+    let width;
+    let height;
+    if (watermark.type === 'image') {
+        width = frameWidth * watermark.imageScale / 100;
+        height = width * watermark.image.height / watermark.image.width;
+    } else {
+        const font = PDFLib.StandardFontEmbedder.for(PDFLib.StandardFonts.HelveticaBold);
+        width = font.widthOfTextAtSize(watermark.text, watermark.fontSize);
+        height = font.heightOfFontAtSize(watermark.fontSize, { descender: false });
+    }
+
+    const { x, y } = placeStamp(watermark.position, width, height, watermark.rotation, frameWidth, frameHeight);
+    return { x, y, width, height, angle: watermark.rotation };
+}
+
+/**
+ * Pages a watermark applies to
+ * @param {Object} watermark - Watermark settings
+ * @param {number} totalPages - Pages the range refers to
+ * @returns {Set<number>} 1-based page numbers
+ */
+function getWatermarkPages(watermark, totalPages) {
+    if (!watermark.pageRange.trim()) {
+        return new Set(Array.from({ length: totalPages }, (_, i) => i + 1));
+    }
+
+    const error = validatePageRange(watermark.pageRange, totalPages);
+    if (error) throw new Error(`Watermark pages: ${error}`);
+    return new Set(parsePageRanges(watermark.pageRange, totalPages));
+}
+
+/**
+ * Convert a "#rrggbb" color to pdf-lib's rgb()
+ * @param {string} hex - CSS hex color
+ * @returns {Object} pdf-lib RGB color
+ */
+function hexToRgb(hex) {
+    const value = parseInt(hex.replace('#', ''), 16) || 0;
+    return PDFLib.rgb(((value >> 16) & 255) / 255, ((value >> 8) & 255) / 255, (value & 255) / 255);
+}
+
+/**
+ * Stamp a text or image watermark on pages of a document
+ * @param {PDFLib.PDFDocument} pdfDoc - The document the pages belong to
+ * @param {PDFLib.PDFPage[]} pages - Pages to stamp
+ * @param {Object} watermark - Watermark settings (see createWatermarkPanel)
+ */
+async function applyWatermark(pdfDoc, pages, watermark) {
+    if (pages.length === 0) return;
+
+    const isImage = watermark.type === 'image';
+    let image = null;
+    let font = null;
+    if (isImage) {
+        image = watermark.image.type === 'png'
+            ? await pdfDoc.embedPng(watermark.image.bytes)
+            : await pdfDoc.embedJpg(watermark.image.bytes);
+    } else {
+        font = await pdfDoc.embedFont(PDFLib.StandardFonts.HelveticaBold);
+    }
+
+    pages.forEach(page => {
+        unshareContents(page);
+        const frame = getPageFrame(page);
+        const layout = getWatermarkLayout(watermark, frame.width, frame.height);
+        const origin = frame.toPdf(layout.x, layout.y);
+        const rotate = PDFLib.degrees(layout.angle + frame.rotation);
+
+        if (isImage) {
+            page.drawImage(image, {
+                x: origin.x,
+                y: origin.y,
+                width: layout.width,
+                height: layout.height,
+                rotate,
+                opacity: watermark.opacity
+            });
+        } else {
+            page.drawText(watermark.text, {
+                x: origin.x,
+                y: origin.y,
+                size: watermark.fontSize,
+                font,
+                color: hexToRgb(watermark.color),
+                rotate,
+                opacity: watermark.opacity
+            });
+        }
+    });
+}
+
+/**
+ * Number each page within its run; pages sharing a run id are numbered together in order
+ * @param {Array} runIds - Run id of each output page (e.g. its source file, or 0 for one run)
+ * @returns {Array<{index: number, count: number}>} 0-based position in the run and the run's length
+ */
+function getNumberingPositions(runIds) {
+    const counts = new Map();
+    runIds.forEach(id => counts.set(id, (counts.get(id) || 0) + 1));
+
+    const seen = new Map();
+    return runIds.map(id => {
+        const index = seen.get(id) || 0;
+        seen.set(id, index + 1);
+        return { index, count: counts.get(id) };
+    });
+}
+
+/**
+ * Text of a page number or Bates ID
+ * @param {Object} numbering - Numbering settings (see createNumberingPanel)
+ * @param {number} index - 0-based position of the page in its run
+ * @param {number} count - Pages in the run
+ * @returns {string} e.g. "Page 3 of 12" or "ACME000123"
+ */
+function formatPageNumber(numbering, index, count) {
+    const number = numbering.start + index;
+    const last = numbering.start + count - 1;
+
+    switch (numbering.style) {
+        case 'bates': return `${numbering.prefix}${String(number).padStart(numbering.digits, '0')}${numbering.suffix}`;
+        case 'page': return `Page ${number}`;
+        case 'pageOf': return `Page ${number} of ${last}`;
+        case 'slash': return `${number} / ${last}`;
+        default: return String(number);
+    }
+}
+
+/**
+ * Draw page numbers or Bates IDs on pages of a document
+ * @param {PDFLib.PDFDocument} pdfDoc - The document the pages belong to
+ * @param {PDFLib.PDFPage[]} pages - Pages to number
+ * @param {Object} numbering - Numbering settings (see createNumberingPanel)
+ * @param {Array<{index: number, count: number}>} positions - Position of each page in its run
+ */
+async function applyNumbering(pdfDoc, pages, numbering, positions) {
+    if (pages.length === 0) return;
+
+    const font = await pdfDoc.embedFont(PDFLib.StandardFonts.Helvetica);
+    const height = font.heightAtSize(numbering.fontSize, { descender: false });
+
+    pages.forEach((page, i) => {
+        const text = formatPageNumber(numbering, positions[i].index, positions[i].count);
+        const width = font.widthOfTextAtSize(text, numbering.fontSize);
+
+        unshareContents(page);
+        const frame = getPageFrame(page);
+        const corner = placeStamp(numbering.position, width, height, 0, frame.width, frame.height);
+        const origin = frame.toPdf(corner.x, corner.y);
+
+        page.drawText(text, {
+            x: origin.x,
+            y: origin.y,
+            size: numbering.fontSize,
+            font,
+            color: hexToRgb(numbering.color),
+            rotate: PDFLib.degrees(frame.rotation)
+        });
+    });
+}
+
+/**
+ * Draw one annotation from the preview modal on a page
+ * @param {PDFLib.PDFPage} page - Page copied from the annotated source page
+ * @param {Object} annotation - The annotation (see AnnotationLayer)
+ * @param {Object} resources - Embedded resources the annotations share
+ * @param {PDFLib.PDFFont} resources.font - Helvetica, for text annotations
+ * @param {Map<string, PDFLib.PDFImage>} resources.images - Signature images by data URL
+ */
+function drawAnnotation(page, annotation, resources) {
+    const color = annotation.color ? hexToRgb(annotation.color) : null;
+    const { minX, minY, maxX, maxY } = getPointBounds(annotation.points);
+    const lineCap = PDFLib.LineCapStyle.Round;
+
+    switch (annotation.type) {
+        case 'text': {
+            // The stored point is the top-left corner as seen when placed; drawText wants the baseline
+            const [x, y] = annotation.points[0];
+            const radians = annotation.angle * Math.PI / 180;
+            const { ascent } = measureAnnotationText(annotation);
+            page.drawText(toHelveticaText(annotation.text), {
+                x: x + Math.sin(radians) * ascent,
+                y: y - Math.cos(radians) * ascent,
+                size: annotation.fontSize,
+                font: resources.font,
+                color,
+                rotate: PDFLib.degrees(annotation.angle)
+            });
+            break;
+        }
+        case 'signature': {
+            // drawImage places the image by its bottom-left corner, as seen when placed
+            const [x, y] = annotation.points[0];
+            const radians = annotation.angle * Math.PI / 180;
+            page.drawImage(resources.images.get(annotation.image), {
+                x: x + Math.sin(radians) * annotation.height,
+                y: y - Math.cos(radians) * annotation.height,
+                width: annotation.width,
+                height: annotation.height,
+                rotate: PDFLib.degrees(annotation.angle)
+            });
+            break;
+        }
+        case 'rect':
+            page.drawRectangle({
+                x: minX,
+                y: minY,
+                width: maxX - minX,
+                height: maxY - minY,
+                borderColor: color,
+                borderWidth: annotation.lineWidth
+            });
+            break;
+        case 'ellipse':
+            page.drawEllipse({
+                x: (minX + maxX) / 2,
+                y: (minY + maxY) / 2,
+                xScale: (maxX - minX) / 2,
+                yScale: (maxY - minY) / 2,
+                borderColor: color,
+                borderWidth: annotation.lineWidth
+            });
+            break;
+        case 'highlight':
+            page.drawRectangle({
+                x: minX,
+                y: minY,
+                width: maxX - minX,
+                height: maxY - minY,
+                color,
+                opacity: HIGHLIGHT_OPACITY,
+                blendMode: PDFLib.BlendMode.Multiply
+            });
+            break;
+        case 'arrow': {
+            const [start, end] = annotation.points;
+            const barbs = getArrowHead(start, end, getArrowHeadSize(annotation.lineWidth));
+            [[start, end], ...barbs.map(barb => [end, barb])].forEach(([from, to]) => {
+                page.drawLine({
+                    start: { x: from[0], y: from[1] },
+                    end: { x: to[0], y: to[1] },
+                    thickness: annotation.lineWidth,
+                    color,
+                    lineCap
+                });
+            });
+            break;
+        }
+        case 'ink': {
+            // SVG paths run y-down, so flip the points for drawSvgPath's y-up origin
+            const path = annotation.points
+                .map(([x, y], i) => `${i === 0 ? 'M' : 'L'} ${x} ${-y}`)
+                .join(' ');
+            page.drawSvgPath(path, {
+                x: 0,
+                y: 0,
+                borderColor: color,
+                borderWidth: annotation.lineWidth,
+                borderLineCap: lineCap
+            });
+            break;
+        }
+    }
+}
+
+/**
+ * Burn the markup from the preview modal into output pages
+ * Annotations are kept in the source page's user space, which copied pages share.
+ * @param {PDFLib.PDFDocument} pdfDoc - The document the pages belong to
+ * @param {PDFLib.PDFPage[]} pages - Output pages
+ * @param {Array<?Object[]>} pageAnnotations - Annotations for each output page
+ */
+async function applyAnnotations(pdfDoc, pages, pageAnnotations) {
+    const all = pageAnnotations.flatMap(annotations => annotations || []);
+    const resources = {
+        font: all.some(a => a.type === 'text') ? await pdfDoc.embedFont(PDFLib.StandardFonts.Helvetica) : null,
+        images: new Map()
+    };
+
+    // Each signature is embedded once, however many pages it is placed on
+    for (const annotation of all) {
+        if (annotation.type === 'signature' && !resources.images.has(annotation.image)) {
+            resources.images.set(annotation.image, await pdfDoc.embedPng(annotation.image));
+        }
+    }
+
+    pages.forEach((page, i) => {
+        const annotations = pageAnnotations[i] || [];
+        if (annotations.length === 0) return;
+
+        unshareContents(page);
+        annotations.forEach(annotation => drawAnnotation(page, annotation, resources));
+    });
+}
+
+/**
+ * Apply the document-wide output options to an assembled document before it is saved
+ * @param {PDFLib.PDFDocument} pdfDoc - The output document
+ * @param {Object} options - Output options (metadata, annotations, watermark, numbering)
+ * @param {Object} layout - How the output pages relate to what the user sees
+ * @param {number[]} layout.pageNumbers - Number each output page goes by in page ranges
+ * @param {number} layout.totalPages - Pages those numbers refer to
+ * @param {Array<{index: number, count: number}>} layout.positions - Numbering position of each
+ *   output page; defaults to one run through the document
+ */
+async function finalizeDocument(pdfDoc, options, layout) {
+    const { metadata = null, annotations = null, watermark = null, numbering = null } = options;
+    const pages = pdfDoc.getPages();
+
+    // Markup goes on first, so watermarks and numbers are never hidden under it
+    if (annotations?.size) {
+        const pageAnnotations = layout.pageNumbers.map(pageNum => annotations.get(pageNum) || []);
+        // Redaction reads the page text back, so it runs before anything else is drawn
+        await applyRedactions(pdfDoc, pages, pageAnnotations.map(list => list
+            .filter(annotation => annotation.type === 'redact')
+            .map(annotation => getPointBounds(annotation.points))));
+        await applyAnnotations(pdfDoc, pages, pageAnnotations.map(list => list.filter(annotation => annotation.type !== 'redact')));
+    }
+
+    if (watermark) {
+        const stampPages = getWatermarkPages(watermark, layout.totalPages);
+        await applyWatermark(pdfDoc, pages.filter((_, i) => stampPages.has(layout.pageNumbers[i])), watermark);
+    }
+
+    if (numbering) {
+        const positions = layout.positions || getNumberingPositions(pages.map(() => 0));
+        await applyNumbering(pdfDoc, pages, numbering, positions);
+    }
+
+    if (metadata) applyMetadata(pdfDoc, metadata);
+}
+
+// Image pages take their size from the image at screen resolution (96 pixels per inch)
+const IMAGE_POINTS_PER_PIXEL = 72 / 96;
+
+/**
+ * Build a one-page document showing an image
+ * @param {Object} image - Image as returned by readImageFile
+ * @param {Object} layout - Page layout
+ * @param {string} layout.pageSize - 'fit' (page sized to the image), 'a4' or 'letter'
+ * @param {number} layout.margin - Margin around the image in points
+ * @param {string} layout.orientation - 'auto' (follows the image), 'portrait' or 'landscape'
+ * @returns {Promise<PDFLib.PDFDocument>}
+ */
+async function createImageDocument(image, layout = {}) {
+    const { pageSize = 'fit', margin = 0, orientation = 'auto' } = layout;
+    const pdfDoc = await PDFLib.PDFDocument.create();
+    const embedded = image.type === 'png'
+        ? await pdfDoc.embedPng(image.bytes)
+        : await pdfDoc.embedJpg(image.bytes);
+
+    const imageWidth = image.width * IMAGE_POINTS_PER_PIXEL;
+    const imageHeight = image.height * IMAGE_POINTS_PER_PIXEL;
+
+    let width;
+    let height;
+    if (pageSize === 'fit') {
+        width = imageWidth + 2 * margin;
+        height = imageHeight + 2 * margin;
+    } else {
+        [width, height] = pageSize === 'letter' ? PDFLib.PageSizes.Letter : PDFLib.PageSizes.A4;
+        const landscape = orientation === 'landscape' || (orientation === 'auto' && image.width > image.height);
+        if (landscape) [width, height] = [height, width];
+    }
+
+    // Scale to fit inside the margins, centered
+    const scale = Math.min((width - 2 * margin) / imageWidth, (height - 2 * margin) / imageHeight);
+    const drawWidth = imageWidth * scale;
+    const drawHeight = imageHeight * scale;
+
+    const page = pdfDoc.addPage([width, height]);
+    page.drawImage(embedded, {
+        x: (width - drawWidth) / 2,
+        y: (height - drawHeight) / 2,
+        width: drawWidth,
+        height: drawHeight
+    });
+
+    return pdfDoc;
+}
+
+/**
+ * Read a document's outline (bookmarks) with pdf-lib
+ * Named destinations are resolved through the catalog's /Dests dictionary and /Names tree.
+ * @param {PDFLib.PDFDocument} pdfDoc - The loaded document
+ * @returns {Array<{title: string, pageIndex: number, children: Array}>} Outline tree;
+ *   pageIndex is 0-based, or -1 when the entry does not point at a page of this document
+ */
+function readOutline(pdfDoc) {
+    const { PDFName, PDFDict, PDFArray, PDFString, PDFHexString, PDFNumber } = PDFLib;
+    const catalog = pdfDoc.catalog;
+    const outlines = catalog.lookupMaybe(PDFName.of('Outlines'), PDFDict);
+    if (!outlines) return [];
+
+    const pageIndexByRef = new Map(pdfDoc.getPages().map((page, index) => [page.ref, index]));
+    let namedDests = null;
+
+    const getNamedDests = () => {
+        if (namedDests) return namedDests;
+        namedDests = new Map();
+
+        const walkNameTree = (node, seen = new Set()) => {
+            if (!(node instanceof PDFDict) || seen.has(node)) return;
+            seen.add(node);
+            const names = node.lookupMaybe(PDFName.of('Names'), PDFArray);
+            for (let i = 0; names && i + 1 < names.size(); i += 2) {
+                const key = names.lookup(i);
+                if (key instanceof PDFString || key instanceof PDFHexString) {
+                    namedDests.set(key.decodeText(), names.lookup(i + 1));
+                }
+            }
+            const kids = node.lookupMaybe(PDFName.of('Kids'), PDFArray);
+            for (let i = 0; kids && i < kids.size(); i++) {
+                walkNameTree(kids.lookup(i), seen);
+            }
+        };
+
+        const names = catalog.lookupMaybe(PDFName.of('Names'), PDFDict);
+        walkNameTree(names?.lookupMaybe(PDFName.of('Dests'), PDFDict));
+
+        const dests = catalog.lookupMaybe(PDFName.of('Dests'), PDFDict);
+        dests?.entries().forEach(([key]) => namedDests.set(key.decodeText(), dests.lookup(key)));
+        return namedDests;
+    };
+
+    const resolvePageIndex = (dest) => {
+        if (dest instanceof PDFName) {
+            dest = getNamedDests().get(dest.decodeText());
+        } else if (dest instanceof PDFString || dest instanceof PDFHexString) {
+            dest = getNamedDests().get(dest.decodeText());
+        }
+        if (dest instanceof PDFDict) {
+            dest = dest.lookup(PDFName.of('D'));
+        }
+        if (!(dest instanceof PDFArray) || dest.size() === 0) return -1;
+
+        const target = dest.get(0);
+        if (target instanceof PDFNumber) return target.asNumber();
+        return pageIndexByRef.has(target) ? pageIndexByRef.get(target) : -1;
+    };
+
+    const seen = new Set();
+    const walk = (first) => {
+        const items = [];
+        let node = first;
+        while (node instanceof PDFDict && !seen.has(node)) {
+            seen.add(node);
+
+            const title = node.lookup(PDFName.of('Title'));
+            let dest = node.lookup(PDFName.of('Dest'));
+            const action = node.lookupMaybe(PDFName.of('A'), PDFDict);
+            if (!dest && action?.lookup(PDFName.of('S')) === PDFName.of('GoTo')) {
+                dest = action.lookup(PDFName.of('D'));
+            }
+
+            items.push({
+                title: title instanceof PDFString || title instanceof PDFHexString ? title.decodeText() : 'Untitled',
+                pageIndex: dest ? resolvePageIndex(dest) : -1,
+                children: walk(node.lookup(PDFName.of('First')))
+            });
+            node = node.lookup(PDFName.of('Next'));
+        }
+        return items;
+    };
+
+    return walk(outlines.lookup(PDFName.of('First')));
+}
+
+/**
+ * Replace a document's outline (bookmarks)
+ * Entries are written collapsed, so only the top level shows until the reader expands it.
+ * @param {PDFLib.PDFDocument} pdfDoc - The document to write to
+ * @param {Array<{title: string, page: PDFLib.PDFPage, children: Array}>} items - Outline tree
+ */
+function writeOutline(pdfDoc, items) {
+    const { PDFName, PDFHexString } = PDFLib;
+    const context = pdfDoc.context;
+    if (items.length === 0) return;
+
+    const outlinesRef = context.nextRef();
+
+    const writeLevel = (levelItems, parentRef) => {
+        const refs = levelItems.map(() => context.nextRef());
+
+        levelItems.forEach((item, i) => {
+            const dict = context.obj({
+                Title: PDFHexString.fromText(item.title),
+                Parent: parentRef,
+                Dest: [item.page.ref, 'Fit']
+            });
+            if (i > 0) dict.set(PDFName.of('Prev'), refs[i - 1]);
+            if (i < refs.length - 1) dict.set(PDFName.of('Next'), refs[i + 1]);
+
+            if (item.children.length > 0) {
+                const childRefs = writeLevel(item.children, refs[i]);
+                dict.set(PDFName.of('First'), childRefs[0]);
+                dict.set(PDFName.of('Last'), childRefs[childRefs.length - 1]);
+                // Negative count: collapsed, with this many direct children
+                dict.set(PDFName.of('Count'), context.obj(-childRefs.length));
+            }
+
+            context.assign(refs[i], dict);
+        });
+
+        return refs;
+    };
+
+    const topRefs = writeLevel(items, outlinesRef);
+    context.assign(outlinesRef, context.obj({
+        Type: 'Outlines',
+        First: topRefs[0],
+        Last: topRefs[topRefs.length - 1],
+        Count: topRefs.length
+    }));
+
+    pdfDoc.catalog.set(PDFName.of('Outlines'), outlinesRef);
+    pdfDoc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+}
+
+/**
+ * Register the form fields behind the widgets of copied pages with the document's form.
+ * copyPages brings widgets and their fields along, but not the source's /AcroForm, so without
+ * this the fields drop out of the form. A top-level field whose name is already taken (two
+ * copies of the same form, say) is renamed, as viewers would otherwise treat both as one field.
+ * @param {PDFLib.PDFDocument} pdfDoc - Document the pages were copied into
+ * @param {PDFLib.PDFDocument} sourcePdf - Document the pages were copied from
+ * @param {PDFLib.PDFPage[]} copiedPages - Pages from a single copyPages call
+ * @param {Set<string>} usedNames - Top-level field names taken so far, updated in place
+ */
+function addFormFields(pdfDoc, sourcePdf, copiedPages, usedNames) {
+    const { PDFName, PDFRef, PDFDict, PDFBool, PDFHexString, PDFObjectCopier } = PDFLib;
+    const context = pdfDoc.context;
+
+    // Top-level field of every widget on the copied pages
+    const rootRefs = new Set();
+    copiedPages.forEach(page => {
+        (page.node.Annots()?.asArray() || []).forEach(annotRef => {
+            let ref = annotRef;
+            let dict = context.lookup(ref);
+            if (!(ref instanceof PDFRef) || !(dict instanceof PDFDict)) return;
+            if (dict.get(PDFName.of('Subtype')) !== PDFName.of('Widget')) return;
+
+            const visited = new Set([ref]);
+            while (dict.get(PDFName.of('Parent')) instanceof PDFRef && !visited.has(dict.get(PDFName.of('Parent')))) {
+                ref = dict.get(PDFName.of('Parent'));
+                visited.add(ref);
+                dict = context.lookup(ref, PDFDict);
+            }
+            if (dict.get(PDFName.of('T'))) rootRefs.add(ref);
+        });
+    });
+    if (rootRefs.size === 0) return;
+
+    const { acroForm } = pdfDoc.getForm();
+    rootRefs.forEach(ref => {
+        const dict = context.lookup(ref, PDFDict);
+        const name = dict.lookup(PDFName.of('T')).decodeText();
+        let uniqueName = name;
+        for (let n = 2; usedNames.has(uniqueName); n++) uniqueName = `${name}_${n}`;
+        if (uniqueName !== name) dict.set(PDFName.of('T'), PDFHexString.fromText(uniqueName));
+        usedNames.add(uniqueName);
+        acroForm.addField(ref);
+    });
+
+    // Fields without their own appearance settings fall back on the form's default ones
+    const sourceForm = sourcePdf.catalog.getAcroForm();
+    if (!sourceForm) return;
+    const DA = PDFName.of('DA');
+    const DR = PDFName.of('DR');
+    const Font = PDFName.of('Font');
+    const NeedAppearances = PDFName.of('NeedAppearances');
+
+    if (!acroForm.dict.has(DA) && sourceForm.dict.lookup(DA)) {
+        acroForm.dict.set(DA, sourceForm.dict.lookup(DA));
+    }
+    if (sourceForm.dict.lookup(NeedAppearances) === PDFBool.True) {
+        acroForm.dict.set(NeedAppearances, PDFBool.True);
+    }
+
+    const sourceFonts = sourceForm.dict.lookupMaybe(DR, PDFDict)?.lookupMaybe(Font, PDFDict);
+    if (sourceFonts) {
+        if (!acroForm.dict.lookupMaybe(DR, PDFDict)) acroForm.dict.set(DR, context.obj({}));
+        const resources = acroForm.dict.lookup(DR, PDFDict);
+        if (!resources.lookupMaybe(Font, PDFDict)) resources.set(Font, context.obj({}));
+        const fonts = resources.lookup(Font, PDFDict);
+
+        const copier = PDFObjectCopier.for(sourcePdf.context, context);
+        sourceFonts.entries().forEach(([name, font]) => {
+            if (!fonts.has(name)) fonts.set(name, copier.copy(font));
+        });
+    }
+}
+
+/**
+ * Remove widgets that did not make it onto a page from the form, along with fields left
+ * without any widget; fields reach every widget, including those of pages that were left out
+ * @param {PDFLib.PDFDocument} pdfDoc - The document
+ */
+function pruneFormFields(pdfDoc) {
+    const { PDFName, PDFRef, PDFDict, PDFArray } = PDFLib;
+    const acroForm = pdfDoc.catalog.getAcroForm();
+    const fields = acroForm?.Fields();
+    if (!fields) return;
+
+    const placedWidgets = new Set();
+    pdfDoc.getPages().forEach(page => {
+        (page.node.Annots()?.asArray() || []).forEach(ref => placedWidgets.add(ref));
+    });
+
+    const keepField = (ref) => {
+        if (!(ref instanceof PDFRef)) return true;
+        const dict = pdfDoc.context.lookup(ref, PDFDict);
+        const kids = dict.lookupMaybe(PDFName.of('Kids'), PDFArray);
+        if (!kids) return dict.get(PDFName.of('Subtype')) !== PDFName.of('Widget') || placedWidgets.has(ref);
+
+        for (let i = kids.size() - 1; i >= 0; i--) {
+            if (!keepField(kids.get(i))) kids.remove(i);
+        }
+        return kids.size() > 0;
+    };
+
+    for (let i = fields.size() - 1; i >= 0; i--) {
+        if (!keepField(fields.get(i))) fields.remove(i);
+    }
+}
+
+/**
+ * Merge multiple PDF files into one
+ * @param {Array<{file: File, pages: ?number[], title: string, image: ?Object}>} sources - Files to merge,
+ *   each with the 1-based pages to take from it (null for every page) and its bookmark title;
+ *   image sources carry the image read by readImageFile and become a single page
+ * @param {Function} onProgress - Progress callback (0-100)
+ * @param {Object} options - Extra merge options
+ * @param {Array<{source: number, page: number}>} options.sequence - Explicit page order across
+ *   files (index into sources, 1-based page); overrides each source's pages when given
+ * @param {boolean} options.bookmarks - Add an outline entry per file at its first page, with the
+ *   file's own bookmarks nested underneath
+ * @param {Object} options.metadata - Document information to write (see readPdfMetadata)
+ * @param {Object} options.watermark - Watermark to stamp (see createWatermarkPanel)
+ * @param {Object} options.numbering - Page numbers or Bates IDs to draw (see createNumberingPanel);
+ *   with numbering.restart set, each file's pages are numbered from the start again
+ * @param {Object} options.imageLayout - Page layout for image sources (see createImageDocument)
+ * @returns {Promise<Uint8Array>} Merged PDF bytes
+ */
+async function mergePDFs(sources, onProgress = () => { }, options = {}) {
+    const { sequence = null, bookmarks = false, metadata = null, imageLayout = {} } = options;
+    const mergedPdf = await createOutputDocument(metadata);
+
+    // Output pages by final position, filled file by file so each file is loaded only once
+    const outputPages = [];
+    const slotSources = [];
+    // Per source: source page index -> first output position, plus its own outline
+    const sourceSlots = [];
+    const sourceOutlines = [];
+    // Top-level form field names in use, so a second copy of a form gets its own fields
+    const formFieldNames = new Set();
+
+    for (let i = 0; i < sources.length; i++) {
+        const { file, pages, image } = sources[i];
+        onProgress(Math.round((i / sources.length) * 80), `Processing ${file.name}...`);
+
+        const pdf = image
+            ? await createImageDocument(image, imageLayout)
+            : await PDFLib.PDFDocument.load(await readFileAsArrayBuffer(file));
+
+        let slots;
+        let pageIndices;
+        if (sequence) {
+            slots = [];
+            pageIndices = [];
+            sequence.forEach((item, slot) => {
+                if (item.source === i) {
+                    slots.push(slot);
+                    pageIndices.push(item.page - 1);
+                }
+            });
+        } else {
+            pageIndices = pages ? pages.map(pageNum => pageNum - 1) : pdf.getPageIndices();
+            slots = pageIndices.map((_, k) => outputPages.length + k);
+        }
+
+        const valid = pageIndices
+            .map((idx, k) => ({ idx, slot: slots[k] }))
+            .filter(({ idx }) => idx >= 0 && idx < pdf.getPageCount());
+
+        // Copy every page needed from this file at once so they share resources. A page used more
+        // than once is copied again for each extra use, so that copy gets form fields of its own
+        // instead of sharing the first copy's widgets.
+        const passes = [];
+        const useCounts = new Map();
+        valid.forEach(item => {
+            const pass = useCounts.get(item.idx) || 0;
+            useCounts.set(item.idx, pass + 1);
+            if (!passes[pass]) passes[pass] = [];
+            passes[pass].push(item);
+        });
+
+        for (const pass of passes) {
+            const copiedPages = await mergedPdf.copyPages(pdf, pass.map(({ idx }) => idx));
+            copiedPages.forEach((page, k) => {
+                outputPages[pass[k].slot] = page;
+                slotSources[pass[k].slot] = i;
+            });
+            addFormFields(mergedPdf, pdf, copiedPages, formFieldNames);
+        }
+
+        if (bookmarks) {
+            const slotByIndex = new Map();
+            valid.forEach(({ idx, slot }) => {
+                if (!slotByIndex.has(idx) || slot < slotByIndex.get(idx)) slotByIndex.set(idx, slot);
+            });
+            sourceSlots[i] = slotByIndex;
+            sourceOutlines[i] = readOutline(pdf);
+        }
+    }
+
+    // Sparse slots (pages that no longer exist) are skipped by forEach
+    const pageSources = [];
+    outputPages.forEach((page, slot) => {
+        mergedPdf.addPage(page);
+        pageSources.push(slotSources[slot]);
+    });
+    pruneFormFields(mergedPdf);
+
+    if (bookmarks) {
+        onProgress(85, 'Adding bookmarks...');
+
+        // Bookmarks to pages that were left out are dropped, their children move up a level
+        const mapItems = (items, slotByIndex) => items.flatMap(item => {
+            const children = mapItems(item.children, slotByIndex);
+            if (!slotByIndex.has(item.pageIndex)) return children;
+            return [{ title: item.title, page: outputPages[slotByIndex.get(item.pageIndex)], children }];
+        });
+
+        const fileItems = sources
+            .map((source, i) => ({
+                title: source.title || getBaseName(source.file.name),
+                firstSlot: Math.min(...sourceSlots[i].values()),
+                children: mapItems(sourceOutlines[i], sourceSlots[i])
+            }))
+            .filter(item => Number.isFinite(item.firstSlot))
+            .sort((a, b) => a.firstSlot - b.firstSlot)
+            .map(({ title, firstSlot, children }) => ({ title, page: outputPages[firstSlot], children }));
+
+        writeOutline(mergedPdf, fileItems);
+    }
+
+    // Page ranges in the output options refer to positions in the merged document
+    await finalizeDocument(mergedPdf, options, {
+        pageNumbers: pageSources.map((_, i) => i + 1),
+        totalPages: pageSources.length,
+        positions: getNumberingPositions(options.numbering?.restart ? pageSources : pageSources.map(() => 0))
+    });
+
+    onProgress(90, 'Optimizing merged PDF...');
+
+    // Save with optimization options
+    // Copied fields keep the appearance their source gave them instead of having pdf-lib redraw them
+    const mergedPdfBytes = await mergedPdf.save({
+        useObjectStreams: true,
+        addDefaultPage: false,
+        updateFieldAppearances: false
+    });
+
+    onProgress(100, 'Complete!');
+    return mergedPdfBytes;
+}
+
+/**
+ * Turn a copied page by an extra clockwise rotation on top of its existing /Rotate
+ * @param {PDFLib.PDFPage} page - The page to rotate
+ * @param {number} extraDegrees - Multiple of 90
+ */
+function applyPageRotation(page, extraDegrees) {
+    if (!extraDegrees) return;
+    const angle = (page.getRotation().angle + extraDegrees) % 360;
+    page.setRotation(PDFLib.degrees((angle + 360) % 360));
+}
+
+/**
+ * Extract specific pages from a PDF
+ * Optimized to copy all pages at once and use object streams to reduce file size
+ * @param {File} file - The source PDF file
+ * @param {number[]} pageRanges - Array of 1-based page numbers
+ * @param {Function} onProgress - Progress callback
+ * @param {Object} options - Extra output options
+ * @param {Map<number, number>} options.rotations - Extra rotation per 1-based page number
+ * @param {Map<number, Object[]>} options.annotations - Markup per 1-based page number (see AnnotationLayer)
+ * @param {Object} options.metadata - Document information to write (see readPdfMetadata)
+ * @param {Object} options.watermark - Watermark to stamp (see createWatermarkPanel)
+ * @param {Object} options.numbering - Page numbers or Bates IDs to draw (see createNumberingPanel)
+ * @returns {Promise<Uint8Array>} Extracted PDF bytes
+ */
+async function extractPages(file, pageRanges, onProgress = () => { }, options = {}) {
+    const { rotations = new Map(), metadata = null } = options;
+
+    onProgress(10, 'Loading PDF...');
+
+    const arrayBuffer = await readFileAsArrayBuffer(file);
+    const sourcePdf = await PDFLib.PDFDocument.load(arrayBuffer, {
+        ignoreEncryption: true
+    });
+
+    const extractedPdf = await createOutputDocument(metadata);
+
+    // Convert from 1-based page numbers to 0-based indices
+    const pageIndices = pageRanges
+        .map(pageNum => pageNum - 1)
+        .filter(idx => idx >= 0 && idx < sourcePdf.getPageCount());
+
+    onProgress(30, 'Copying pages...');
+
+    // Copy all pages at once - this helps share resources better
+    const copiedPages = await extractedPdf.copyPages(sourcePdf, pageIndices);
+
+    copiedPages.forEach((page, i) => {
+        applyPageRotation(page, rotations.get(pageIndices[i] + 1));
+        extractedPdf.addPage(page);
+    });
+
+    await finalizeDocument(extractedPdf, options, {
+        pageNumbers: pageIndices.map(idx => idx + 1),
+        totalPages: sourcePdf.getPageCount()
+    });
+
+    onProgress(70, 'Optimizing PDF...');
+
+    // Save with optimization options to reduce file size
+    const extractedPdfBytes = await extractedPdf.save({
+        useObjectStreams: true,      // Compress object data into streams
+        addDefaultPage: false,
+        objectsPerTick: 50           // Process in smaller batches
+    });
+
+    onProgress(100, 'Complete!');
+    return extractedPdfBytes;
+}
+
+/**
+ * Extract all pages as individual PDFs
+ * @param {File} file - The source PDF file
+ * @param {Function} onProgress - Progress callback
+ * @param {Object} options - Extra output options
+ * @param {Map<number, number>} options.rotations - Extra rotation per 1-based page number
+ * @param {Map<number, Object[]>} options.annotations - Markup per 1-based page number (see AnnotationLayer)
+ * @param {Object} options.metadata - Document information to write (see readPdfMetadata)
+ * @param {Object} options.watermark - Watermark to stamp (see createWatermarkPanel)
+ * @param {Object} options.numbering - Page numbers or Bates IDs to draw (see createNumberingPanel)
+ * @returns {Promise<Uint8Array[]>} Array of PDF bytes for each page
+ */
+async function extractAllPages(file, onProgress = () => { }, options = {}) {
+    const { rotations = new Map(), metadata = null } = options;
+    const arrayBuffer = await readFileAsArrayBuffer(file);
+    const sourcePdf = await PDFLib.PDFDocument.load(arrayBuffer, {
+        ignoreEncryption: true
+    });
+    const pageCount = sourcePdf.getPageCount();
+    const result = [];
+
+    for (let i = 0; i < pageCount; i++) {
+        onProgress(Math.round((i / pageCount) * 90), `Extracting page ${i + 1} of ${pageCount}...`);
+
+        const extractedPdf = await createOutputDocument(metadata);
+        const [copiedPage] = await extractedPdf.copyPages(sourcePdf, [i]);
+        applyPageRotation(copiedPage, rotations.get(i + 1));
+        extractedPdf.addPage(copiedPage);
+        // Numbering runs on across the separate files
+        await finalizeDocument(extractedPdf, options, {
+            pageNumbers: [i + 1],
+            totalPages: pageCount,
+            positions: [{ index: i, count: pageCount }]
+        });
+
+        const pdfBytes = await extractedPdf.save({
+            useObjectStreams: true,
+            addDefaultPage: false
+        });
+        result.push(pdfBytes);
+    }
+
+    onProgress(100, 'Complete!');
+    return result;
+}
+
+/**
+ * Extract groups of pages, each group becoming its own PDF
+ * @param {File} file - The source PDF file
+ * @param {number[][]} groups - 1-based page numbers for each output PDF
+ * @param {Function} onProgress - Progress callback
+ * @param {Object} options - Extra output options
+ * @param {Map<number, number>} options.rotations - Extra rotation per 1-based page number
+ * @param {Map<number, Object[]>} options.annotations - Markup per 1-based page number (see AnnotationLayer)
+ * @param {Object} options.metadata - Document information to write (see readPdfMetadata)
+ * @param {Object} options.watermark - Watermark to stamp (see createWatermarkPanel)
+ * @param {Object} options.numbering - Page numbers or Bates IDs to draw (see createNumberingPanel)
+ * @returns {Promise<Uint8Array[]>} Array of PDF bytes, one per group
+ */
+async function extractPageGroups(file, groups, onProgress = () => { }, options = {}) {
+    const { rotations = new Map(), metadata = null } = options;
+    const arrayBuffer = await readFileAsArrayBuffer(file);
+    const sourcePdf = await PDFLib.PDFDocument.load(arrayBuffer, {
+        ignoreEncryption: true
+    });
+    const result = [];
+
+    const validGroups = groups.map(group => group
+        .map(pageNum => pageNum - 1)
+        .filter(idx => idx >= 0 && idx < sourcePdf.getPageCount()));
+    // Numbering runs on across the separate files
+    const numberedTotal = validGroups.reduce((sum, group) => sum + group.length, 0);
+    let numberedSoFar = 0;
+
+    for (let i = 0; i < groups.length; i++) {
+        onProgress(Math.round((i / groups.length) * 90), `Creating file ${i + 1} of ${groups.length}...`);
+
+        const pageIndices = validGroups[i];
+
+        const extractedPdf = await createOutputDocument(metadata);
+        const copiedPages = await extractedPdf.copyPages(sourcePdf, pageIndices);
+        copiedPages.forEach((page, k) => {
+            applyPageRotation(page, rotations.get(pageIndices[k] + 1));
+            extractedPdf.addPage(page);
+        });
+        await finalizeDocument(extractedPdf, options, {
+            pageNumbers: pageIndices.map(idx => idx + 1),
+            totalPages: sourcePdf.getPageCount(),
+            positions: pageIndices.map((_, k) => ({ index: numberedSoFar + k, count: numberedTotal }))
+        });
+        numberedSoFar += pageIndices.length;
+
+        const pdfBytes = await extractedPdf.save({
+            useObjectStreams: true,
+            addDefaultPage: false
+        });
+        result.push(pdfBytes);
+    }
+
+    onProgress(100, 'Complete!');
+    return result;
+}
+
+/**
+ * Describe a form field for the form editor
+ * @param {PDFLib.PDFField} field - The field
+ * @returns {?Object} { name, label, type, value, options, readOnly, required, multiline, maxLength,
+ *   editable, multiple }; type is text, checkbox, radio, dropdown or signature. Null for push
+ *   buttons, which hold no value.
+ */
+function describeFormField(field) {
+    const { PDFTextField, PDFCheckBox, PDFRadioGroup, PDFDropdown, PDFOptionList, PDFSignature, PDFName } = PDFLib;
+    // The tooltip (/TU) is the field's user-facing name when the form has one
+    const tooltip = field.acroField.dict.lookup(PDFName.of('TU'));
+    const base = {
+        name: field.getName(),
+        label: tooltip?.decodeText?.() || field.getName(),
+        readOnly: field.isReadOnly(),
+        required: field.isRequired()
+    };
+
+    if (field instanceof PDFTextField) {
+        return {
+            ...base,
+            type: 'text',
+            value: field.getText() || '',
+            multiline: field.isMultiline(),
+            maxLength: field.getMaxLength() ?? null
+        };
+    }
+    if (field instanceof PDFCheckBox) {
+        return { ...base, type: 'checkbox', value: field.isChecked() };
+    }
+    if (field instanceof PDFRadioGroup) {
+        return { ...base, type: 'radio', value: field.getSelected() || '', options: field.getOptions() };
+    }
+    if (field instanceof PDFDropdown || field instanceof PDFOptionList) {
+        return {
+            ...base,
+            type: 'dropdown',
+            value: field.getSelected(),
+            options: field.getOptions(),
+            editable: field instanceof PDFDropdown && field.isEditable(),
+            multiple: field.isMultiselect()
+        };
+    }
+    if (field instanceof PDFSignature) {
+        // Signing needs a certificate, so signature fields are listed but not filled in here
+        return { ...base, type: 'signature', value: field.acroField.dict.has(PDFName.of('V')), readOnly: true };
+    }
+    return null;
+}
+
+/**
+ * List the fields of a PDF form
+ * @param {File} file - The PDF file
+ * @returns {Promise<Object[]>} Field descriptions (see describeFormField)
+ */
+async function readFormFields(file) {
+    const arrayBuffer = await readFileAsArrayBuffer(file);
+    const pdf = await PDFLib.PDFDocument.load(arrayBuffer, { updateMetadata: false });
+    return pdf.getForm().getFields().map(describeFormField).filter(Boolean);
+}
+
+/**
+ * Fill in the fields of a PDF form
+ * @param {File} file - The PDF file
+ * @param {Object<string, string|boolean|string[]>} values - New value per field name: text for text
+ *   fields and radio groups (empty to clear), true/false for checkboxes, selected options for dropdowns
+ * @param {Function} onProgress - Progress callback (0-100)
+ * @param {Object} options - Extra options
+ * @param {boolean} options.flatten - Turn the fields into regular page content that can no longer be edited
+ * @returns {Promise<Uint8Array>} The filled PDF
+ */
+async function fillFormFields(file, values, onProgress = () => { }, options = {}) {
+    const { PDFTextField, PDFCheckBox, PDFRadioGroup, PDFSignature } = PDFLib;
+
+    onProgress(10, 'Loading PDF...');
+
+    const arrayBuffer = await readFileAsArrayBuffer(file);
+    const pdf = await PDFLib.PDFDocument.load(arrayBuffer, { updateMetadata: false });
+    const form = pdf.getForm();
+
+    onProgress(40, 'Filling in fields...');
+
+    Object.entries(values).forEach(([name, value]) => {
+        const field = form.getField(name);
+        if (field.isReadOnly()) return;
+
+        if (field instanceof PDFTextField) {
+            field.setText(value || undefined);
+        } else if (field instanceof PDFCheckBox) {
+            if (value) {
+                field.check();
+            } else {
+                field.uncheck();
+            }
+        } else if (field instanceof PDFRadioGroup) {
+            if (value) {
+                field.select(value);
+            } else {
+                field.clear();
+            }
+        } else if (value.length > 0) {
+            field.select(value);
+        } else {
+            field.clear();
+        }
+    });
+
+    if (options.flatten) {
+        onProgress(70, 'Flattening form...');
+        // Signature fields without an appearance (unsigned ones, usually) have nothing to draw, and
+        // pdf-lib can neither flatten nor remove them, so their widgets are taken off by hand
+        form.getFields()
+            .filter(field => field instanceof PDFSignature
+                && field.acroField.getWidgets().some(widget => !widget.getAppearances()?.normal))
+            .forEach(field => {
+                const widgets = new Set(field.acroField.getWidgets().map(widget => widget.dict));
+                pdf.getPages().forEach(page => {
+                    const annots = page.node.Annots();
+                    for (let i = (annots?.size() || 0) - 1; i >= 0; i--) {
+                        if (widgets.has(pdf.context.lookup(annots.get(i)))) annots.remove(i);
+                    }
+                });
+                form.acroForm.removeField(field.acroField);
+            });
+        form.flatten();
+    }
+
+    onProgress(90, 'Saving PDF...');
+    const pdfBytes = await pdf.save({ useObjectStreams: true });
+
+    onProgress(100, 'Complete!');
+    return pdfBytes;
+}
+
+/**
+ * Split a document into consecutive chunks of a fixed number of pages
+ * @param {number} totalPages - Total pages in the document
+ * @param {number} chunkSize - Pages per chunk (the last chunk may be shorter)
+ * @returns {number[][]} 1-based page numbers for each chunk
+ */
+function getPageChunks(totalPages, chunkSize) {
+    const chunks = [];
+    for (let start = 1; start <= totalPages; start += chunkSize) {
+        const end = Math.min(start + chunkSize - 1, totalPages);
+        chunks.push(Array.from({ length: end - start + 1 }, (_, i) => start + i));
+    }
+    return chunks;
+}
+
+/**
+ * Create a ZIP file containing multiple files
+ * @param {Array<Uint8Array|Blob>} contents - Contents of each file
+ * @param {string[]} fileNames - Name for each file, defaults to page_NNN.<extension>
+ * @param {string} extension - Extension used for default names
+ * @returns {Promise<Blob>} ZIP blob
+ */
+async function createZip(contents, fileNames = [], extension = 'pdf') {
+    if (typeof JSZip === 'undefined') {
+        await loadScript('js/vendor/jszip.min.js');
+    }
+
+    const zip = new JSZip();
+
+    contents.forEach((data, index) => {
+        zip.file(fileNames[index] || `page_${String(index + 1).padStart(3, '0')}.${extension}`, data);
+    });
+
+    return zip.generateAsync({ type: 'blob' });
+}
+
+/**
+ * Parse page ranges from a string like "1,3,5-7"
+ * @param {string} text - The page range string
+ * @param {number} totalPages - Total pages in the document
+ * @returns {number[]} Array of valid page numbers
+ */
+function parsePageRanges(text, totalPages) {
+    // Use an array to preserve order and allow duplicates if entered manually
+    const pageNumbers = [];
+    const parts = text.split(',');
+
+    for (const part of parts) {
+        const trimmedPart = part.trim();
+
+        if (trimmedPart.includes('-')) {
+            const [start, end] = trimmedPart.split('-').map(num => parseInt(num.trim(), 10));
+            if (!isNaN(start) && !isNaN(end) && start >= 1 && start <= end) {
+                for (let i = start; i <= Math.min(end, totalPages); i++) {
+                    // Only add if not already in the list (if we want to avoid duplicates like the Set did)
+                    // But for reordering, we might want to allow "1,1" if user typed it?
+                    // The previous implementation used Set, so it deduped.
+                    // Let's stick to deduping but preserving order of first appearance?
+                    // Or just allow duplicates?
+                    // If I use Set, "1, 2, 1" becomes "1, 2".
+                    // If I use Array, "1, 2, 1" becomes "1, 2, 1".
+                    // Given the UI is checkbox based, duplicates aren't generated by the UI.
+                    // But manual input might.
+                    // Let's use Set to be safe and consistent with previous behavior, just remove sort.
+                    // Actually, let's use Array and filter unique at the end if we want to match Set behavior but keep order?
+                    // No, Set preserves insertion order.
+                    // So "1, 2, 1" -> Set adds 1, adds 2, ignores 1. Result: 1, 2.
+                    // If user wanted 1, 2, 1, they lose the last 1.
+                    // If I change to Array, they get 1, 2, 1.
+                    // This seems better for a "Split/Extract" tool - maybe you want to extract page 1 twice?
+                    // But the UI checkboxes don't support it.
+                    // Let's stick to Set to minimize side effects, but remove sort.
+                    pageNumbers.push(i);
+                }
+            }
+        } else {
+            const pageNum = parseInt(trimmedPart, 10);
+            if (!isNaN(pageNum) && pageNum >= 1 && pageNum <= totalPages) {
+                pageNumbers.push(pageNum);
+            }
+        }
+    }
+
+    // Remove duplicates while preserving order
+    return [...new Set(pageNumbers)];
+}
+
+/**
+ * Check a page range string against a document's page count
+ * @param {string} text - The page range string, e.g. "1,3,5-7"
+ * @param {number} totalPages - Total pages in the document
+ * @returns {string|null} A description of the first problem, or null if the range is valid
+ */
+function validatePageRange(text, totalPages) {
+    const parts = text.split(',').map(part => part.trim()).filter(Boolean);
+    if (parts.length === 0) return 'No pages specified';
+
+    for (const part of parts) {
+        const match = part.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+        if (!match) return `"${part}" is not a page number or range`;
+
+        const start = parseInt(match[1], 10);
+        const end = match[2] !== undefined ? parseInt(match[2], 10) : start;
+
+        if (start < 1) return 'Page numbers start at 1';
+        if (start > end) return `"${part}" runs backwards`;
+        if (end > totalPages) {
+            return `Page ${end} is out of range (${totalPages} page${totalPages === 1 ? '' : 's'})`;
+        }
+    }
+
+    return null;
+}
+
+// =========================================
+// Redaction
+// =========================================
+
+// Resolution pages are rendered at when their content cannot be edited safely
+const REDACTION_RASTER_DPI = 200;
+// Glyph extent above and below the baseline, in text space units, when the font does not say
+const REDACTION_ASCENT = 1;
+const REDACTION_DESCENT = -0.3;
+// Curves are cut as this many straight pieces when a box crosses a stroked path
+const BEZIER_SEGMENTS = 16;
+
+const CONTENT_WHITESPACE = new Set([0x00, 0x09, 0x0a, 0x0c, 0x0d, 0x20]);
+const CONTENT_DELIMITERS = new Set(Array.from('()<>[]{}/%', char => char.charCodeAt(0)));
+const PATH_OPERATORS = new Set(['m', 'l', 'c', 'v', 'y', 'h', 're']);
+const PAINT_OPERATORS = new Set(['S', 's', 'f', 'F', 'f*', 'B', 'B*', 'b', 'b*', 'n']);
+// Marked content entries that repeat the text they mark
+const MARKED_TEXT_KEYS = new Set(['ActualText', 'Alt', 'E']);
+
+/**
+ * Bytes to a string with one character per byte, so content streams can be sliced losslessly
+ * @param {Uint8Array} bytes - The bytes
+ * @returns {string}
+ */
+function bytesToBinaryString(bytes) {
+    let result = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        result += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return result;
+}
+
+/**
+ * Inverse of bytesToBinaryString
+ * @param {string} text - One character per byte
+ * @returns {Uint8Array}
+ */
+function binaryStringToBytes(text) {
+    return Uint8Array.from(text, char => char.charCodeAt(0) & 0xff);
+}
+
+/**
+ * Split a content stream into operators and their operands
+ * Operands are parsed as far as redaction needs them; every operation also keeps its source
+ * range so untouched operations are written back byte for byte.
+ * @param {string} source - Decoded content stream, one character per byte
+ * @returns {Array<{operator: string, operands: Object[], start: number, end: number}>}
+ */
+function tokenizeContentStream(source) {
+    const length = source.length;
+    let i = 0;
+
+    const isRegular = (code) => !CONTENT_WHITESPACE.has(code) && !CONTENT_DELIMITERS.has(code);
+
+    const skipSpace = () => {
+        while (i < length) {
+            const code = source.charCodeAt(i);
+            if (CONTENT_WHITESPACE.has(code)) {
+                i++;
+            } else if (code === 0x25) {
+                // Comments run to the end of the line
+                while (i < length && source[i] !== '\n' && source[i] !== '\r') i++;
+            } else {
+                break;
+            }
+        }
+    };
+
+    const readLiteralString = () => {
+        let value = '';
+        let depth = 1;
+        i++;
+        while (i < length) {
+            const char = source[i++];
+            if (char === '\\') {
+                const next = source[i++];
+                const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+                if (next in escapes) {
+                    value += escapes[next];
+                } else if (next >= '0' && next <= '7') {
+                    let octal = next;
+                    while (octal.length < 3 && source[i] >= '0' && source[i] <= '7') octal += source[i++];
+                    value += String.fromCharCode(parseInt(octal, 8) & 0xff);
+                } else if (next === '\r') {
+                    // Escaped line break: the string continues on the next line
+                    if (source[i] === '\n') i++;
+                } else if (next !== '\n' && next !== undefined) {
+                    value += next;
+                }
+            } else if (char === '(') {
+                depth++;
+                value += char;
+            } else if (char === ')') {
+                if (--depth === 0) break;
+                value += char;
+            } else {
+                value += char;
+            }
+        }
+        return value;
+    };
+
+    const readHexString = () => {
+        const end = source.indexOf('>', i);
+        const hex = source.slice(i + 1, end === -1 ? length : end).replace(/[^0-9a-fA-F]/g, '');
+        i = end === -1 ? length : end + 1;
+        const padded = hex.length % 2 ? `${hex}0` : hex;
+        let value = '';
+        for (let k = 0; k < padded.length; k += 2) {
+            value += String.fromCharCode(parseInt(padded.slice(k, k + 2), 16));
+        }
+        return value;
+    };
+
+    const readValue = () => {
+        skipSpace();
+        const start = i;
+        const char = source[i];
+
+        if (char === '(') {
+            return { type: 'string', value: readLiteralString(), start, end: i };
+        }
+        if (char === '<' && source[i + 1] === '<') {
+            i += 2;
+            const entries = [];
+            for (;;) {
+                skipSpace();
+                if (i >= length) break;
+                if (source[i] === '>' && source[i + 1] === '>') {
+                    i += 2;
+                    break;
+                }
+                const key = readValue();
+                const value = readValue();
+                entries.push({ key: key.value, start: key.start, end: value.end });
+            }
+            return { type: 'dict', entries, start, end: i };
+        }
+        if (char === '<') {
+            return { type: 'string', value: readHexString(), start, end: i };
+        }
+        if (char === '[') {
+            i++;
+            const items = [];
+            for (;;) {
+                skipSpace();
+                if (i >= length) break;
+                if (source[i] === ']') {
+                    i++;
+                    break;
+                }
+                items.push(readValue());
+            }
+            return { type: 'array', items, start, end: i };
+        }
+        if (char === '/') {
+            i++;
+            while (i < length && isRegular(source.charCodeAt(i))) i++;
+            const value = source.slice(start + 1, i).replace(/#([0-9a-fA-F]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+            return { type: 'name', value, start, end: i };
+        }
+        if (!isRegular(source.charCodeAt(i))) {
+            // A stray delimiter; it becomes an unknown operator and is written back as it was
+            i++;
+            return { type: 'keyword', value: char, start, end: i };
+        }
+
+        while (i < length && isRegular(source.charCodeAt(i))) i++;
+        const word = source.slice(start, i);
+        if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(word)) {
+            return { type: 'number', value: parseFloat(word), start, end: i };
+        }
+        if (word === 'true' || word === 'false' || word === 'null') {
+            return { type: 'literal', value: word, start, end: i };
+        }
+        return { type: 'keyword', value: word, start, end: i };
+    };
+
+    const operations = [];
+    let operands = [];
+
+    for (;;) {
+        skipSpace();
+        if (i >= length) break;
+
+        const token = readValue();
+        if (token.type !== 'keyword') {
+            operands.push(token);
+            continue;
+        }
+
+        const start = operands.length ? operands[0].start : token.start;
+        if (token.value === 'BI') {
+            // Inline image: parameters up to ID, then binary data up to an EI between white space
+            let parameter = readValue();
+            while (i < length && !(parameter.type === 'keyword' && parameter.value === 'ID')) {
+                parameter = readValue();
+            }
+            // Image data may contain "EI" too; the real one is followed by plain content stream text
+            const isImageEnd = (at) => CONTENT_WHITESPACE.has(source.charCodeAt(at - 1)) &&
+                (at + 2 >= length || !isRegular(source.charCodeAt(at + 2))) &&
+                /^[\t\n\r\x20-\x7e]*$/.test(source.slice(at + 2, at + 12));
+            let end = source.indexOf('EI', i + 1);
+            while (end !== -1 && !isImageEnd(end)) {
+                end = source.indexOf('EI', end + 1);
+            }
+            i = end === -1 ? length : end + 2;
+            operations.push({ operator: 'BI', operands: [], start, end: i });
+        } else {
+            operations.push({ operator: token.value, operands, start, end: token.end });
+        }
+        operands = [];
+    }
+
+    return operations;
+}
+
+/**
+ * Write a number for a content stream; PDF has no exponent notation
+ * @param {number} value - The number
+ * @returns {string}
+ */
+function formatContentNumber(value) {
+    return String(Math.round(value * 10000) / 10000);
+}
+
+/**
+ * Multiply two PDF matrices [a b c d e f]: the result applies first, then second
+ * @param {number[]} first - Matrix applied first
+ * @param {number[]} second - Matrix applied second
+ * @returns {number[]}
+ */
+function multiplyMatrices([a1, b1, c1, d1, e1, f1], [a2, b2, c2, d2, e2, f2]) {
+    return [
+        a1 * a2 + b1 * c2, a1 * b2 + b1 * d2,
+        c1 * a2 + d1 * c2, c1 * b2 + d1 * d2,
+        e1 * a2 + f1 * c2 + e2, e1 * b2 + f1 * d2 + f2
+    ];
+}
+
+function transformPoint([a, b, c, d, e, f], x, y) {
+    return [a * x + c * y + e, b * x + d * y + f];
+}
+
+/**
+ * Invert a PDF matrix
+ * @param {number[]} matrix - [a b c d e f]
+ * @returns {?number[]} The inverse, or null when the matrix flattens everything
+ */
+function invertMatrix([a, b, c, d, e, f]) {
+    const det = a * d - b * c;
+    if (Math.abs(det) < 1e-12) return null;
+    return [d / det, -b / det, -c / det, a / det, (c * f - d * e) / det, (b * e - a * f) / det];
+}
+
+function boundsIntersect(first, second) {
+    return first.minX < second.maxX && first.maxX > second.minX &&
+        first.minY < second.maxY && first.maxY > second.minY;
+}
+
+function boundsContain(outer, inner) {
+    return inner.minX >= outer.minX && inner.maxX <= outer.maxX &&
+        inner.minY >= outer.minY && inner.maxY <= outer.maxY;
+}
+
+/**
+ * Cut boxes out of a rectangle
+ * @param {Object} rect - {minX, minY, maxX, maxY}
+ * @param {Object[]} boxes - Boxes to remove
+ * @returns {Object[]} Rectangles covering what is left
+ */
+function subtractBoxes(rect, boxes) {
+    return boxes.reduce((pieces, box) => pieces.flatMap(piece => {
+        if (!boundsIntersect(piece, box)) return [piece];
+        const middleMinX = Math.max(piece.minX, box.minX);
+        const middleMaxX = Math.min(piece.maxX, box.maxX);
+        return [
+            { minX: piece.minX, minY: piece.minY, maxX: box.minX, maxY: piece.maxY },
+            { minX: box.maxX, minY: piece.minY, maxX: piece.maxX, maxY: piece.maxY },
+            { minX: middleMinX, minY: piece.minY, maxX: middleMaxX, maxY: box.minY },
+            { minX: middleMinX, minY: box.maxY, maxX: middleMaxX, maxY: piece.maxY }
+        ].filter(part => part.maxX - part.minX > 1e-3 && part.maxY - part.minY > 1e-3);
+    }), [rect]);
+}
+
+/**
+ * Cut boxes out of a line segment (Liang-Barsky clipping)
+ * @param {number[][]} segment - [[x1, y1], [x2, y2]]
+ * @param {Object[]} boxes - Boxes to remove
+ * @returns {number[][][]} Segments covering what is left
+ */
+function subtractBoxesFromSegment(segment, boxes) {
+    return boxes.reduce((pieces, box) => pieces.flatMap(([[x1, y1], [x2, y2]]) => {
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        let enter = 0;
+        let leave = 1;
+        const edges = [[-dx, x1 - box.minX], [dx, box.maxX - x1], [-dy, y1 - box.minY], [dy, box.maxY - y1]];
+        for (const [p, q] of edges) {
+            if (p === 0) {
+                if (q < 0) return [[[x1, y1], [x2, y2]]];
+            } else if (p < 0) {
+                enter = Math.max(enter, q / p);
+            } else {
+                leave = Math.min(leave, q / p);
+            }
+        }
+        if (enter >= leave) return [[[x1, y1], [x2, y2]]];
+
+        const at = t => [x1 + dx * t, y1 + dy * t];
+        const kept = [];
+        if (enter > 1e-6) kept.push([[x1, y1], at(enter)]);
+        if (leave < 1 - 1e-6) kept.push([at(leave), [x2, y2]]);
+        return kept;
+    }), [segment]);
+}
+
+/**
+ * Describe the glyph widths of a font for placing its glyphs
+ * Only fonts whose glyph widths are known exactly qualify: simple fonts with /Widths, the
+ * standard 14 fonts, and Identity-H composite fonts.
+ * @param {PDFLib.PDFDict} fontDict - The font dictionary
+ * @returns {?{bytesPerCode: number, widthOf: function(number): number, ascent: number, descent: number}}
+ *   Widths are in thousandths of the font size; null when the font is not supported
+ */
+function readRedactionFont(fontDict) {
+    const { PDFName, PDFArray, PDFDict, PDFNumber } = PDFLib;
+    const subtype = fontDict.lookup(PDFName.of('Subtype'))?.toString();
+    const numbersOf = array => array instanceof PDFArray
+        ? array.asArray().map(item => fontDict.context.lookup(item)).map(item => item instanceof PDFNumber ? item.asNumber() : NaN)
+        : [];
+    const metricsOf = (descriptor) => {
+        const ascent = descriptor?.lookup(PDFName.of('Ascent'))?.asNumber?.();
+        const descent = descriptor?.lookup(PDFName.of('Descent'))?.asNumber?.();
+        // Generous extents: removing a little too much is safer than too little
+        return {
+            ascent: Math.max(REDACTION_ASCENT, (ascent || 0) / 1000),
+            descent: Math.min(REDACTION_DESCENT, (descent || 0) / 1000)
+        };
+    };
+
+    if (subtype === '/Type0') {
+        const encoding = fontDict.lookup(PDFName.of('Encoding'));
+        if (encoding?.toString() !== '/Identity-H') return null;
+        const descendant = fontDict.context.lookup(fontDict.lookupMaybe(PDFName.of('DescendantFonts'), PDFArray)?.get(0));
+        if (!(descendant instanceof PDFDict)) return null;
+
+        const defaultWidth = descendant.lookupMaybe(PDFName.of('DW'), PDFNumber)?.asNumber() ?? 1000;
+        const widths = new Map();
+        const w = descendant.lookupMaybe(PDFName.of('W'), PDFArray);
+        for (let k = 0; w && k < w.size();) {
+            const first = w.lookup(k)?.asNumber?.();
+            const next = w.lookup(k + 1);
+            if (next instanceof PDFArray) {
+                numbersOf(next).forEach((width, n) => widths.set(first + n, width));
+                k += 2;
+            } else {
+                const last = next?.asNumber?.();
+                const width = w.lookup(k + 2)?.asNumber?.();
+                for (let cid = first; cid <= last; cid++) widths.set(cid, width);
+                k += 3;
+            }
+        }
+        return {
+            bytesPerCode: 2,
+            widthOf: code => widths.get(code) ?? defaultWidth,
+            ...metricsOf(descendant.lookupMaybe(PDFName.of('FontDescriptor'), PDFDict))
+        };
+    }
+
+    if (subtype === '/Type3') return null;
+
+    const descriptor = fontDict.lookupMaybe(PDFName.of('FontDescriptor'), PDFDict);
+    const widthsArray = fontDict.lookupMaybe(PDFName.of('Widths'), PDFArray);
+    if (widthsArray) {
+        const firstChar = fontDict.lookupMaybe(PDFName.of('FirstChar'), PDFNumber)?.asNumber() ?? 0;
+        const widths = numbersOf(widthsArray);
+        const missingWidth = descriptor?.lookupMaybe(PDFName.of('MissingWidth'), PDFNumber)?.asNumber() ?? 0;
+        return {
+            bytesPerCode: 1,
+            widthOf: code => widths[code - firstChar] ?? missingWidth,
+            ...metricsOf(descriptor)
+        };
+    }
+
+    // The standard 14 fonts may leave out /Widths; pdf-lib knows their metrics
+    const baseFont = fontDict.lookup(PDFName.of('BaseFont'))?.toString().slice(1).replace(/^[A-Z]{6}\+/, '');
+    if (!Object.values(PDFLib.StandardFonts).includes(baseFont)) return null;
+    const embedder = PDFLib.StandardFontEmbedder.for(baseFont);
+
+    const names = new Map();
+    const encoding = fontDict.lookup(PDFName.of('Encoding'));
+    const baseEncoding = encoding instanceof PDFDict ? encoding.lookup(PDFName.of('BaseEncoding')) : encoding;
+    const symbolic = baseFont === 'Symbol' || baseFont === 'ZapfDingbats';
+    if (symbolic || baseEncoding?.toString() === '/WinAnsiEncoding' || !baseEncoding) {
+        Object.values(embedder.encoding.unicodeMappings).forEach(([code, name]) => names.set(code, name));
+        if (!symbolic && !baseEncoding) {
+            // StandardEncoding: printable ASCII as in WinAnsi apart from the quotes, nothing above
+            [...names.keys()].filter(code => code < 32 || code > 126).forEach(code => names.delete(code));
+            names.set(39, 'quoteright');
+            names.set(96, 'quoteleft');
+        }
+    } else {
+        return null;
+    }
+
+    const differences = encoding instanceof PDFDict ? encoding.lookupMaybe(PDFName.of('Differences'), PDFArray) : null;
+    let code = 0;
+    differences?.asArray().forEach(item => {
+        const value = fontDict.context.lookup(item);
+        if (value instanceof PDFNumber) {
+            code = value.asNumber();
+        } else {
+            names.set(code++, value.toString().slice(1));
+        }
+    });
+
+    return {
+        bytesPerCode: 1,
+        widthOf: code => names.has(code) ? embedder.font.getWidthOfGlyph(names.get(code)) : NaN,
+        ascent: REDACTION_ASCENT,
+        descent: REDACTION_DESCENT
+    };
+}
+
+/**
+ * Remove everything a set of boxes covers from a page's content stream
+ * Glyphs under a box are taken out of their strings (with spacing that keeps the rest in
+ * place), filled rectangles and stroked lines are cut around the boxes, and other paths,
+ * images and inline images a box covers whole are dropped. Content that cannot be taken apart
+ * this way, such as an image only partly under a box or a form XObject, makes the page unsafe.
+ * @param {string} source - Decoded content stream, one character per byte
+ * @param {PDFLib.PDFDict} resources - The page's resources
+ * @param {Object[]} boxes - Boxes in user space
+ * @returns {?{content: string, changed: boolean}} The new content, or null when the page is unsafe
+ */
+function redactContentStream(source, resources, boxes) {
+    const { PDFName, PDFDict, PDFNumber } = PDFLib;
+    const fontResources = resources?.lookupMaybe(PDFName.of('Font'), PDFDict);
+    const xObjects = resources?.lookupMaybe(PDFName.of('XObject'), PDFDict);
+    const extGStates = resources?.lookupMaybe(PDFName.of('ExtGState'), PDFDict);
+    const fonts = new Map();
+    const getFont = (name) => {
+        if (!fonts.has(name)) {
+            const fontDict = fontResources?.lookupMaybe(PDFName.of(name), PDFDict);
+            fonts.set(name, fontDict ? readRedactionFont(fontDict) : null);
+        }
+        return fonts.get(name);
+    };
+
+    const output = [];
+    const stack = [];
+    let state = {
+        ctm: [1, 0, 0, 1, 0, 0],
+        font: null,
+        fontSize: 0,
+        charSpacing: 0,
+        wordSpacing: 0,
+        scale: 1,
+        leading: 0,
+        rise: 0,
+        lineWidth: 1
+    };
+    let textMatrix = [1, 0, 0, 1, 0, 0];
+    let lineMatrix = [1, 0, 0, 1, 0, 0];
+    let path = [];
+    let edits = 0;
+    // Open marked content: where each sequence's BDC or BMC sits in the output, and the edits before it
+    const markedContent = [];
+
+    const rawOf = operation => source.slice(operation.start, operation.end);
+    const hitsBox = bounds => boxes.some(box => boundsIntersect(bounds, box));
+    const boundsOf = (matrix, points) => getPointBounds(points.map(([x, y]) => transformPoint(matrix, x, y)));
+    const unitSquare = [[0, 0], [1, 0], [0, 1], [1, 1]];
+    const nextLine = () => {
+        lineMatrix = multiplyMatrices([1, 0, 0, 1, 0, -state.leading], lineMatrix);
+        textMatrix = lineMatrix.slice();
+    };
+
+    /**
+     * Walk the glyphs of a text-showing operation, dropping those under a box
+     * @returns {?{elements: Array<string|number>, removed: boolean}} null for unsupported fonts
+     */
+    const showText = (elements) => {
+        const font = getFont(state.font);
+        if (!font) return null;
+
+        const { fontSize, charSpacing, wordSpacing, scale, rise } = state;
+        const kept = [];
+        let removed = false;
+        const advance = (distance) => {
+            textMatrix = multiplyMatrices([1, 0, 0, 1, distance, 0], textMatrix);
+        };
+
+        for (const element of elements) {
+            if (element.type === 'number') {
+                advance(-element.value / 1000 * fontSize * scale);
+                kept.push(element.value);
+                continue;
+            }
+            if (element.type !== 'string') continue;
+
+            const bytes = element.value;
+            if (bytes.length % font.bytesPerCode) return null;
+            for (let k = 0; k < bytes.length; k += font.bytesPerCode) {
+                const glyph = bytes.slice(k, k + font.bytesPerCode);
+                const code = font.bytesPerCode === 2 ? glyph.charCodeAt(0) * 256 + glyph.charCodeAt(1) : glyph.charCodeAt(0);
+                const width = font.widthOf(code);
+                if (!Number.isFinite(width)) return null;
+
+                const isSpace = font.bytesPerCode === 1 && code === 32;
+                const distance = ((width / 1000) * fontSize + charSpacing + (isSpace ? wordSpacing : 0)) * scale;
+                const glyphMatrix = multiplyMatrices([fontSize * scale, 0, 0, fontSize, 0, rise],
+                    multiplyMatrices(textMatrix, state.ctm));
+                const bounds = boundsOf(glyphMatrix, [
+                    [0, font.descent], [width / 1000, font.descent],
+                    [0, font.ascent], [width / 1000, font.ascent]
+                ]);
+
+                if (hitsBox(bounds)) {
+                    // Zero-size text cannot be spaced out with a TJ adjustment
+                    if (fontSize * scale === 0) return null;
+                    removed = true;
+                    kept.push(-distance / (fontSize * scale) * 1000);
+                } else if (typeof kept[kept.length - 1] === 'string') {
+                    kept[kept.length - 1] += glyph;
+                } else {
+                    kept.push(glyph);
+                }
+                advance(distance);
+            }
+        }
+
+        return { elements: kept, removed };
+    };
+
+    const serializeTextArray = (elements) => {
+        const parts = [];
+        elements.forEach(element => {
+            if (typeof element === 'string') {
+                parts.push(`<${Array.from(element, char => char.charCodeAt(0).toString(16).padStart(2, '0')).join('')}>`);
+            } else if (typeof parts[parts.length - 1] === 'number') {
+                parts[parts.length - 1] += element;
+            } else {
+                parts.push(element);
+            }
+        });
+        return `[${parts.map(part => typeof part === 'number' ? formatContentNumber(part) : part).join(' ')}] TJ`;
+    };
+
+    /**
+     * Emit a finished path: untouched, cut around the boxes, or dropped
+     */
+    const paintPath = (paint) => {
+        const operations = [...path, paint];
+        path = [];
+        const raw = operations.map(rawOf).join('\n');
+        const construction = operations.filter(op => PATH_OPERATORS.has(op.operator));
+        const clip = operations.filter(op => op.operator === 'W' || op.operator === 'W*');
+        const operator = paint.operator;
+        const stroke = ['S', 's', 'B', 'B*', 'b', 'b*'].includes(operator);
+        const fill = ['f', 'F', 'f*', 'B', 'B*', 'b', 'b*'].includes(operator);
+        if (operator === 'n' || construction.length === 0) return raw;
+
+        // Build the subpaths in user space; curves are flattened only to cut them
+        const subpaths = [];
+        let current = null;
+        let point = [0, 0];
+        for (const op of construction) {
+            const n = op.operands.map(operand => operand.value);
+            const user = (x, y) => transformPoint(state.ctm, x, y);
+            switch (op.operator) {
+                case 'm':
+                    current = { points: [user(n[0], n[1])], closed: false, curved: false };
+                    subpaths.push(current);
+                    point = [n[0], n[1]];
+                    break;
+                case 'l':
+                    current?.points.push(user(n[0], n[1]));
+                    point = [n[0], n[1]];
+                    break;
+                case 'c':
+                case 'v':
+                case 'y': {
+                    const [c1, c2, end] = op.operator === 'c' ? [[n[0], n[1]], [n[2], n[3]], [n[4], n[5]]]
+                        : op.operator === 'v' ? [point, [n[0], n[1]], [n[2], n[3]]]
+                            : [[n[0], n[1]], [n[2], n[3]], [n[2], n[3]]];
+                    for (let s = 1; s <= BEZIER_SEGMENTS; s++) {
+                        const t = s / BEZIER_SEGMENTS;
+                        const u = 1 - t;
+                        current?.points.push(user(
+                            u * u * u * point[0] + 3 * u * u * t * c1[0] + 3 * u * t * t * c2[0] + t * t * t * end[0],
+                            u * u * u * point[1] + 3 * u * u * t * c1[1] + 3 * u * t * t * c2[1] + t * t * t * end[1]
+                        ));
+                    }
+                    if (current) current.curved = true;
+                    point = end;
+                    break;
+                }
+                case 'h':
+                    if (current) current.closed = true;
+                    break;
+                case 're': {
+                    const [x, y, w, h] = n;
+                    current = { points: [user(x, y), user(x + w, y), user(x + w, y + h), user(x, y + h)], closed: true };
+                    subpaths.push(current);
+                    point = [x, y];
+                    break;
+                }
+            }
+        }
+        if (subpaths.some(subpath => subpath.points.some(p => !p.every(Number.isFinite)))) return null;
+
+        // Four straight sides, alternately level and upright, whether drawn with re or with lines
+        const isRectangle = ({ points, curved }) => {
+            const last = points[points.length - 1];
+            const corners = points.length === 5 && last[0] === points[0][0] && last[1] === points[0][1]
+                ? points.slice(0, 4) : points;
+            if (curved || corners.length !== 4) return false;
+            const level = corners.map((point, k) => {
+                const next = corners[(k + 1) % 4];
+                if (Math.abs(point[1] - next[1]) < 1e-6) return true;
+                return Math.abs(point[0] - next[0]) < 1e-6 ? false : null;
+            });
+            return level.every((isLevel, k) => isLevel !== null && isLevel !== level[(k + 1) % 4]);
+        };
+
+        const matrixScale = Math.hypot(state.ctm[0], state.ctm[1]) + Math.hypot(state.ctm[2], state.ctm[3]);
+        const halfWidth = stroke ? Math.max(state.lineWidth, 1) * matrixScale / 2 : 0;
+        const all = getPointBounds(subpaths.flatMap(subpath => subpath.points));
+        const bounds = { minX: all.minX - halfWidth, minY: all.minY - halfWidth, maxX: all.maxX + halfWidth, maxY: all.maxY + halfWidth };
+        if (!hitsBox(bounds)) return raw;
+
+        edits++;
+        const inverse = invertMatrix(state.ctm);
+        const local = ([x, y]) => transformPoint(inverse, x, y).map(formatContentNumber).join(' ');
+        if (inverse && clip.length === 0 && fill && !stroke && subpaths.every(isRectangle)) {
+            // Fills made of rectangles (backgrounds, table shading) are cut into smaller rectangles,
+            // each running the same way round as the one it came from so the fill rule still holds
+            const pieces = subpaths.flatMap(subpath => {
+                const [[x1, y1], [x2, y2], [x3, y3]] = subpath.points;
+                const clockwise = (x2 - x1) * (y3 - y2) - (y2 - y1) * (x3 - x2) < 0;
+                return subtractBoxes(getPointBounds(subpath.points), boxes).map(piece => {
+                    const corners = [[piece.minX, piece.minY], [piece.maxX, piece.minY], [piece.maxX, piece.maxY], [piece.minX, piece.maxY]];
+                    if (clockwise) corners.reverse();
+                    return `${corners.map((corner, k) => `${local(corner)} ${k ? 'l' : 'm'}`).join(' ')} h`;
+                });
+            });
+            return pieces.length ? `${pieces.join('\n')}\n${operator}` : '';
+        }
+
+        if (inverse && clip.length === 0 && stroke && !fill) {
+            // Stroked lines and outlines are cut where they cross a box, caps included
+            const grown = boxes.map(box => ({
+                minX: box.minX - halfWidth * 2, minY: box.minY - halfWidth * 2,
+                maxX: box.maxX + halfWidth * 2, maxY: box.maxY + halfWidth * 2
+            }));
+            const segments = subpaths.flatMap(subpath => {
+                const points = subpath.closed || operator === 's' ? [...subpath.points, subpath.points[0]] : subpath.points;
+                return points.slice(1).map((p, k) => [points[k], p]);
+            });
+            const pieces = segments.flatMap(segment => subtractBoxesFromSegment(segment, grown));
+            if (pieces.length === 0) return '';
+            // Pieces that still meet are drawn as one line, so their joins look as before
+            const lines = [];
+            pieces.forEach(([from, to]) => {
+                const line = lines[lines.length - 1];
+                const end = line?.[line.length - 1];
+                if (end && end[0] === from[0] && end[1] === from[1]) {
+                    line.push(to);
+                } else {
+                    lines.push([from, to]);
+                }
+            });
+            return `${lines.map(line => line.map((point, k) => `${local(point)} ${k ? 'l' : 'm'}`).join(' ')).join('\n')}\nS`;
+        }
+
+        // Any other path goes when a box covers it whole; a clipping path keeps clipping but paints nothing
+        if (!boxes.some(box => boundsContain(box, bounds))) return null;
+        return clip.length ? `${[...construction, ...clip].map(rawOf).join('\n')}\nn` : '';
+    };
+
+    /**
+     * Marked content can repeat its text for screen readers and search; a sequence that had
+     * something taken out of it loses that copy
+     */
+    const closeMarkedContent = (sequence) => {
+        const { operation, index } = sequence || {};
+        const properties = operation?.operands[1];
+        if (operation?.operator !== 'BDC' || edits === sequence.edits || properties?.type !== 'dict') return;
+        if (!properties.entries.some(entry => MARKED_TEXT_KEYS.has(entry.key))) return;
+
+        const entries = properties.entries.filter(entry => !MARKED_TEXT_KEYS.has(entry.key));
+        output[index] = `${rawOf(operation.operands[0])} <<${entries.map(rawOf).join(' ')}>> BDC`;
+        edits++;
+    };
+
+    for (const operation of tokenizeContentStream(source)) {
+        const { operator, operands } = operation;
+        const n = operands.map(operand => operand.type === 'number' ? operand.value : NaN);
+
+        if (path.length && !PATH_OPERATORS.has(operator) && !PAINT_OPERATORS.has(operator) &&
+            operator !== 'W' && operator !== 'W*') {
+            // A path nobody paints draws nothing
+            output.push(path.map(rawOf).join('\n'));
+            path = [];
+        }
+
+        switch (operator) {
+            case 'q':
+                stack.push({ ...state });
+                break;
+            case 'Q':
+                state = stack.pop() || state;
+                break;
+            case 'cm':
+                if (n.length < 6 || !n.every(Number.isFinite)) return null;
+                state.ctm = multiplyMatrices(n.slice(0, 6), state.ctm);
+                break;
+            case 'w':
+                state.lineWidth = n[0];
+                break;
+            case 'gs': {
+                const extGState = extGStates?.lookupMaybe(PDFName.of(operands[0]?.value), PDFDict);
+                // A font set through a graphics state is not tracked
+                if (extGState?.has(PDFName.of('Font'))) return null;
+                const lineWidth = extGState?.lookupMaybe(PDFName.of('LW'), PDFNumber);
+                if (lineWidth) state.lineWidth = lineWidth.asNumber();
+                break;
+            }
+            case 'BT':
+                textMatrix = [1, 0, 0, 1, 0, 0];
+                lineMatrix = [1, 0, 0, 1, 0, 0];
+                break;
+            case 'Tf':
+                state.font = operands[0]?.value;
+                state.fontSize = n[1];
+                break;
+            case 'Tc':
+                state.charSpacing = n[0];
+                break;
+            case 'Tw':
+                state.wordSpacing = n[0];
+                break;
+            case 'Tz':
+                state.scale = n[0] / 100;
+                break;
+            case 'TL':
+                state.leading = n[0];
+                break;
+            case 'Ts':
+                state.rise = n[0];
+                break;
+            case 'TD':
+                state.leading = -n[1];
+            // falls through
+            case 'Td':
+                lineMatrix = multiplyMatrices([1, 0, 0, 1, n[0], n[1]], lineMatrix);
+                textMatrix = lineMatrix.slice();
+                break;
+            case 'Tm':
+                if (n.length < 6 || !n.every(Number.isFinite)) return null;
+                lineMatrix = n.slice(0, 6);
+                textMatrix = lineMatrix.slice();
+                break;
+            case 'T*':
+                nextLine();
+                break;
+            case 'Tj':
+            case 'TJ':
+            case '\'':
+            case '"': {
+                let prefix = '';
+                if (operator === '"') {
+                    state.wordSpacing = n[0];
+                    state.charSpacing = n[1];
+                    prefix = `${formatContentNumber(n[0])} Tw ${formatContentNumber(n[1])} Tc T* `;
+                }
+                if (operator === '\'' || operator === '"') {
+                    nextLine();
+                    prefix = prefix || 'T* ';
+                }
+                const text = operands[operands.length - 1];
+                const result = showText(text?.type === 'array' ? text.items : [text].filter(Boolean));
+                if (!result) return null;
+                if (result.removed) {
+                    edits++;
+                    output.push(prefix + serializeTextArray(result.elements));
+                    continue;
+                }
+                break;
+            }
+            case 'W':
+            case 'W*':
+                if (path.length) {
+                    path.push(operation);
+                    continue;
+                }
+                break;
+            case 'Do': {
+                const xObject = xObjects?.lookup(PDFName.of(operands[0]?.value));
+                const dict = xObject?.dict;
+                const subtype = dict?.lookup(PDFName.of('Subtype'))?.toString();
+                if (subtype === '/Image') {
+                    const bounds = boundsOf(state.ctm, unitSquare);
+                    if (!hitsBox(bounds)) break;
+                    // An image wholly under one box goes; one partly under a box cannot be cut here
+                    if (!boxes.some(box => boundsContain(box, bounds))) return null;
+                    edits++;
+                    continue;
+                }
+                if (subtype === '/Form') {
+                    const bbox = dict.lookup(PDFName.of('BBox'))?.asArray?.().map(value => value.asNumber());
+                    const matrix = dict.lookup(PDFName.of('Matrix'))?.asArray?.().map(value => value.asNumber()) || [1, 0, 0, 1, 0, 0];
+                    if (!bbox) return null;
+                    const corners = [[bbox[0], bbox[1]], [bbox[2], bbox[1]], [bbox[0], bbox[3]], [bbox[2], bbox[3]]];
+                    if (hitsBox(boundsOf(multiplyMatrices(matrix, state.ctm), corners))) return null;
+                }
+                break;
+            }
+            case 'BI': {
+                const bounds = boundsOf(state.ctm, unitSquare);
+                if (!hitsBox(bounds)) break;
+                if (!boxes.some(box => boundsContain(box, bounds))) return null;
+                edits++;
+                continue;
+            }
+            case 'sh':
+                // Shadings fill the clipping area, which is not tracked
+                return null;
+            case 'BDC':
+            case 'BMC':
+                markedContent.push({ operation, index: output.length, edits });
+                break;
+            case 'EMC':
+                closeMarkedContent(markedContent.pop());
+                break;
+            default:
+                if (PATH_OPERATORS.has(operator)) {
+                    path.push(operation);
+                    continue;
+                }
+                if (PAINT_OPERATORS.has(operator)) {
+                    const painted = paintPath(operation);
+                    if (painted === null) return null;
+                    if (painted) output.push(painted);
+                    continue;
+                }
+        }
+
+        output.push(rawOf(operation));
+    }
+
+    // Sequences left open run to the end of the page
+    while (markedContent.length) closeMarkedContent(markedContent.pop());
+
+    return { content: output.join('\n'), changed: edits > 0 };
+}
+
+/**
+ * Decode content streams into one string
+ * @param {Array<PDFLib.PDFStream>} streams - Content streams, in drawing order
+ * @returns {string} The decoded content, one character per byte
+ * @throws {Error} When a stream uses a filter pdf-lib cannot decode
+ */
+function readContentStreams(streams) {
+    const { PDFRawStream, PDFContentStream } = PDFLib;
+    return streams.map(stream => {
+        if (stream instanceof PDFRawStream) return bytesToBinaryString(PDFLib.decodePDFRawStream(stream).decode());
+        if (stream instanceof PDFContentStream) return bytesToBinaryString(stream.getUnencodedContents());
+        throw new Error('Unsupported content stream');
+    }).join('\n');
+}
+
+/**
+ * Decode a page's content, whether it is one stream or an array of them
+ * @param {PDFLib.PDFPage} page - The page
+ * @returns {string} The decoded content, one character per byte
+ * @throws {Error} When a stream uses a filter pdf-lib cannot decode
+ */
+function readPageContent(page) {
+    const context = page.node.context;
+    const contents = page.node.Contents();
+    return readContentStreams(contents instanceof PDFLib.PDFArray
+        ? contents.asArray().map(ref => context.lookup(ref))
+        : [contents].filter(Boolean));
+}
+
+/**
+ * Redact a page by rewriting its content stream (see redactContentStream)
+ * @param {PDFLib.PDFPage} page - Output page
+ * @param {Object[]} boxes - Boxes in user space
+ * @returns {boolean} False when the page cannot be edited safely and was left alone
+ */
+function redactPageContent(page, boxes) {
+    const { PDFName, PDFDict } = PDFLib;
+    const context = page.node.context;
+
+    let source;
+    try {
+        source = readPageContent(page);
+    } catch (error) {
+        // Compressed with a filter pdf-lib cannot decode
+        return false;
+    }
+
+    const resources = page.node.Resources();
+    const result = redactContentStream(source, resources, boxes);
+    if (!result) return false;
+    if (!result.changed) return true;
+
+    const stream = context.flateStream(binaryStringToBytes(result.content));
+    page.node.set(PDFName.of('Contents'), context.obj([context.register(stream)]));
+
+    // Images that are no longer drawn must not ride along in the page's resources
+    const xObjects = resources?.lookupMaybe(PDFName.of('XObject'), PDFDict);
+    if (xObjects) {
+        const used = new Set(tokenizeContentStream(result.content)
+            .filter(operation => operation.operator === 'Do')
+            .map(operation => operation.operands[0]?.value));
+        const keptXObjects = xObjects.clone();
+        keptXObjects.keys().forEach(key => {
+            if (!used.has(key.decodeText())) keptXObjects.delete(key);
+        });
+        const keptResources = resources.clone();
+        keptResources.set(PDFName.of('XObject'), keptXObjects);
+        page.node.set(PDFName.of('Resources'), keptResources);
+    }
+    return true;
+}
+
+/**
+ * Replace a page with a picture of itself, with the boxes painted black into the pixels
+ * The picture is rendered through pdf.js like the previews, upright and without annotations;
+ * the page keeps its rotation and whichever annotations survived removeRedactedAnnotations.
+ * @param {PDFLib.PDFDocument} pdfDoc - The document the page belongs to
+ * @param {PDFLib.PDFPage} page - Output page
+ * @param {Object[]} boxes - Boxes in user space
+ */
+async function rasterizeRedactedPage(pdfDoc, page, boxes) {
+    const { PDFName } = PDFLib;
+    const single = await PDFLib.PDFDocument.create();
+    const [copy] = await single.copyPages(pdfDoc, [pdfDoc.getPages().indexOf(page)]);
+    copy.setRotation(PDFLib.degrees(0));
+    copy.node.delete(PDFName.of('Annots'));
+    single.addPage(copy);
+
+    const pdf = await pdfjsLib.getDocument({ data: await single.save() }).promise;
+    let canvas = null;
+    let jpegBytes;
+    try {
+        const pdfPage = await pdf.getPage(1);
+        const viewport = pdfPage.getViewport({ scale: REDACTION_RASTER_DPI / 72 });
+        canvas = await renderPageToCanvas(pdfPage, viewport);
+
+        // Whole pixels, so no partly covered pixel at the edge keeps a trace of what was under it
+        const context = canvas.getContext('2d');
+        context.fillStyle = '#000000';
+        boxes.forEach(box => {
+            const [x1, y1, x2, y2] = viewport.convertToViewportRectangle([box.minX, box.minY, box.maxX, box.maxY]);
+            const left = Math.floor(Math.min(x1, x2));
+            const top = Math.floor(Math.min(y1, y2));
+            context.fillRect(left, top, Math.ceil(Math.max(x1, x2)) - left, Math.ceil(Math.max(y1, y2)) - top);
+        });
+
+        const blob = await canvasToBlob(canvas, 'image/jpeg', 0.92);
+        jpegBytes = await readFileAsArrayBuffer(blob);
+    } finally {
+        if (canvas) {
+            canvas.width = 0;
+            canvas.height = 0;
+        }
+        pdf.destroy();
+    }
+
+    const image = await pdfDoc.embedJpg(jpegBytes);
+    // Embed now rather than on save, so the page can be copied for verification
+    await image.embed();
+
+    const box = page.getCropBox();
+    page.node.set(PDFName.of('Contents'), pdfDoc.context.obj([]));
+    page.node.set(PDFName.of('Resources'), pdfDoc.context.obj({}));
+    page.drawImage(image, { x: box.x, y: box.y, width: box.width, height: box.height });
+}
+
+/**
+ * Remove the annotations a box touches from a page, with popups that belong to them
+ * Form widgets go too; pruneFormFields then drops their fields and the values in them.
+ * @param {PDFLib.PDFPage} page - Output page
+ * @param {Object[]} boxes - Boxes in user space
+ */
+function removeRedactedAnnotations(page, boxes) {
+    const { PDFName, PDFArray, PDFDict, PDFNumber } = PDFLib;
+    const context = page.node.context;
+    const annots = page.node.Annots();
+    if (!annots) return;
+
+    const removed = new Set();
+    const entries = annots.asArray().map(ref => ({ ref, dict: context.lookupMaybe(ref, PDFDict) }));
+    entries.forEach(({ ref, dict }) => {
+        const rect = dict?.lookupMaybe(PDFName.of('Rect'), PDFArray)?.asArray().map(value => context.lookup(value));
+        if (!rect || rect.length !== 4 || !rect.every(value => value instanceof PDFNumber)) return;
+        const [x1, y1, x2, y2] = rect.map(value => value.asNumber());
+        if (boxes.some(box => boundsIntersect(box, getPointBounds([[x1, y1], [x2, y2]])))) removed.add(ref);
+    });
+    if (removed.size === 0) return;
+
+    const kept = entries.filter(({ ref, dict }) => !removed.has(ref) && !removed.has(dict?.get(PDFName.of('Parent'))));
+    page.node.set(PDFName.of('Annots'), context.obj(kept.map(({ ref }) => ref)));
+}
+
+/**
+ * Drop every object nothing in the document refers to any more
+ * pdf-lib writes out every object it holds, so content taken off a page would otherwise
+ * still be in the saved file.
+ * @param {PDFLib.PDFDocument} pdfDoc - The document
+ */
+function removeUnreachableObjects(pdfDoc) {
+    const { PDFRef, PDFDict, PDFArray, PDFStream } = PDFLib;
+    const { context } = pdfDoc;
+    const reachable = new Set();
+    const pending = Object.values(context.trailerInfo).filter(Boolean);
+
+    while (pending.length) {
+        const object = pending.pop();
+        if (object instanceof PDFRef) {
+            if (reachable.has(object)) continue;
+            reachable.add(object);
+            pending.push(context.lookup(object));
+        } else if (object instanceof PDFDict) {
+            pending.push(...object.values());
+        } else if (object instanceof PDFArray) {
+            pending.push(...object.asArray());
+        } else if (object instanceof PDFStream) {
+            pending.push(object.dict);
+        }
+    }
+
+    context.enumerateIndirectObjects().forEach(([ref]) => {
+        if (!reachable.has(ref)) context.delete(ref);
+    });
+}
+
+/**
+ * Extract the text of some pages with pdf.js, the way a reader of the output would
+ * @param {PDFLib.PDFDocument} pdfDoc - The document
+ * @param {number[]} indices - 0-based page indices
+ * @returns {Promise<Array<Object[]>>} pdf.js text items of each page
+ */
+async function readPagesText(pdfDoc, indices) {
+    const copy = await PDFLib.PDFDocument.create();
+    (await copy.copyPages(pdfDoc, indices)).forEach(page => copy.addPage(page));
+
+    const pdf = await pdfjsLib.getDocument({ data: await copy.save() }).promise;
+    try {
+        const pages = [];
+        for (let pageNum = 1; pageNum <= pdf.numPages; pageNum++) {
+            const page = await pdf.getPage(pageNum);
+            const textContent = await page.getTextContent();
+            pages.push(textContent.items.filter(item => 'str' in item));
+        }
+        return pages;
+    } finally {
+        pdf.destroy();
+    }
+}
+
+/**
+ * Work out which strings of a page fall under the boxes, from pdf.js text items
+ * Characters are spread evenly over each item's width and count when their middle is inside
+ * a box. Runs shorter than two characters say too little to check for.
+ * @param {Object[]} items - pdf.js text items
+ * @param {Object[]} boxes - Boxes in user space
+ * @returns {string[]} Redacted strings, white space removed
+ */
+function getRedactedStrings(items, boxes) {
+    const strings = [];
+
+    items.forEach(item => {
+        const chars = Array.from(item.str);
+        if (chars.length === 0 || !item.width) return;
+
+        const [a, b, c, d, e, f] = item.transform;
+        const length = Math.hypot(a, b) || 1;
+        const [dx, dy] = [a / length, b / length];
+        const middle = Math.hypot(c, d) * 0.35;
+        let run = '';
+        const endRun = () => {
+            const text = run.replace(/\s+/g, '');
+            if (text.length >= 2) strings.push(text);
+            run = '';
+        };
+
+        chars.forEach((char, k) => {
+            const along = (k + 0.5) / chars.length * item.width;
+            const x = e + dx * along - dy * middle;
+            const y = f + dy * along + dx * middle;
+            if (boxes.some(box => x >= box.minX && x <= box.maxX && y >= box.minY && y <= box.maxY)) {
+                run += char;
+            } else {
+                endRun();
+            }
+        });
+        endRun();
+    });
+
+    return strings;
+}
+
+/**
+ * Check that the redacted strings no longer appear in a page's text
+ * A string may still appear as often as it did outside the boxes.
+ * @param {Object[]} before - pdf.js text items before redaction
+ * @param {Object[]} after - pdf.js text items after redaction
+ * @param {Object[]} boxes - Boxes in user space
+ * @returns {boolean}
+ */
+function isRedactionVerified(before, after, boxes) {
+    const flatten = items => items.map(item => item.str).join('').replace(/\s+/g, '');
+    const countIn = (text, search) => {
+        let count = 0;
+        for (let index = text.indexOf(search); index !== -1; index = text.indexOf(search, index + search.length)) count++;
+        return count;
+    };
+
+    const beforeText = flatten(before);
+    const afterText = flatten(after);
+    const redacted = getRedactedStrings(before, boxes);
+    return redacted.every(text => {
+        const removed = redacted.filter(other => other === text).length;
+        return countIn(afterText, text) <= Math.max(0, countIn(beforeText, text) - removed);
+    });
+}
+
+/**
+ * Remove the content under redaction boxes from output pages for good
+ * Each page's content stream is rewritten where possible and rendered to an image where not.
+ * The text is then extracted again and pages where a redacted string can still be found are
+ * rendered to an image too. Finally the boxes are drawn in black, and everything the pages no
+ * longer use is dropped from the file.
+ * @param {PDFLib.PDFDocument} pdfDoc - The document the pages belong to
+ * @param {PDFLib.PDFPage[]} pages - Output pages
+ * @param {Array<Object[]>} pageBoxes - Boxes in user space for each output page
+ */
+async function applyRedactions(pdfDoc, pages, pageBoxes) {
+    const targets = pages
+        .map((page, i) => ({ page, pageNum: i + 1, boxes: pageBoxes[i] || [], rasterized: false }))
+        .filter(target => target.boxes.length > 0);
+    if (targets.length === 0) return;
+
+    const allPages = pdfDoc.getPages();
+    const indices = targets.map(target => allPages.indexOf(target.page));
+    const before = await readPagesText(pdfDoc, indices);
+
+    for (const target of targets) {
+        target.page.node.delete(PDFLib.PDFName.of('Thumb'));
+        target.page.node.delete(PDFLib.PDFName.of('PieceInfo'));
+        removeRedactedAnnotations(target.page, target.boxes);
+        if (!redactPageContent(target.page, target.boxes)) {
+            await rasterizeRedactedPage(pdfDoc, target.page, target.boxes);
+            target.rasterized = true;
+        }
+    }
+
+    for (;;) {
+        const after = await readPagesText(pdfDoc, indices);
+        const failed = targets.filter((target, i) => !isRedactionVerified(before[i], after[i], target.boxes));
+        if (failed.length === 0) break;
+
+        const unfixable = failed.find(target => target.rasterized);
+        if (unfixable) {
+            throw new Error(`Redaction could not be verified on page ${unfixable.pageNum} of the output.`);
+        }
+        for (const target of failed) {
+            await rasterizeRedactedPage(pdfDoc, target.page, target.boxes);
+            target.rasterized = true;
+        }
+    }
+
+    // Rendered pages already have the boxes in their pixels
+    targets.filter(target => !target.rasterized).forEach(({ page, boxes }) => {
+        unshareContents(page);
+        boxes.forEach(box => {
+            page.drawRectangle({
+                x: box.minX,
+                y: box.minY,
+                width: box.maxX - box.minX,
+                height: box.maxY - box.minY,
+                color: PDFLib.rgb(0, 0, 0)
+            });
+        });
+    });
+
+    pruneFormFields(pdfDoc);
+    removeUnreachableObjects(pdfDoc);
+}
+
+// =========================================
+// Compression
+// =========================================
+
+// Target resolution and JPEG quality of each preset, after Ghostscript's PDFSETTINGS
+const COMPRESSION_PRESETS = {
+    screen: { dpi: 72, quality: 0.5 },
+    ebook: { dpi: 150, quality: 0.7 },
+    print: { dpi: 300, quality: 0.85 }
+};
+
+// Images are only downsampled when they are this much sharper than the target; a small
+// reduction costs a generation of quality for little gain
+const DOWNSAMPLE_THRESHOLD = 1.5;
+
+// Losslessly stored images smaller than this (in pixels) are usually logos and line art,
+// which JPEG smears, so they are left alone unless they are downsampled
+const MIN_LOSSY_PIXELS = 256 * 256;
+
+// Filters pdf-lib can undo to get at raw pixels
+const PIXEL_FILTERS = new Set(['FlateDecode', 'LZWDecode', 'ASCII85Decode', 'ASCIIHexDecode', 'RunLengthDecode']);
+
+/**
+ * Find how large every image in a document is drawn
+ * Page content and the form XObjects it draws are followed; images that only appear in
+ * annotations or patterns are not found.
+ * @param {PDFLib.PDFDocument} pdfDoc - The document
+ * @returns {Map<PDFLib.PDFRef, {width: number, height: number}>} Largest width and height each
+ *   image is drawn at, in points
+ */
+function measureImageUses(pdfDoc) {
+    const { PDFName, PDFDict, PDFArray, PDFRef, PDFStream, PDFNumber } = PDFLib;
+    const { context } = pdfDoc;
+    const sizes = new Map();
+    const drawing = new Set();
+
+    const walk = (source, resources, matrix) => {
+        const xObjects = resources?.lookupMaybe(PDFName.of('XObject'), PDFDict);
+        if (!xObjects) return;
+
+        const stack = [];
+        let ctm = matrix;
+        for (const { operator, operands } of tokenizeContentStream(source)) {
+            if (operator === 'q') {
+                stack.push(ctm);
+            } else if (operator === 'Q') {
+                ctm = stack.pop() || ctm;
+            } else if (operator === 'cm') {
+                const n = operands.map(operand => operand.type === 'number' ? operand.value : NaN);
+                if (n.length >= 6 && n.slice(0, 6).every(Number.isFinite)) ctm = multiplyMatrices(n.slice(0, 6), ctm);
+            } else if (operator === 'Do' && operands[0]?.type === 'name') {
+                const ref = xObjects.get(PDFName.of(operands[0].value));
+                const xObject = ref instanceof PDFRef ? context.lookup(ref) : null;
+                if (!(xObject instanceof PDFStream)) continue;
+
+                const subtype = xObject.dict.lookup(PDFName.of('Subtype'));
+                if (subtype === PDFName.of('Image')) {
+                    const [a, b, c, d] = ctm;
+                    const size = sizes.get(ref) || { width: 0, height: 0 };
+                    sizes.set(ref, {
+                        width: Math.max(size.width, Math.hypot(a, b)),
+                        height: Math.max(size.height, Math.hypot(c, d))
+                    });
+                } else if (subtype === PDFName.of('Form') && !drawing.has(ref)) {
+                    const formMatrix = xObject.dict.lookupMaybe(PDFName.of('Matrix'), PDFArray)?.asArray()
+                        .map(value => value instanceof PDFNumber ? value.asNumber() : NaN);
+                    const formResources = xObject.dict.lookupMaybe(PDFName.of('Resources'), PDFDict) || resources;
+                    drawing.add(ref);
+                    try {
+                        walk(readContentStreams([xObject]), formResources,
+                            multiplyMatrices(formMatrix?.length === 6 && formMatrix.every(Number.isFinite) ? formMatrix : [1, 0, 0, 1, 0, 0], ctm));
+                    } catch (error) {
+                        // A form pdf-lib cannot decode keeps its images as they are
+                    }
+                    drawing.delete(ref);
+                }
+            }
+        }
+    };
+
+    pdfDoc.getPages().forEach(page => {
+        try {
+            walk(readPageContent(page), page.node.Resources(), [1, 0, 0, 1, 0, 0]);
+        } catch (error) {
+            // Same for a page pdf-lib cannot decode
+        }
+    });
+
+    return sizes;
+}
+
+/**
+ * Reverse the PNG predictors (PDF Predictor 10 and up) applied to image rows before compression
+ * @param {Uint8Array} data - Predicted rows, each led by its filter type byte
+ * @param {number} rowLength - Bytes per row of pixels
+ * @param {number} bytesPerPixel - Distance back to the same channel of the previous pixel
+ * @returns {Uint8Array} The plain rows
+ */
+function undoPngPredictor(data, rowLength, bytesPerPixel) {
+    const rows = Math.floor(data.length / (rowLength + 1));
+    const output = new Uint8Array(rows * rowLength);
+
+    for (let row = 0; row < rows; row++) {
+        const type = data[row * (rowLength + 1)];
+        const input = row * (rowLength + 1) + 1;
+        const start = row * rowLength;
+
+        for (let i = 0; i < rowLength; i++) {
+            const left = i >= bytesPerPixel ? output[start + i - bytesPerPixel] : 0;
+            const up = row > 0 ? output[start + i - rowLength] : 0;
+            const upLeft = row > 0 && i >= bytesPerPixel ? output[start + i - rowLength - bytesPerPixel] : 0;
+            let predicted = 0;
+
+            if (type === 1) {
+                predicted = left;
+            } else if (type === 2) {
+                predicted = up;
+            } else if (type === 3) {
+                predicted = (left + up) >> 1;
+            } else if (type === 4) {
+                // Paeth: whichever neighbour is closest to left + up - upLeft
+                const estimate = left + up - upLeft;
+                const distances = [Math.abs(estimate - left), Math.abs(estimate - up), Math.abs(estimate - upLeft)];
+                predicted = distances[0] <= distances[1] && distances[0] <= distances[2]
+                    ? left
+                    : distances[1] <= distances[2] ? up : upLeft;
+            }
+            output[start + i] = (data[input + i] + predicted) & 0xff;
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Decode an image XObject into something a canvas can draw
+ * Only the kinds of image that survive a trip through JPEG unchanged in meaning are decoded:
+ * 8-bit gray or RGB (device or ICC based), without masks given as colors or a Decode array.
+ * A soft mask (SMask) is fine, since it is a separate image that stays as it is.
+ * @param {PDFLib.PDFRawStream} stream - The image
+ * @returns {Promise<?{source: (ImageBitmap|HTMLCanvasElement), width: number, height: number, lossy: boolean}>}
+ *   The pixels, or null for an image that should be left alone
+ */
+async function decodeImageXObject(stream) {
+    const { PDFName, PDFArray, PDFDict, PDFNumber, PDFStream, PDFBool } = PDFLib;
+    const { dict } = stream;
+    const get = (key) => dict.lookup(PDFName.of(key));
+
+    if (get('ImageMask') === PDFBool.True || get('Mask') || get('Decode')) return null;
+
+    let components = 0;
+    const colorSpace = get('ColorSpace');
+    if (colorSpace === PDFName.of('DeviceGray')) {
+        components = 1;
+    } else if (colorSpace === PDFName.of('DeviceRGB')) {
+        components = 3;
+    } else if (colorSpace instanceof PDFArray && colorSpace.lookup(0) === PDFName.of('ICCBased')) {
+        const profile = colorSpace.lookup(1);
+        components = profile instanceof PDFStream ? profile.dict.lookupMaybe(PDFName.of('N'), PDFNumber)?.asNumber() : 0;
+    }
+    if (components !== 1 && components !== 3) return null;
+
+    const filter = get('Filter');
+    const filters = (filter instanceof PDFArray ? filter.asArray() : [filter].filter(Boolean))
+        .map(name => name instanceof PDFName ? name.decodeText() : '');
+
+    if (filters.length === 1 && filters[0] === 'DCTDecode') {
+        if (get('DecodeParms')) return null;
+        const bitmap = await createImageBitmap(new Blob([stream.contents], { type: 'image/jpeg' }));
+        return { source: bitmap, width: bitmap.width, height: bitmap.height, lossy: true };
+    }
+
+    const width = dict.lookupMaybe(PDFName.of('Width'), PDFNumber)?.asNumber();
+    const height = dict.lookupMaybe(PDFName.of('Height'), PDFNumber)?.asNumber();
+    const bitsPerComponent = dict.lookupMaybe(PDFName.of('BitsPerComponent'), PDFNumber)?.asNumber();
+    if (!width || !height || bitsPerComponent !== 8 || !filters.every(name => PIXEL_FILTERS.has(name))) return null;
+
+    let data = PDFLib.decodePDFRawStream(stream).decode();
+
+    // Predictors belong to the last filter, which did the compressing
+    const parms = get('DecodeParms');
+    const lastParms = parms instanceof PDFArray ? parms.lookup(parms.size() - 1) : parms;
+    const predictor = lastParms instanceof PDFDict
+        ? lastParms.lookupMaybe(PDFName.of('Predictor'), PDFNumber)?.asNumber() || 1
+        : 1;
+    if (predictor >= 10) {
+        data = undoPngPredictor(data, width * components, components);
+    } else if (predictor !== 1) {
+        return null;
+    }
+    if (data.length < width * height * components) return null;
+
+    const canvas = createCanvas(width, height);
+    const context = canvas.getContext('2d');
+    const pixels = context.createImageData(width, height);
+    for (let i = 0, j = 0; i < width * height; i++, j += components) {
+        pixels.data[i * 4] = data[j];
+        pixels.data[i * 4 + 1] = data[components === 3 ? j + 1 : j];
+        pixels.data[i * 4 + 2] = data[components === 3 ? j + 2 : j];
+        pixels.data[i * 4 + 3] = 255;
+    }
+    context.putImageData(pixels, 0, 0);
+
+    return { source: canvas, width, height, lossy: false };
+}
+
+/**
+ * Downsample and re-encode a document's images as JPEG
+ * An image is replaced only when the new version is smaller; it keeps its object number, so
+ * every page drawing it picks up the new one.
+ * @param {PDFLib.PDFDocument} pdfDoc - The document
+ * @param {Object} settings - Compression settings (see COMPRESSION_PRESETS)
+ * @param {number} settings.dpi - Resolution to downsample to
+ * @param {number} settings.quality - JPEG quality from 0 to 1
+ * @param {Function} onProgress - Progress callback (0-100)
+ */
+async function compressImages(pdfDoc, settings, onProgress = () => { }) {
+    const { PDFName, PDFRawStream } = PDFLib;
+    const { context } = pdfDoc;
+    const uses = [...measureImageUses(pdfDoc)];
+
+    for (let i = 0; i < uses.length; i++) {
+        const [ref, size] = uses[i];
+        onProgress(Math.round((i / uses.length) * 100), `Compressing image ${i + 1} of ${uses.length}...`);
+
+        const stream = context.lookup(ref);
+        if (!(stream instanceof PDFRawStream) || !size.width || !size.height) continue;
+
+        let image;
+        try {
+            image = await decodeImageXObject(stream);
+        } catch (error) {
+            // Damaged or unusual image data stays as it is
+            continue;
+        }
+        if (!image) continue;
+
+        const imageDpi = Math.min(image.width / (size.width / 72), image.height / (size.height / 72));
+        const scale = imageDpi > settings.dpi * DOWNSAMPLE_THRESHOLD ? settings.dpi / imageDpi : 1;
+
+        let bytes = null;
+        let canvas = null;
+        if (scale < 1 || image.lossy || image.width * image.height >= MIN_LOSSY_PIXELS) {
+            canvas = createCanvas(Math.max(1, Math.round(image.width * scale)), Math.max(1, Math.round(image.height * scale)));
+            const canvasContext = canvas.getContext('2d');
+            canvasContext.imageSmoothingQuality = 'high';
+            canvasContext.drawImage(image.source, 0, 0, canvas.width, canvas.height);
+
+            const blob = await canvasToBlob(canvas, 'image/jpeg', settings.quality);
+            bytes = new Uint8Array(await readFileAsArrayBuffer(blob));
+        }
+
+        // Decoded images can be very large; let them go before the next one
+        if (image.source.close) {
+            image.source.close();
+        } else {
+            image.source.width = 0;
+            image.source.height = 0;
+        }
+
+        if (!bytes || bytes.length >= stream.contents.length) continue;
+
+        const dict = stream.dict.clone(context);
+        ['Filter', 'DecodeParms', 'Length'].forEach(key => dict.delete(PDFName.of(key)));
+        dict.set(PDFName.of('Width'), context.obj(canvas.width));
+        dict.set(PDFName.of('Height'), context.obj(canvas.height));
+        dict.set(PDFName.of('ColorSpace'), PDFName.of('DeviceRGB'));
+        dict.set(PDFName.of('BitsPerComponent'), context.obj(8));
+        dict.set(PDFName.of('Filter'), PDFName.of('DCTDecode'));
+        context.assign(ref, PDFRawStream.of(dict, bytes));
+        canvas.width = 0;
+        canvas.height = 0;
+    }
+
+    onProgress(100, 'Images compressed');
+}
+
+/**
+ * Make a saved PDF smaller: downsample and re-encode its images, drop objects nothing uses
+ * and write it with object streams. Document properties are kept as they are.
+ * @param {Uint8Array} pdfBytes - The PDF to compress
+ * @param {Object} settings - Compression settings (see COMPRESSION_PRESETS)
+ * @param {Function} onProgress - Progress callback (0-100)
+ * @returns {Promise<Uint8Array>} The compressed PDF, or the original when that is smaller
+ */
+async function compressPDF(pdfBytes, settings, onProgress = () => { }) {
+    onProgress(0, 'Loading PDF...');
+    const pdfDoc = await PDFLib.PDFDocument.load(pdfBytes, { updateMetadata: false });
+
+    await compressImages(pdfDoc, settings, (percent, text) => {
+        onProgress(Math.round(percent * 0.8), text);
+    });
+
+    onProgress(80, 'Removing unused objects...');
+    removeUnreachableObjects(pdfDoc);
+
+    onProgress(90, 'Saving compressed PDF...');
+    const compressedBytes = await pdfDoc.save({
+        useObjectStreams: true,
+        addDefaultPage: false,
+        updateFieldAppearances: false
+    });
+
+    onProgress(100, 'Complete!');
+    return compressedBytes.length < pdfBytes.length ? compressedBytes : pdfBytes;
+}
+
+// =========================================
+// Operations
+// =========================================
+
+// Operations the processing worker runs by name (see js/pdf-worker.js and PdfWorker)
+const PDF_OPERATIONS = {
+    mergePDFs,
+    extractPages,
+    extractAllPages,
+    extractPageGroups,
+    createZip,
+    compressPDF
+};
@@ -0,0 +1,62 @@
+/**
+ * PDF Editor - Processing Worker
+ * Runs the document operations of js/pdf-processing.js off the page, so large jobs do not
+ * freeze the tab (see PdfWorker in js/app.js).
+ *
+ * Messages in:  { id, operation, args, progressIndex } - run PDF_OPERATIONS[operation](...args),
+ *               with a progress callback put at args[progressIndex] when that is given
+ * Messages out: { type: 'ready' } once the scripts are loaded
+ *               { id, type: 'progress', percent, text }
+ *               { id, type: 'result', result }
+ *               { id, type: 'error', message }
+ *
+ * A job is cancelled by terminating the worker, which frees everything it held.
+ */
+
+importScripts(
+    'vendor/pdf-lib.min.js',
+    'pdf-processing.js'
+);
+
+/**
+ * Load a script; createZip uses this to load JSZip when it needs it
+ * @param {string} src - Script URL, relative to the page like on the page itself
+ * @returns {Promise<void>}
+ */
+function loadScript(src) {
+    importScripts(new URL(src, new URL('../', self.location.href)).href);
+    return Promise.resolve();
+}
+
+/**
+ * Buffers of a result that can be handed back without copying
+ * @param {*} result - Value returned by an operation
+ * @returns {ArrayBuffer[]}
+ */
+function getTransferables(result) {
+    const values = Array.isArray(result) ? result : [result];
+    const buffers = new Set(values.filter(value => value instanceof Uint8Array).map(value => value.buffer));
+    return [...buffers];
+}
+
+self.addEventListener('message', async (event) => {
+    const { id, operation, args, progressIndex } = event.data;
+
+    try {
+        if (!Object.hasOwn(PDF_OPERATIONS, operation)) {
+            throw new Error(`Unknown operation: ${operation}`);
+        }
+        if (progressIndex !== undefined) {
+            args[progressIndex] = (percent, text = '') => {
+                self.postMessage({ id, type: 'progress', percent, text });
+            };
+        }
+
+        const result = await PDF_OPERATIONS[operation](...args);
+        self.postMessage({ id, type: 'result', result }, getTransferables(result));
+    } catch (error) {
+        self.postMessage({ id, type: 'error', message: error.message || String(error) });
+    }
+});
+
+self.postMessage({ type: 'ready' });
@@ -0,0 +1,10 @@
+/**
+ * PDF Editor - Version
+ * Shared by the pages and the service worker (sw.js). The offline copy of the app is kept
+ * per version, so changing this makes every browser download the app again.
+ */
+
+const APP_VERSION = '2.0.0';
+
+// Release date of APP_VERSION (YYYY-MM-DD), shown on the About page
+const APP_RELEASE_DATE = '2026-10-19';
@@ -0,0 +1,119 @@
+/**
+ * PDF Editor - Service Worker
+ * Keeps a copy of the app and its libraries in the browser, so it can be installed and keeps
+ * working with no connection (see OfflineStatus in js/app.js).
+ *
+ * The copy is stored per APP_VERSION. A new version is downloaded in full and then waits
+ * until the page asks it to take over, so an open tab never mixes files of two versions.
+ *
+ * Messages in: { type: 'skipWaiting' } - take over from the version in use
+ */
+
+importScripts('js/version.js');
+
+const CACHE_PREFIX = 'pdf-editor-';
+const CACHE_NAME = `${CACHE_PREFIX}${APP_VERSION}`;
+// Files from other sites, kept as they are first fetched
+const RUNTIME_CACHE = `${CACHE_PREFIX}runtime`;
+
+const APP_FILES = [
+    './',
+    'index.html',
+    'about.html',
+    'help.html',
+    'manifest.webmanifest',
+    'css/styles.css',
+    'fonts/poppins-latin-300-normal.woff2',
+    'fonts/poppins-latin-ext-300-normal.woff2',
+    'fonts/poppins-latin-400-normal.woff2',
+    'fonts/poppins-latin-ext-400-normal.woff2',
+    'fonts/poppins-latin-500-normal.woff2',
+    'fonts/poppins-latin-ext-500-normal.woff2',
+    'fonts/poppins-latin-600-normal.woff2',
+    'fonts/poppins-latin-ext-600-normal.woff2',
+    'images/logo_web.png',
+    'images/icon-192.png',
+    'images/icon-512.png',
+    'js/version.js',
+    'js/pdf-processing.js',
+    'js/pdf-worker.js',
+    'js/app.js',
+    'js/vendor/pdf-lib.min.js',
+    'js/vendor/pdf.min.js',
+    'js/vendor/pdf.worker.min.js',
+    'js/vendor/jszip.min.js'
+];
+
+self.addEventListener('install', (event) => {
+    // Bypass the HTTP cache, so the copy matches this version and not what the browser held
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(APP_FILES.map(url => new Request(url, { cache: 'reload' }))))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME && name !== RUNTIME_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'skipWaiting') self.skipWaiting();
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin === self.location.origin) {
+        event.respondWith(fromAppCache(request));
+    } else if (url.protocol.startsWith('http')) {
+        event.respondWith(fromRuntimeCache(request));
+    }
+});
+
+/**
+ * The app's own files come from this version's copy, falling back to the network
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function fromAppCache(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+
+    try {
+        return await fetch(request);
+    } catch (error) {
+        // Offline, on an address the copy does not know: show the app rather than an error
+        if (request.mode === 'navigate') {
+            const page = await cache.match('index.html');
+            if (page) return page;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Files from other sites are served from the last copy while a fresh one is fetched
+ * @param {Request} request
+ * @returns {Promise<Response>}
+ */
+async function fromRuntimeCache(request) {
+    const cache = await caches.open(RUNTIME_CACHE);
+    const cached = await cache.match(request);
+    const fetched = fetch(request).then(response => {
+        // A full storage quota only means this copy is not kept
+        if (response.ok || response.type === 'opaque') cache.put(request, response.clone()).catch(() => {});
+        return response;
+    });
+
+    if (!cached) return fetched;
+    fetched.catch(() => {});
+    return cached;
+}